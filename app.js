@@ -69,6 +69,751 @@ function dismissToast(toast) {
 // Responsive helper
 const isMobile = () => window.matchMedia("(max-width: 768px)").matches;
 
+// ================================
+// Internationalization (ar / en)
+// ================================
+// UI strings live in MESSAGES and are looked up with t(key, params). Data values
+// coming from the API (sentiment "إيجابي", the "الكل" sentinel, Arabic category
+// names) stay as they are in `state` and the URL; only their display goes
+// through sentimentLabel() / categoryLabel() / districtLabel() / insightText().
+// The language + digit preference is read synchronously before the first render,
+// so it lives in localStorage rather than the (async) local data store.
+const I18N_PREFS_KEY = "rn_i18n_v1";
+const I18N_LANGS = {
+  ar: { label: "العربية", dir: "rtl", locale: "ar-SA" },
+  en: { label: "English", dir: "ltr", locale: "en-US" },
+};
+const I18N_DEFAULT_LANG = "ar";
+
+const MESSAGES = {
+  ar: {
+    "common.all": "الكل",
+    "common.any": "أي",
+    "common.off": "إيقاف",
+    "common.clear": "مسح",
+    "common.close": "إغلاق",
+    "common.remove": "إزالة",
+    "common.cancel": "إلغاء",
+    "common.none": "لا يوجد",
+    "common.noLimit": "بدون حد",
+    "common.unavailable": "غير متاح حالياً",
+    "common.places": "{n} مكان",
+    "common.results": "{n} نتيجة",
+
+    "unit.m": "{n} م",
+    "unit.km": "{n} كم",
+
+    "lang.menu": "اللغة",
+    "lang.digits": "أرقام هندية (١٢٣)",
+    "lang.digitsSub": "تُطبق على الواجهة العربية",
+
+    "search.placeholder": "ابحث بالوسم... مثال: برجر، قهوة، جلسة...",
+    "search.clear": "مسح البحث",
+    "district.label": "الحي",
+    "district.all": "كل الأحياء",
+
+    "chip.insights": "الترشيحات",
+    "chip.categories": "التصنيفات",
+    "chip.sentiment": "المشاعر",
+    "chip.price": "السعر",
+    "chip.ranges": "📊 النطاقات",
+    "chip.tags": "وسوم",
+    "chip.near": "📍 المسافة",
+    "chip.area": "✏️ منطقة",
+    "chip.heatmap": "الخريطة الحرارية",
+    "chip.choropleth": "🗺️ الأحياء",
+    "chip.saved": "❤️ المحفوظات",
+    "chip.itinerary": "🗓️ الخطة",
+    "chip.reset": "إعادة",
+    "chip.resetValue": "الضبط",
+    "chip.resetAll": "إعادة ضبط",
+
+    "menu.categoriesSub": "اختر أكثر من تصنيف",
+    "menu.sort": "الترتيب",
+    "menu.radius": "نطاق المسافة",
+    "menu.areaTitle": "ارسم منطقة على الخريطة",
+    "menu.areaSub": "تظهر الأماكن داخل الشكل فقط",
+    "menu.choroTitle": "تلوين الأحياء حسب",
+    "menu.choroSub": "محسوب من النتائج الحالية • انقر على حي لاختياره",
+    "menu.savedTitle": "القوائم المحفوظة",
+    "menu.itineraryTitle": "خطة اليوم",
+    "menu.saveToTitle": "حفظ في قائمة",
+    "menu.create": "إنشاء",
+    "menu.createAndSave": "إنشاء وحفظ",
+    "menu.newListPlaceholder": "قائمة جديدة... مثال: فطور الويكند",
+    "menu.newListShort": "قائمة جديدة...",
+
+    "tags.sub": "اختر أكثر من وسم",
+    "tags.selected": "المحدد: {n}",
+    "tags.matches": "نتائج: {n}",
+    "tags.count": "{n} وسم",
+    "tags.search": "ابحث عن وسم...",
+    "tags.searchLabel": "بحث الوسوم",
+    "tags.searchClear": "مسح بحث الوسوم",
+    "cats.count": "{n} تصنيفات",
+
+    "sentiment.إيجابي": "إيجابي",
+    "sentiment.محايد": "محايد",
+    "sentiment.سلبي": "سلبي",
+
+    "heat.Density": "الكثافة",
+    "heat.Score": "التقييم",
+    "heat.Hexbin": "سداسيات",
+    "heat.controls": "الإعدادات",
+    "heat.resetControls": "استعادة الافتراضي",
+    "heat.radius": "نصف القطر",
+    "heat.blur": "التمويه",
+    "heat.intensity": "الشدة",
+    "heat.blend": "الثقة + عدد المراجعات",
+    "heat.densityLegend": "أماكن متقاربة (كل مكان بوزن واحد)",
+    "heat.scoreLegend": "{label} (نسبةً إلى الأماكن الظاهرة)",
+    "hex.legend": "عدد الأماكن في كل سداسي",
+    "hex.range": "{lo} – {hi} مكان",
+    "hex.avg": "متوسط {label}: {v}",
+    "unit.px": "{n} بكسل",
+
+    "near.default": "حسب الترشيح",
+    "near.nearest": "📍 الأقرب",
+    "near.nearestShort": "الأقرب",
+    "near.within": "ضمن {km}",
+    "near.accuracy": "دقة الموقع: ±{m}",
+    "near.needsLocation": "يتطلب مشاركة موقعك",
+    "near.waiting": " (بانتظار الموقع)",
+    "near.unsupported": "تحديد الموقع غير مدعوم على هذا الجهاز.",
+    "near.shareToSort": "شارك موقعك لترتيب الأماكن حسب المسافة.",
+
+    "sort.label": "الترتيب",
+    "sort.default": "الأنسب",
+    "sort.trust": "مؤشر الثقة",
+    "sort.rating": "التقييم",
+    "sort.reviews": "عدد المراجعات",
+    "sort.nearest": "المسافة",
+    "sort.name": "الاسم (أ-ي)",
+    "sort.newest": "الأحدث",
+    "sort.asc": "تصاعدي",
+    "sort.desc": "تنازلي",
+    "sort.reverse": "عكس الترتيب",
+
+    "range.sub": "الأعمدة توزيع النتائج الحالية",
+    "range.rating": "التقييم",
+    "range.reviews": "عدد المراجعات",
+    "range.trust": "مؤشر الثقة",
+    "range.min": "الحد الأدنى: {label}",
+    "range.max": "الحد الأعلى: {label}",
+    "range.atLeast": "≥ {v}",
+    "range.atMost": "≤ {v}",
+    "range.count": "{n} نطاقات",
+    "locate.button": "تحديد موقعي",
+    "locate.denied": "تم رفض مشاركة الموقع.",
+    "locate.unavailable": "تعذر تحديد موقعك حالياً.",
+    "locate.timeout": "انتهت مهلة تحديد الموقع.",
+    "locate.failed": "تعذر الحصول على موقعك.",
+
+    "area.polygon": "✏️ مضلع",
+    "area.rect": "▭ مستطيل",
+    "area.circle": "◯ دائرة",
+    "area.polygonHint": "انقر لإضافة نقاط، ثم «إنهاء» أو انقر على النقطة الأولى.",
+    "area.rectHint": "انقر على الزاوية الأولى ثم الزاوية المقابلة.",
+    "area.circleHint": "انقر على المركز ثم على حافة الدائرة.",
+    "area.generic": "منطقة",
+    "area.remove": "🗑️ إزالة المنطقة",
+    "area.finish": "إنهاء",
+    "area.drawn": "منطقة مرسومة",
+
+    "choro.count": "عدد الأماكن",
+    "choro.rating": "متوسط التقييم",
+    "choro.bayes2": "وسيط مؤشر الثقة",
+    "choro.positive": "نسبة «إيجابي»",
+    "choro.price": "مستوى الأسعار",
+    "choro.noMatches": "لا توجد أماكن مطابقة",
+    "choro.noData": "لا بيانات",
+
+    "cluster.title": "{n} مكان • أفضل ترتيب {best}",
+
+    "field.rating": "التقييم",
+    "field.reviews": "عدد المراجعات",
+    "field.trust": "مؤشر الثقة",
+    "field.sentiment": "الانطباع",
+    "field.price": "السعر",
+    "field.distance": "المسافة",
+    "field.district": "الحي",
+    "field.uniqueTags": "وسوم مميزة",
+
+    "sheet.tags": "الوسوم",
+    "sheet.saveTo": "حفظ في قائمة",
+    "sheet.loading": "جارِ التحميل…",
+    "sheet.noSimilar": "لا توجد أماكن مشابهة.",
+    "sheet.similarFailed": "تعذر تحميل الأماكن المشابهة.",
+    "sheet.similarTitle": "أماكن مشابهة",
+    "sheet.mismatchIn": "⚠️ الموقع على الخريطة ضمن حي {district}",
+    "sheet.mismatchOut": "⚠️ الموقع على الخريطة خارج حدود الحي",
+    "sheet.similar": "🔎 مشابه",
+    "sheet.compare": "⚖️ قارن",
+    "sheet.compared": "⚖️ في المقارنة",
+    "sheet.plan": "🗓️ أضف للخطة",
+    "sheet.planned": "🗓️ في الخطة",
+    "sheet.share": "🔗 مشاركة",
+    "share.placeCopied": "تم نسخ رابط المكان.",
+    "share.placePrompt": "انسخ رابط المكان:",
+
+    "compare.max": "يمكن مقارنة {n} أماكن كحد أقصى.",
+    "compare.open": "قارن ({n})",
+    "compare.title": "مقارنة الأماكن",
+    "compare.sharedTags": "وسوم مشتركة:",
+
+    "itin.morning": "☀️ الصباح",
+    "itin.noon": "🍽️ الظهر",
+    "itin.afternoon": "☕ العصر",
+    "itin.evening": "🌙 المساء",
+    "itin.max": "الحد الأقصى {n} محطة في الخطة.",
+    "itin.added": "أضيف إلى الخطة: {name}",
+    "itin.imported": "تم فتح خطة مشتركة.",
+    "itin.importEmpty": "أماكن الخطة المشتركة لم تعد متاحة؛ لم تتغير خطتك.",
+    "itin.confirmReplace": "استبدال خطتك الحالية ({n} محطات) بالخطة المشتركة؟",
+    "itin.shareTitle": "خطة اليوم",
+    "itin.copied": "تم نسخ رابط الخطة.",
+    "itin.prompt": "انسخ رابط الخطة:",
+    "itin.summary": "{n} محطات • {km} • {from}–{to}",
+    "itin.empty": "أضف أماكن من النتائج أو المفضلة أو الأماكن المشابهة.",
+    "itin.fromPrev": " • {km} من السابق",
+    "itin.slot": "الفترة",
+    "itin.fit": "🗺️ عرض المسار",
+    "itin.share": "🔗 مشاركة الخطة",
+
+    "similar.title": "أماكن مشابهة",
+    "similar.for": "أماكن مشابهة لـ: {name}",
+    "similar.loading": "جارِ البحث عن أماكن مشابهة لـ: {name}…",
+    "similar.httpError": "تعذر تحميل أماكن مشابهة (HTTP {status}).",
+    "similar.failed": "تعذر تحميل أماكن مشابهة. حاول مرة أخرى.",
+    "similar.scope": "النطاق",
+    "similar.scopeCategory": "نفس التصنيف",
+    "similar.scopeDistrict": "نفس الحي",
+    "similar.scopeAll": "كل التصنيفات",
+    "similar.count": "العدد",
+    "similar.minSim": "أدنى تشابه",
+    "similar.exit": "✕ خروج",
+    "similar.anchor": "المكان المرجعي",
+
+    "saved.favorites": "المفضلة",
+    "saved.persistFailed": "تعذر حفظ القائمة على هذا الجهاز.",
+    "saved.duplicate": "يوجد قائمة بنفس الاسم.",
+    "saved.bar": "📁 {name} • {n} مكان",
+    "saved.barMissing": " • {n} غير متاح",
+    "saved.confirmDelete": "حذف القائمة \"{name}\"؟",
+    "saved.delete": "🗑️ حذف القائمة",
+    "saved.exit": "✕ خروج",
+
+    "card.compare": "مقارنة",
+    "card.compareTitle": "أضف للمقارنة",
+    "card.plan": "خطة اليوم",
+    "card.planTitle": "أضف لخطة اليوم",
+    "card.save": "حفظ",
+    "card.saveTitle": "حفظ في قائمة",
+    "card.trust": "الثقة {v}",
+    "card.reviews": "{n} مراجعة",
+    "card.filter": "فلتر",
+    "card.similarity": "تشابه {v}%",
+    "card.partial": "بيانات جزئية",
+    "card.partialTitle": "هذا المكان غير موجود في بيانات الأماكن المحلية؛ تظهر الحقول التي أرسلها البحث عن المشابه فقط",
+
+    "results.title": "قائمة الأماكن",
+    "results.titleInsight": "قائمة الأماكن ({insight})",
+    "results.search": "بحث: \"{q}\"",
+    "results.tags": "وسوم: {tags}",
+    "results.heatmap": "الخريطة الحرارية: {mode}",
+
+    "a11y.results": "{n} نتيجة معروضة",
+
+    "data.loadFailed": "فشل تحميل البيانات. يرجى المحاولة مرة أخرى.",
+    "net.offline": "لا يوجد اتصال — يتم عرض آخر بيانات محفوظة.",
+    "net.online": "تمت استعادة الاتصال.",
+    "pwa.install": "⬇️ تثبيت التطبيق",
+    "pwa.updateReady": "نسخة جديدة من التطبيق جاهزة.",
+    "pwa.updateNow": "تحديث الآن",
+  },
+
+  en: {
+    "common.all": "All",
+    "common.any": "Any",
+    "common.off": "Off",
+    "common.clear": "Clear",
+    "common.close": "Close",
+    "common.remove": "Remove",
+    "common.cancel": "Cancel",
+    "common.none": "None",
+    "common.noLimit": "No limit",
+    "common.unavailable": "Currently unavailable",
+    "common.places": "{n} places",
+    "common.results": "{n} results",
+
+    "unit.m": "{n} m",
+    "unit.km": "{n} km",
+
+    "lang.menu": "Language",
+    "lang.digits": "Arabic-Indic digits (١٢٣)",
+    "lang.digitsSub": "Applies to the Arabic interface",
+
+    "search.placeholder": "Search by tag... e.g. burger, coffee, seating...",
+    "search.clear": "Clear search",
+    "district.label": "District",
+    "district.all": "All districts",
+
+    "chip.insights": "Picks",
+    "chip.categories": "Categories",
+    "chip.sentiment": "Sentiment",
+    "chip.price": "Price",
+    "chip.ranges": "📊 Ranges",
+    "chip.tags": "Tags",
+    "chip.near": "📍 Distance",
+    "chip.area": "✏️ Area",
+    "chip.heatmap": "Heatmap",
+    "chip.choropleth": "🗺️ Districts",
+    "chip.saved": "❤️ Saved",
+    "chip.itinerary": "🗓️ Plan",
+    "chip.reset": "Reset",
+    "chip.resetValue": "filters",
+    "chip.resetAll": "Reset",
+
+    "menu.categoriesSub": "Pick one or more categories",
+    "menu.sort": "Sort",
+    "menu.radius": "Distance range",
+    "menu.areaTitle": "Draw an area on the map",
+    "menu.areaSub": "Only places inside the shape are shown",
+    "menu.choroTitle": "Shade districts by",
+    "menu.choroSub": "Computed from the current results • click a district to select it",
+    "menu.savedTitle": "Saved lists",
+    "menu.itineraryTitle": "Day plan",
+    "menu.saveToTitle": "Save to list",
+    "menu.create": "Create",
+    "menu.createAndSave": "Create & save",
+    "menu.newListPlaceholder": "New list... e.g. Weekend breakfast",
+    "menu.newListShort": "New list...",
+
+    "tags.sub": "Pick one or more tags",
+    "tags.selected": "Selected: {n}",
+    "tags.matches": "Matches: {n}",
+    "tags.count": "{n} tags",
+    "tags.search": "Find a tag...",
+    "tags.searchLabel": "Tag search",
+    "tags.searchClear": "Clear tag search",
+    "cats.count": "{n} categories",
+
+    "sentiment.إيجابي": "Positive",
+    "sentiment.محايد": "Neutral",
+    "sentiment.سلبي": "Negative",
+
+    "heat.Density": "Density",
+    "heat.Score": "Score",
+    "heat.Hexbin": "Hexbin",
+    "heat.controls": "Settings",
+    "heat.resetControls": "Reset to defaults",
+    "heat.radius": "Radius",
+    "heat.blur": "Blur",
+    "heat.intensity": "Intensity",
+    "heat.blend": "Trust + review volume",
+    "heat.densityLegend": "Places close together (each place counts once)",
+    "heat.scoreLegend": "{label} (scaled over the places shown)",
+    "hex.legend": "Places per hexagon",
+    "hex.range": "{lo} – {hi} places",
+    "hex.avg": "Average {label}: {v}",
+    "unit.px": "{n}px",
+
+    "near.default": "Recommended",
+    "near.nearest": "📍 Nearest",
+    "near.nearestShort": "Nearest",
+    "near.within": "Within {km}",
+    "near.accuracy": "Location accuracy: ±{m}",
+    "near.needsLocation": "Requires sharing your location",
+    "near.waiting": " (waiting for location)",
+    "near.unsupported": "Location isn't supported on this device.",
+    "near.shareToSort": "Share your location to sort places by distance.",
+
+    "sort.label": "Sort",
+    "sort.default": "Relevance",
+    "sort.trust": "Trust score",
+    "sort.rating": "Rating",
+    "sort.reviews": "Review count",
+    "sort.nearest": "Distance",
+    "sort.name": "Name (A–Z)",
+    "sort.newest": "Newest",
+    "sort.asc": "Ascending",
+    "sort.desc": "Descending",
+    "sort.reverse": "Reverse order",
+
+    "range.sub": "Bars show how the current results are spread",
+    "range.rating": "Rating",
+    "range.reviews": "Review count",
+    "range.trust": "Trust score",
+    "range.min": "Minimum {label}",
+    "range.max": "Maximum {label}",
+    "range.atLeast": "≥ {v}",
+    "range.atMost": "≤ {v}",
+    "range.count": "{n} ranges",
+    "locate.button": "Locate me",
+    "locate.denied": "Location sharing was denied.",
+    "locate.unavailable": "Your location can't be determined right now.",
+    "locate.timeout": "Locating you timed out.",
+    "locate.failed": "Couldn't get your location.",
+
+    "area.polygon": "✏️ Polygon",
+    "area.rect": "▭ Rectangle",
+    "area.circle": "◯ Circle",
+    "area.polygonHint": "Click to add points, then \"Finish\" or click the first point.",
+    "area.rectHint": "Click one corner, then the opposite corner.",
+    "area.circleHint": "Click the center, then the edge of the circle.",
+    "area.generic": "Area",
+    "area.remove": "🗑️ Remove area",
+    "area.finish": "Finish",
+    "area.drawn": "Drawn area",
+
+    "choro.count": "Number of places",
+    "choro.rating": "Average rating",
+    "choro.bayes2": "Median trust score",
+    "choro.positive": "Share \"positive\"",
+    "choro.price": "Price level",
+    "choro.noMatches": "No matching places",
+    "choro.noData": "No data",
+
+    "cluster.title": "{n} places • best rank {best}",
+
+    "field.rating": "Rating",
+    "field.reviews": "Reviews",
+    "field.trust": "Trust score",
+    "field.sentiment": "Sentiment",
+    "field.price": "Price",
+    "field.distance": "Distance",
+    "field.district": "District",
+    "field.uniqueTags": "Unique tags",
+
+    "sheet.tags": "Tags",
+    "sheet.saveTo": "Save to list",
+    "sheet.loading": "Loading…",
+    "sheet.noSimilar": "No similar places.",
+    "sheet.similarFailed": "Couldn't load similar places.",
+    "sheet.similarTitle": "Similar places",
+    "sheet.mismatchIn": "⚠️ The map location is in {district}",
+    "sheet.mismatchOut": "⚠️ The map location is outside the district",
+    "sheet.similar": "🔎 Similar",
+    "sheet.compare": "⚖️ Compare",
+    "sheet.compared": "⚖️ Comparing",
+    "sheet.plan": "🗓️ Add to plan",
+    "sheet.planned": "🗓️ In plan",
+    "sheet.share": "🔗 Share",
+    "share.placeCopied": "Place link copied.",
+    "share.placePrompt": "Copy the place link:",
+
+    "compare.max": "You can compare up to {n} places.",
+    "compare.open": "Compare ({n})",
+    "compare.title": "Compare places",
+    "compare.sharedTags": "Shared tags:",
+
+    "itin.morning": "☀️ Morning",
+    "itin.noon": "🍽️ Noon",
+    "itin.afternoon": "☕ Afternoon",
+    "itin.evening": "🌙 Evening",
+    "itin.max": "A plan can have at most {n} stops.",
+    "itin.added": "Added to plan: {name}",
+    "itin.imported": "Opened a shared plan.",
+    "itin.importEmpty": "None of the shared plan's places are available anymore; your plan was left as is.",
+    "itin.confirmReplace": "Replace your current plan ({n} stops) with the shared one?",
+    "itin.shareTitle": "Day plan",
+    "itin.copied": "Plan link copied.",
+    "itin.prompt": "Copy the plan link:",
+    "itin.summary": "{n} stops • {km} • {from}–{to}",
+    "itin.empty": "Add places from the results, your favorites or similar places.",
+    "itin.fromPrev": " • {km} from previous",
+    "itin.slot": "Time slot",
+    "itin.fit": "🗺️ Show route",
+    "itin.share": "🔗 Share plan",
+
+    "similar.title": "Similar places",
+    "similar.for": "Places similar to: {name}",
+    "similar.loading": "Finding places similar to: {name}…",
+    "similar.httpError": "Couldn't load similar places (HTTP {status}).",
+    "similar.failed": "Couldn't load similar places. Please try again.",
+    "similar.scope": "Scope",
+    "similar.scopeCategory": "Same category",
+    "similar.scopeDistrict": "Same district",
+    "similar.scopeAll": "All categories",
+    "similar.count": "Results",
+    "similar.minSim": "Min. similarity",
+    "similar.exit": "✕ Exit",
+    "similar.anchor": "Reference place",
+
+    "saved.favorites": "Favorites",
+    "saved.persistFailed": "Couldn't save the list on this device.",
+    "saved.duplicate": "A list with that name already exists.",
+    "saved.bar": "📁 {name} • {n} places",
+    "saved.barMissing": " • {n} unavailable",
+    "saved.confirmDelete": "Delete the list \"{name}\"?",
+    "saved.delete": "🗑️ Delete list",
+    "saved.exit": "✕ Exit",
+
+    "card.compare": "Compare",
+    "card.compareTitle": "Add to compare",
+    "card.plan": "Day plan",
+    "card.planTitle": "Add to day plan",
+    "card.save": "Save",
+    "card.saveTitle": "Save to list",
+    "card.trust": "Trust {v}",
+    "card.reviews": "{n} reviews",
+    "card.filter": "Filter",
+    "card.similarity": "{v}% match",
+    "card.partial": "Partial data",
+    "card.partialTitle": "This place isn't in the local places data; only the fields sent by the similar search are shown",
+
+    "results.title": "Places",
+    "results.titleInsight": "Places ({insight})",
+    "results.search": "search: \"{q}\"",
+    "results.tags": "tags: {tags}",
+    "results.heatmap": "Heatmap: {mode}",
+
+    "a11y.results": "{n} results shown",
+
+    "data.loadFailed": "Couldn't load places. Please try again.",
+    "net.offline": "You're offline — showing the last saved data.",
+    "net.online": "Back online.",
+    "pwa.install": "⬇️ Install app",
+    "pwa.updateReady": "A new version of the app is ready.",
+    "pwa.updateNow": "Update now",
+  },
+};
+
+// English names for district slugs; unknown slugs are humanized ("King_Fahad" -> "King Fahad")
+const DISTRICT_LABELS_EN = {
+  Olaya: "Al Olaya",
+  Malqa: "Al Malqa",
+  Nakheel: "Al Nakheel",
+  Yasmin: "Al Yasmin",
+  Sulaymaniyah: "Al Sulaymaniyah",
+  Rabwah: "Al Rabwah",
+  Wurod: "Al Wurud",
+  Hitin: "Hittin",
+  Ishbiliyah: "Ishbiliyah",
+  Qurtuba: "Qurtubah",
+  Al_Rawdah: "Al Rawdah",
+  Al_Diriyah: "Diriyah",
+  King_Fahad: "King Fahd",
+};
+
+// Arabic category names from the API; English `primary_type` values are humanized
+const CATEGORY_LABELS_EN = {
+  "مقهى": "Café",
+  "مقاهي": "Cafés",
+  "مطعم": "Restaurant",
+  "مطاعم": "Restaurants",
+  "حلويات": "Desserts",
+  "مخبز": "Bakery",
+  "مخابز": "Bakeries",
+  "برجر": "Burgers",
+  "بيتزا": "Pizza",
+  "فطور": "Breakfast",
+  "آيس كريم": "Ice cream",
+  "عصائر": "Juice bar",
+  "وجبات سريعة": "Fast food",
+  "مأكولات بحرية": "Seafood",
+  "مشويات": "Grills",
+  "other": "Other",
+};
+
+// Built-in English copy for insights whose config has no *_en fields
+const INSIGHT_TEXT_EN = {
+  must_go: { label: "Must go", micro: "Hand-picked, trusted and varied recommendations." },
+  trust_rank: { label: "Most trusted" },
+  top_rated: { label: "Top rated", micro: "High rating with enough reviews." },
+  old_is_gold: { label: "Old is gold" },
+  search_match: { label: "Search match" },
+  raqi: { label: "Upscale" },
+  discover: { label: "Discover", micro: "Great places that aren't widely known." },
+};
+
+let LANG = I18N_DEFAULT_LANG;
+let DIGITS = "latn"; // "latn" | "arab" (Arabic-Indic; only used with the Arabic UI)
+const NUMBER_FORMATS = new Map(); // "locale|decimals" -> Intl.NumberFormat
+
+function t(key, params = null) {
+  const bundle = MESSAGES[LANG] || MESSAGES[I18N_DEFAULT_LANG];
+  let s = bundle[key];
+  if (s == null) s = MESSAGES[I18N_DEFAULT_LANG][key];
+  if (s == null) {
+    console.warn(`[i18n] Missing message "${key}"`);
+    return key;
+  }
+  if (!params) return s;
+  return s.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+}
+
+function numberLocale() {
+  const base = (I18N_LANGS[LANG] || I18N_LANGS[I18N_DEFAULT_LANG]).locale;
+  return `${base}-u-nu-${LANG === "ar" ? DIGITS : "latn"}`;
+}
+
+// Locale-aware number: fmtNum(4.25, 1) -> "4.3" / "٤٫٣"; grouping for large counts
+function fmtNum(value, decimals = 0) {
+  const v = Number(value);
+  if (!Number.isFinite(v)) return "";
+  const locale = numberLocale();
+  const cacheKey = `${locale}|${decimals}`;
+  let f = NUMBER_FORMATS.get(cacheKey);
+  if (!f) {
+    try {
+      f = new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    } catch (_e) {
+      f = { format: (n) => n.toFixed(decimals) };
+    }
+    NUMBER_FORMATS.set(cacheKey, f);
+  }
+  return f.format(v);
+}
+
+// For strings assembled from ASCII digits (clock times, "p:24.7,46.6"-free UI text)
+function localizeDigits(str) {
+  const s = String(str ?? "");
+  if (LANG !== "ar" || DIGITS !== "arab") return s;
+  return s.replace(/[0-9]/g, (d) => String.fromCharCode(0x0660 + Number(d)));
+}
+
+function humanizeKey(s) {
+  return String(s || "").replace(/[_-]+/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()).trim();
+}
+
+function districtLabel(slug) {
+  const s = String(slug || "");
+  if (LANG === "en") return DISTRICT_LABELS_EN[s] || humanizeKey(s);
+  return districtLabelArFromSlug(s);
+}
+
+function categoryLabel(cat) {
+  const c = String(cat || "");
+  if (LANG === "en") return CATEGORY_LABELS_EN[c] || (/[a-z]/i.test(c) ? humanizeKey(c) : c);
+  return c;
+}
+
+// Display text for a data value of the sentiment / price facets ("الكل" is the "any" sentinel)
+function sentimentLabel(v) {
+  if (!v || v === "الكل") return t("common.all");
+  const key = `sentiment.${v}`;
+  return (key in MESSAGES.ar) ? t(key) : v;
+}
+function priceLabel(v) {
+  return (!v || v === "الكل") ? t("common.all") : v;
+}
+
+// field: "label" | "micro" | "desc"
+function insightText(it, field = "label") {
+  if (!it) return "";
+  if (it.key === "all" && field === "label") return t("common.all");
+  if (LANG === "en") {
+    const en = it[`${field}En`] || (INSIGHT_TEXT_EN[it.key] || {})[field];
+    if (en) return en;
+  }
+  return it[field] || "";
+}
+
+function readI18nPrefs() {
+  try {
+    const j = JSON.parse(localStorage.getItem(I18N_PREFS_KEY) || "null");
+    return (j && typeof j === "object") ? j : {};
+  } catch (_e) { return {}; }
+}
+
+function writeI18nPrefs() {
+  try {
+    localStorage.setItem(I18N_PREFS_KEY, JSON.stringify({ lang: LANG, digits: DIGITS }));
+  } catch (_e) { }
+}
+
+// Static markup: data-i18n (text), data-i18n-placeholder / -title / -aria-label (attributes)
+function applyStaticTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach(n => { n.textContent = t(n.getAttribute("data-i18n")); });
+  for (const attr of ["placeholder", "title", "aria-label"]) {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(n => n.setAttribute(attr, t(n.getAttribute(`data-i18n-${attr}`))));
+  }
+}
+
+function applyDocumentLanguage() {
+  const meta = I18N_LANGS[LANG] || I18N_LANGS[I18N_DEFAULT_LANG];
+  document.documentElement.lang = LANG;
+  document.documentElement.dir = meta.dir;
+  applyStaticTranslations();
+  const lv = el("langValue");
+  if (lv) lv.textContent = LANG.toUpperCase();
+}
+
+// Re-renders everything that holds translated text; filters and selection are kept
+function setLanguage(lang, { digits = DIGITS, source = "ui" } = {}) {
+  const next = I18N_LANGS[lang] ? lang : I18N_DEFAULT_LANG;
+  const nextDigits = digits === "arab" ? "arab" : "latn";
+  if (next === LANG && nextDigits === DIGITS) return;
+  LANG = next;
+  DIGITS = nextDigits;
+  writeI18nPrefs();
+
+  gaEvent("language_change", { lang: LANG, digits: DIGITS, source });
+
+  applyDocumentLanguage();
+  refreshDistrictOptions();
+  syncFilterControls();
+  buildLanguageMenu();
+  syncSavedBar();
+  renderCompareTray();
+  refreshCompareTable();
+  renderItineraryMenu();
+  if (state.similarMode) syncSimilarBar();
+  if (AREA_DRAW) refreshDrawHint();
+  render();
+  refreshPlaceSheet();
+}
+
+function buildLanguageMenu() {
+  const wrap = el("langItems");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+  for (const [key, meta] of Object.entries(I18N_LANGS)) {
+    const active = LANG === key;
+    const opt = document.createElement("button");
+    opt.type = "button";
+    opt.className = "opt" + (active ? " is-active" : "");
+    opt.lang = key;
+    opt.innerHTML = `<span>${escapeHtml(meta.label)}</span><span class="badge">${active ? "✓" : ""}</span>`;
+    opt.addEventListener("click", (e) => {
+      e.stopPropagation();
+      closeMenus();
+      setLanguage(key, { source: "menu" });
+    });
+    wrap.appendChild(opt);
+  }
+
+  const digitsOn = DIGITS === "arab";
+  const dg = document.createElement("button");
+  dg.type = "button";
+  dg.className = "opt" + (digitsOn ? " is-active" : "");
+  dg.setAttribute("aria-pressed", String(digitsOn));
+  dg.disabled = LANG !== "ar";
+  dg.title = t("lang.digitsSub");
+  dg.innerHTML = `<span>${escapeHtml(t("lang.digits"))}</span><span class="badge">${digitsOn ? "✓" : ""}</span>`;
+  dg.addEventListener("click", (e) => {
+    e.stopPropagation();
+    setLanguage(LANG, { digits: digitsOn ? "latn" : "arab", source: "menu" });
+  });
+  wrap.appendChild(dg);
+}
+
+// Before the first render: saved preference, overridden by ?lang=en|ar in the link
+function initI18n() {
+  const prefs = readI18nPrefs();
+  let lang = I18N_LANGS[prefs.lang] ? prefs.lang : I18N_DEFAULT_LANG;
+  DIGITS = prefs.digits === "arab" ? "arab" : "latn";
+  try {
+    const q = new URLSearchParams(location.search).get("lang");
+    if (q && I18N_LANGS[q]) lang = q;
+  } catch (_e) { }
+  LANG = lang;
+  if (prefs.lang !== LANG) writeI18nPrefs();
+  applyDocumentLanguage();
+  buildLanguageMenu();
+}
+
 // ================================
 // Input Validation for API Responses
 // ================================
@@ -251,6 +996,12 @@ function gaTrackFiltersDebounced(reason) {
         tagsCount,
         (state.q || "").trim(),
         state.heatmap || "Off",
+        state.choropleth || "Off",
+        state.sortMode || "default",
+        state.sortDir || "desc",
+        Object.entries(state.ranges || {}).map(([f, r]) => `${f}:${encodeRange(r)}`).join(";"),
+        state.radiusKm || 0,
+        state.area ? state.area.type : "none",
         state.similarMode ? 1 : 0
       ].join("|");
       if (sig === __gaLastSig) return;
@@ -265,6 +1016,12 @@ function gaTrackFiltersDebounced(reason) {
         price_bucket: state.price || "الكل",
         tags_count: tagsCount,
         heatmap: state.heatmap || "Off",
+        choropleth: state.choropleth || "Off",
+        sort_mode: state.sortMode || "default",
+        sort_dir: state.sortDir || "desc",
+        ranges: Object.keys(state.ranges || {}).join(",") || "none",
+        radius_km: state.radiusKm || 0,
+        area: state.area ? state.area.type : "none",
         similar_mode: state.similarMode ? 1 : 0,
         ...gaSearchMeta(state.q || "")
       });
@@ -295,72 +1052,525 @@ function districtLabelArFromSlug(slug) {
 }
 
 // ================================
-// Config: Production endpoints + caching
+// Config: API endpoints (runtime-selectable backend)
 // ================================
-const PLACES_API_URL = "https://places-830507251115.europe-west1.run.app";
-const SIMILAR_API_URL = "https://get-similar-places-830507251115.europe-west1.run.app";
+// api_config.json names the data backends and picks the default one:
+//   { "default": "production",
+//     "backends": { "<name>": { "places": "<url>", "similar": "<url>" }, ... } }
+// ?backend=<name> switches backend for the rest of the tab session (the URL sync
+// drops the parameter, so the choice lives in sessionStorage); ?backend=default
+// goes back to the configured default. The built-in production backend below is
+// used when the file can't be read; entries in the file override or extend it.
+// Backend hosts must also be listed in the CSP connect-src (index.html meta +
+// _headers.txt); `npm run check:csp` verifies it.
+// `npm run stub:places` serves the "local" backend and the app itself
+// (tools/places-stub-server.js), so http://localhost:8787/index.html?backend=local
+// talks to it same-origin.
+const API_CONFIG_URL = "./api_config.json";
+const API_BACKEND_SESSION_KEY = "rn_api_backend";
+
+const API_BACKENDS_FALLBACK = {
+  production: {
+    places: "https://places-830507251115.europe-west1.run.app",
+    similar: "https://get-similar-places-830507251115.europe-west1.run.app",
+  },
+};
+
+let API_BACKENDS = API_BACKENDS_FALLBACK;
+let API_BACKEND = "production";
+let PLACES_API_URL = API_BACKENDS_FALLBACK.production.places;
+let SIMILAR_API_URL = API_BACKENDS_FALLBACK.production.similar;
+
+// Validate one api_config.json backend (same { valid, errors } shape as the other validators)
+function validateApiBackend(name, b) {
+  const errors = [];
+  if (!isPlainObject(b)) return { valid: false, errors: [`${name}: backend must be an object`] };
+  for (const field of ["places", "similar"]) {
+    let u = null;
+    try { u = new URL(String(b[field] || "")); } catch (_e) { }
+    if (!u || (u.protocol !== "https:" && u.protocol !== "http:")) errors.push(`${field}: expected an http(s) URL`);
+  }
+  return { valid: errors.length === 0, errors };
+}
 
-const PLACES_CACHE_NAME = "rn_places_cache_v1";
-const PLACES_CACHE_META_KEY = "rn_places_cache_meta_v1";
-const PLACES_CACHE_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
+function readBackendOverride() {
+  let name = null;
+  try {
+    const q = new URLSearchParams(location.search).get("backend");
+    if (q === "default") sessionStorage.removeItem(API_BACKEND_SESSION_KEY);
+    else if (q) sessionStorage.setItem(API_BACKEND_SESSION_KEY, q);
+    name = sessionStorage.getItem(API_BACKEND_SESSION_KEY);
+  } catch (_e) { }
+  return name;
+}
 
-function readPlacesCacheMeta() {
+// Resolves PLACES_API_URL / SIMILAR_API_URL before anything is fetched
+async function loadApiConfig() {
+  let cfg = null;
   try {
-    const raw = localStorage.getItem(PLACES_CACHE_META_KEY);
-    if (!raw) return null;
-    const j = JSON.parse(raw);
-    if (!j || typeof j !== "object") return null;
-    return j;
-  } catch (_e) { return null; }
+    const res = await fetch(API_CONFIG_URL, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    cfg = await res.json();
+  } catch (e) {
+    console.warn("[API] api_config.json not available, using production endpoints.", e);
+  }
+
+  const backends = {};
+  for (const [name, b] of Object.entries((cfg && isPlainObject(cfg.backends)) ? cfg.backends : {})) {
+    const checked = validateApiBackend(name, b);
+    if (!checked.valid) {
+      console.error(`[API] Rejected backend "${name}" from api_config.json:\n  - ${checked.errors.join("\n  - ")}`);
+      continue;
+    }
+    backends[name] = { places: String(b.places), similar: String(b.similar) };
+  }
+  API_BACKENDS = { ...API_BACKENDS_FALLBACK, ...backends };
+
+  const override = readBackendOverride();
+  if (override && !API_BACKENDS[override]) {
+    console.warn(`[API] Unknown backend "${override}"; known: ${Object.keys(API_BACKENDS).join(", ")}`);
+    try { sessionStorage.removeItem(API_BACKEND_SESSION_KEY); } catch (_e) { }
+  }
+  const preferred = [override, cfg && cfg.default, "production"].find(n => n && API_BACKENDS[n]);
+  API_BACKEND = preferred || Object.keys(API_BACKENDS)[0];
+  PLACES_API_URL = API_BACKENDS[API_BACKEND].places;
+  SIMILAR_API_URL = API_BACKENDS[API_BACKEND].similar;
+  return API_BACKEND;
+}
+
+// ================================
+// Local data store (IndexedDB)
+// ================================
+// One versioned database for everything kept on the device:
+//   places     API rows, { id, district, seq, row }       (index: district)
+//   districts  district GeoJSON, { key, geojson }
+//   config     small records, { key, ... } (sync cursor, import markers)
+//   user       saved lists / itinerary / notes, { key, kind, value } (index: kind)
+// Schema changes are appended to STORE_MIGRATIONS and applied in order inside
+// onupgradeneeded. When IndexedDB can't be opened (private mode, blocked, old
+// browser) the same functions run against in-memory maps and STORE_PERSISTENT
+// stays false.
+const STORE_DB_NAME = "rn_store";
+const STORE_NAMES = ["places", "districts", "config", "user"];
+const STORE_MIGRATIONS = [
+  {
+    version: 1,
+    up(db) {
+      db.createObjectStore("places", { keyPath: "id" }).createIndex("district", "district");
+      db.createObjectStore("districts", { keyPath: "key" });
+      db.createObjectStore("config", { keyPath: "key" });
+      db.createObjectStore("user", { keyPath: "key" }).createIndex("kind", "kind");
+    },
+  },
+];
+const STORE_DB_VERSION = STORE_MIGRATIONS[STORE_MIGRATIONS.length - 1].version;
+const STORE_KEY_PATHS = { places: "id", districts: "key", config: "key", user: "key" };
+
+// Storage used before the store existed; imported once by importLegacyData()
+const LEGACY_USER_DB_NAME = "rn_user_db";
+const LEGACY_SAVED_LISTS_STORE = "saved_lists";
+const LEGACY_ITINERARY_KEY = "rn_itinerary_v1";
+const LEGACY_PLACES_CACHE_NAME = "rn_places_cache_v1";
+const LEGACY_PLACES_SYNC_META_KEY = "rn_places_sync_v1";
+const LEGACY_PLACES_META_KEY = "rn_places_cache_meta_v1";
+
+let STORE_DB = null;
+let STORE_DB_PROMISE = null;
+let STORE_PERSISTENT = false;
+let STORE_MEMORY = null; // Map(store name -> Map(key -> record)) in fallback mode
+let STORE_IMPORTING = false; // importLegacyData() is running inside openDataStore()
+
+const cloneRecord = (v) => (typeof structuredClone === "function" ? structuredClone(v) : JSON.parse(JSON.stringify(v)));
+
+function openIdb() {
+  return new Promise((resolve, reject) => {
+    if (!("indexedDB" in window) || !window.indexedDB) { reject(new Error("IndexedDB not available")); return; }
+    const req = indexedDB.open(STORE_DB_NAME, STORE_DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (const m of STORE_MIGRATIONS) {
+        if (m.version > e.oldVersion) m.up(req.result, req.transaction);
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab is upgrading the schema: let it
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  });
+}
+
+// Resolves to the IDBDatabase, or null in memory mode. Never rejects.
+function openDataStore() {
+  if (STORE_DB_PROMISE) return STORE_DB_PROMISE;
+  STORE_DB_PROMISE = (async () => {
+    let db = null;
+    try {
+      db = await openIdb();
+      STORE_PERSISTENT = true;
+    } catch (e) {
+      console.warn("[Store] IndexedDB unavailable; data will not persist.", e);
+      STORE_MEMORY = new Map(STORE_NAMES.map(n => [n, new Map()]));
+    }
+    STORE_DB = db;
+    STORE_IMPORTING = true;
+    try { await importLegacyData(); } finally { STORE_IMPORTING = false; }
+    return db;
+  })();
+  return STORE_DB_PROMISE;
+}
+
+// Reads/writes wait for the legacy import, except the import's own
+function storeReady() {
+  return STORE_IMPORTING ? Promise.resolve(STORE_DB) : openDataStore();
+}
+
+function idbDone(tx, req = null) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function storeGet(storeName, key) {
+  await storeReady();
+  if (!STORE_DB) {
+    const hit = STORE_MEMORY.get(storeName).get(String(key));
+    return hit ? cloneRecord(hit) : undefined;
+  }
+  const tx = STORE_DB.transaction(storeName, "readonly");
+  return idbDone(tx, tx.objectStore(storeName).get(key));
 }
-function writePlacesCacheMeta(meta) {
-  try { localStorage.setItem(PLACES_CACHE_META_KEY, JSON.stringify(meta || {})); } catch (_e) { }
+
+// All records of a store, or those whose `index` equals `value`
+async function storeGetAll(storeName, index = null, value = undefined) {
+  await storeReady();
+  if (!STORE_DB) {
+    const rows = [...STORE_MEMORY.get(storeName).values()];
+    return rows.filter(r => !index || r[index] === value).map(cloneRecord);
+  }
+  const tx = STORE_DB.transaction(storeName, "readonly");
+  const st = tx.objectStore(storeName);
+  const req = index ? st.index(index).getAll(value) : st.getAll();
+  return (await idbDone(tx, req)) || [];
+}
+
+// Applies { clear, del: [keys], put: [records] } to one store in one transaction
+async function storeWrite(storeName, { clear = false, del = [], put = [] } = {}) {
+  await storeReady();
+  if (!STORE_DB) {
+    const m = STORE_MEMORY.get(storeName);
+    const keyPath = STORE_KEY_PATHS[storeName];
+    if (clear) m.clear();
+    for (const k of del) m.delete(String(k));
+    for (const r of put) m.set(String(r[keyPath]), cloneRecord(r));
+    return;
+  }
+  const tx = STORE_DB.transaction(storeName, "readwrite");
+  const st = tx.objectStore(storeName);
+  if (clear) st.clear();
+  for (const k of del) st.delete(k);
+  for (const r of put) st.put(r);
+  await idbDone(tx);
 }
 
-async function fetchPlacesCached(requestUrl) {
-  const meta = readPlacesCacheMeta();
-  const now = Date.now();
-  const isFresh = !!(meta && meta.url === requestUrl && meta.ts && (now - meta.ts) < PLACES_CACHE_MAX_AGE_MS);
+// One-time move of data kept in older places (separate DB, localStorage, Cache API).
+// Each source is deleted only once it was read and its data is safely in
+// IndexedDB; a source that couldn't be read stays put and the import runs again
+// on the next start (the "legacy_import" marker is written once all are done).
+async function importLegacyData() {
+  try {
+    if (STORE_PERSISTENT && await storeGet("config", "legacy_import")) return;
+  } catch (_e) { return; }
+
+  let listRows = [];
+  let listsRead = !STORE_PERSISTENT; // memory mode never touches the old DB
+  let itineraryRows = [];
+  let itineraryRead = false;
+
+  // Saved lists (rn_user_db)
+  if (STORE_PERSISTENT) {
+    try {
+      const lists = await new Promise((resolve) => {
+        const req = indexedDB.open(LEGACY_USER_DB_NAME);
+        let missing = false;
+        req.onupgradeneeded = () => { missing = true; req.transaction.abort(); }; // didn't exist: don't create it
+        req.onerror = (ev) => {
+          if (missing) ev.preventDefault();
+          resolve(missing ? [] : null);
+        };
+        req.onsuccess = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(LEGACY_SAVED_LISTS_STORE)) { db.close(); resolve([]); return; }
+          const tx = db.transaction(LEGACY_SAVED_LISTS_STORE, "readonly");
+          const r = tx.objectStore(LEGACY_SAVED_LISTS_STORE).getAll();
+          tx.oncomplete = () => { db.close(); resolve(r.result || []); };
+          tx.onerror = () => { db.close(); resolve(null); };
+        };
+      });
+      if (lists) {
+        listRows = lists.filter(l => l && l.id).map(l => ({ key: `list:${l.id}`, kind: "saved_list", value: l }));
+        listsRead = true;
+      } else {
+        console.warn("[Store] Could not read legacy saved lists; will retry next start");
+      }
+    } catch (e) {
+      console.warn("[Store] Could not read legacy saved lists:", e);
+    }
+  }
 
+  // Itinerary (localStorage)
   try {
-    if ("caches" in window) {
-      const cache = await caches.open(PLACES_CACHE_NAME);
-      const cachedResp = await cache.match(requestUrl);
-      if (cachedResp) {
-        if (!isFresh) {
-          // Background refresh with retry logic
-          (async () => {
-            try {
-              const net = await fetchWithRetry(requestUrl, { cache: "no-store" }, 3);
-              if (net.ok) {
-                await cache.put(requestUrl, net.clone());
-                writePlacesCacheMeta({ url: requestUrl, ts: Date.now() });
-              }
-            } catch (error) {
-              console.error("[Cache] Background refresh failed:", error);
-            }
-          })();
-        }
-        const payload = await cachedResp.json();
-        return { payload, source: isFresh ? "cache_fresh" : "cache_stale" };
+    const raw = localStorage.getItem(LEGACY_ITINERARY_KEY);
+    const stops = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(stops)) throw new Error("not an array");
+    if (raw) itineraryRows = [{ key: "itinerary", kind: "itinerary", value: stops }];
+    itineraryRead = true;
+  } catch (e) {
+    console.warn("[Store] Could not read legacy itinerary; will retry next start:", e);
+  }
+
+  // Places payload (Cache API) + its sync cursor (localStorage)
+  let placesRows = null;
+  let placesRead = false;
+  let syncMeta = null;
+  try {
+    syncMeta = JSON.parse(localStorage.getItem(LEGACY_PLACES_SYNC_META_KEY) || "null");
+    if (syncMeta && syncMeta.url && "caches" in window) {
+      const cache = await caches.open(LEGACY_PLACES_CACHE_NAME);
+      const hit = await cache.match(syncMeta.url);
+      const payload = hit ? await hit.json() : null;
+      if (payload && Array.isArray(payload.results)) placesRows = payload.results;
+    }
+    placesRead = true;
+  } catch (e) {
+    console.warn("[Store] Could not read legacy places cache:", e);
+  }
+
+  // Write, then drop, one source at a time: a failure leaves that source (and
+  // every later one) in place for the next attempt
+  try {
+    if (listsRead) {
+      if (listRows.length) await storeWrite("user", { put: listRows });
+      if (STORE_PERSISTENT) {
+        try { indexedDB.deleteDatabase(LEGACY_USER_DB_NAME); } catch (_e) { }
       }
-      // No cache hit - fetch with retry
-      const net = await fetchWithRetry(requestUrl, { cache: "no-store" }, 3);
-      if (net.ok) {
-        await cache.put(requestUrl, net.clone());
-        writePlacesCacheMeta({ url: requestUrl, ts: Date.now() });
+    }
+    if (itineraryRead) {
+      if (itineraryRows.length) await storeWrite("user", { put: itineraryRows });
+      if (STORE_PERSISTENT) {
+        try { localStorage.removeItem(LEGACY_ITINERARY_KEY); } catch (_e) { }
       }
-      const payload = await net.json();
-      return { payload, source: "network" };
     }
-  } catch (error) {
-    console.error("[Cache] Cache operation failed, falling back to direct fetch:", error);
+    if (placesRead) {
+      if (placesRows) {
+        await storeWrite("places", { clear: true, put: placesRows.map(placeRecord).filter(r => r.id) });
+        await storeWrite("config", { put: [{ key: "places_sync", ...syncMeta }] });
+      }
+      if (STORE_PERSISTENT) {
+        try {
+          localStorage.removeItem(LEGACY_PLACES_SYNC_META_KEY);
+          localStorage.removeItem(LEGACY_PLACES_META_KEY);
+        } catch (_e) { }
+        if ("caches" in window) caches.delete(LEGACY_PLACES_CACHE_NAME).catch(() => { });
+      }
+    }
+    if (!STORE_PERSISTENT) return; // memory mode re-reads the old sources next time
+
+    if (listsRead && itineraryRead && placesRead) {
+      await storeWrite("config", { put: [{ key: "legacy_import", at: Date.now() }] });
+    }
+  } catch (e) {
+    console.error("[Store] Legacy import failed; old data left in place:", e);
+  }
+}
+
+// ================================
+// Places sync (ETag + updated_since deltas)
+// ================================
+// The merged dataset lives in the "places" store of the local data store, one
+// record per place; the sync cursor is the config record "places_sync".
+//
+// Protocol with the places endpoint:
+//   GET <url>                        -> 200 { results, cursor } + ETag
+//   GET <url>&updated_since=<cursor>  (If-None-Match: <etag>)
+//     -> 304                          nothing changed
+//     -> 200 { changes, removed, cursor } + ETag   delta to merge
+//     -> 200 { results, cursor }      server chose a full snapshot
+//     -> 410                          cursor too old: full resync
+// tools/places-stub-server.js implements this for local testing.
+const PLACES_SYNC_MIN_INTERVAL_MS = 1000 * 60 * 5; // don't ask again within 5 minutes
+
+async function readPlacesSyncMeta() {
+  try {
+    const rec = await storeGet("config", "places_sync");
+    if (!rec || typeof rec !== "object") return null;
+    const { key: _key, ...meta } = rec;
+    return meta;
+  } catch (_e) { return null; }
+}
+async function writePlacesSyncMeta(meta) {
+  try {
+    await storeWrite("config", { put: [{ ...(meta || {}), key: "places_sync" }] });
+  } catch (e) {
+    console.warn("[Sync] Could not store sync state:", e);
+  }
+}
+
+function placeRowKey(p) {
+  return String((p && (p.place_id || p.id || p.gid)) || "");
+}
+
+// Removals first, then upserts: updated rows keep their position, new rows go last
+function mergePlacesDelta(rows, changes, removed) {
+  const gone = new Set((removed || []).map(String));
+  const byKey = new Map();
+  for (const p of changes || []) {
+    const k = placeRowKey(p);
+    if (k) byKey.set(k, p);
+  }
+
+  const out = [];
+  for (const p of rows || []) {
+    const k = placeRowKey(p);
+    if (gone.has(k)) continue;
+    if (byKey.has(k)) {
+      out.push(byKey.get(k));
+      byKey.delete(k);
+    } else {
+      out.push(p);
+    }
+  }
+  for (const p of byKey.values()) out.push(p);
+  return out;
+}
+
+// Store records keep the API row untouched plus what we index/sort on.
+// `seq` preserves the server order: updated places keep theirs, new ones go last.
+let PLACES_STORE_SEQ = new Map(); // place key -> seq of the stored record
+
+function placeRecord(row, seq) {
+  return { id: placeRowKey(row), district: String(row.district || row.district_ar || ""), seq, row };
+}
+
+async function readStoredPlaces() {
+  try {
+    const recs = await storeGetAll("places");
+    if (!recs.length) return null;
+    recs.sort((a, b) => a.seq - b.seq);
+    PLACES_STORE_SEQ = new Map(recs.map(r => [r.id, r.seq]));
+    return { results: recs.map(r => r.row) };
+  } catch (e) {
+    console.warn("[Sync] Could not read stored places:", e);
+    return null;
+  }
+}
+
+async function writeStoredPlaces(rows) {
+  try {
+    const put = rows.map(placeRecord).filter(r => r.id);
+    await storeWrite("places", { clear: true, put });
+    PLACES_STORE_SEQ = new Map(put.map(r => [r.id, r.seq]));
+  } catch (e) {
+    console.warn("[Sync] Could not store places:", e);
+  }
+}
+
+async function writeStoredPlacesDelta(changes, removed) {
+  try {
+    let next = PLACES_STORE_SEQ.size ? Math.max(...PLACES_STORE_SEQ.values()) + 1 : 0;
+    const put = [];
+    for (const row of changes) {
+      const k = placeRowKey(row);
+      if (!k) continue;
+      if (!PLACES_STORE_SEQ.has(k)) PLACES_STORE_SEQ.set(k, next++);
+      put.push(placeRecord(row, PLACES_STORE_SEQ.get(k)));
+    }
+    const del = (removed || []).map(String);
+    await storeWrite("places", { del, put });
+    for (const k of del) PLACES_STORE_SEQ.delete(k);
+  } catch (e) {
+    console.warn("[Sync] Could not store places delta:", e);
+  }
+}
+
+// One sync round. `stored` is the current local payload (null forces a full fetch).
+// Resolves to { payload, changed, mode: "full" | "delta" | "not_modified" }.
+async function syncPlaces(requestUrl, stored, meta) {
+  const canDelta = !!(stored && meta && meta.url === requestUrl && meta.cursor);
+  const url = new URL(requestUrl);
+  if (canDelta) url.searchParams.set("updated_since", String(meta.cursor));
+
+  const headers = {};
+  if (stored && meta && meta.url === requestUrl && meta.etag) headers["If-None-Match"] = meta.etag;
+
+  const res = await fetchWithRetry(url.toString(), { cache: "no-store", headers }, 3);
+
+  if (res.status === 304 && stored) {
+    await writePlacesSyncMeta({ ...meta, syncedAt: Date.now() });
+    return { payload: stored, changed: false, mode: "not_modified" };
+  }
+  if (res.status === 410 && canDelta) {
+    console.warn("[Sync] Cursor expired, doing a full resync");
+    return syncPlaces(requestUrl, null, null);
+  }
+  if (!res.ok) {
+    const err = new Error(`Places sync failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+
+  const body = await res.json();
+  const isDelta = body && (Array.isArray(body.changes) || Array.isArray(body.removed)) && !Array.isArray(body.results);
+  let payload;
+  let mode;
+  if (isDelta) {
+    if (!stored) return syncPlaces(requestUrl, null, null);
+    const checked = validateAPIResponse({ results: body.changes || [] }, "places_delta");
+    if (!checked.valid) throw new Error(`Invalid places delta: ${checked.error}`);
+    payload = { ...stored, results: mergePlacesDelta(stored.results, checked.results, body.removed) };
+    mode = "delta";
+    gaEvent("places_delta", { changed: checked.results.length, removed: (body.removed || []).length });
+    await writeStoredPlacesDelta(checked.results, body.removed);
+  } else {
+    payload = body;
+    mode = "full";
+    await writeStoredPlaces(Array.isArray(body.results) ? body.results : []);
   }
 
-  // Fallback to direct fetch with retry
-  const net = await fetchWithRetry(requestUrl, { cache: "no-store" }, 3);
-  const payload = await net.json();
-  return { payload, source: "network_nocache" };
+  await writePlacesSyncMeta({
+    url: requestUrl,
+    etag: res.headers.get("ETag") || null,
+    cursor: (body && body.cursor != null) ? String(body.cursor) : null,
+    syncedAt: Date.now(),
+    count: Array.isArray(payload.results) ? payload.results.length : 0,
+  });
+
+  const changed = mode === "full" || (body.changes || []).length > 0 || (body.removed || []).length > 0;
+  return { payload, changed, mode };
+}
+
+// Serves the local store immediately and syncs in the background; `onUpdate`
+// gets the merged payload when the server had changes.
+async function fetchPlacesCached(requestUrl, { onUpdate = null } = {}) {
+  const meta = await readPlacesSyncMeta();
+  const stored = (meta && meta.url === requestUrl) ? await readStoredPlaces() : null;
+
+  if (stored && Array.isArray(stored.results)) {
+    const due = !meta.syncedAt || (Date.now() - meta.syncedAt) >= PLACES_SYNC_MIN_INTERVAL_MS;
+    if (due) {
+      syncPlaces(requestUrl, stored, meta)
+        .then(r => { if (r.changed && onUpdate) onUpdate(r.payload, r.mode); })
+        .catch(e => console.warn("[Sync] Background sync failed:", e && (e.status || e.message)));
+    }
+    return { payload: stored, source: due ? "store_syncing" : "store" };
+  }
+
+  const { payload } = await syncPlaces(requestUrl, null, null);
+  return { payload, source: "network" };
 }
 
 // ================================
@@ -383,10 +1593,11 @@ let DISTRICT_GEOJSON_MAP = null;
 // Data + UI state
 // ================================
 let DATA = [];
+let DATA_BY_ID = new Map();
 
 let TOGGLE_CONFIG = null;
 let INSIGHTS = [
-  { key: "all", label: "الكل", emoji: "✨", predicate: (_) => true, sort: "desc:bayes2_score", heatFn: null },
+  { key: "all", label: "الكل", emoji: "✨", predicate: (_) => true, sort: [{ field: "bayes2_score", dir: "desc" }], heatFn: null },
 ];
 
 let CATEGORIES = [{ key: "all", label: "الكل", emoji: "✨" }];
@@ -398,19 +1609,32 @@ let TAGS = [];
 let TAG_COUNTS = new Map();
 let TAGS_DRAFT = null;
 
+const DEFAULT_INSIGHT = "must_go";
+
 const state = {
   similarMode: false,
   similarAnchor: null,
   similarResults: [],
+  similarScope: "category", // see SIMILAR_DEFAULTS
+  similarK: 40,
+  similarMinSim: 0,
+  savedListId: null,
   q: "",
   district: "all",
-  insight: "must_go",
+  insight: DEFAULT_INSIGHT,
   categories: new Set(["all"]),
   sentiment: "الكل",
   price: "الكل",
   tags: new Set(),
   tagsQuery: "",
   heatmap: "Off",
+  heatOpts: { radius: 22, blur: 18, intensity: 1 }, // see HEAT_DEFAULTS
+  choropleth: "Off",   // district overlay metric (see CHORO_METRICS)
+  sortMode: "default", // a SORT_MODES key; "default" keeps the insight / search relevance order
+  sortDir: "desc",     // "asc" | "desc" for every mode except "default"
+  ranges: {},          // field -> [min|null, max|null] (see RANGE_FILTERS)
+  radiusKm: 0,         // 0 = no distance limit
+  area: null,          // drawn area filter (see "Custom area filter")
 };
 
 const el = (id) => document.getElementById(id);
@@ -448,6 +1672,16 @@ function num(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
+// Great-circle distance in km
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371.0088 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
 // ================================
 // District GeoJSON
 // ================================
@@ -457,13 +1691,119 @@ async function loadDistrictGeojsonMap() {
     const res = await fetch("./district_geojson_map.json", { cache: "force-cache" });
     if (!res.ok) throw new Error("district_geojson_map fetch failed");
     DISTRICT_GEOJSON_MAP = await res.json();
+    storeDistrictGeojson(DISTRICT_GEOJSON_MAP, res.headers.get("ETag") || res.headers.get("Last-Modified"));
   } catch (e) {
     console.warn("Failed to load district_geojson_map.json", e);
-    DISTRICT_GEOJSON_MAP = {};
+    DISTRICT_GEOJSON_MAP = await readStoredDistrictGeojson();
   }
+  DISTRICT_INDEX = buildDistrictIndex(DISTRICT_GEOJSON_MAP);
+  tagPlacesWithDistricts(DATA);
   return DISTRICT_GEOJSON_MAP;
 }
 
+// Offline copy in the "districts" store, one record per district key.
+// `version` (ETag / Last-Modified) skips rewriting shapes that haven't changed.
+async function storeDistrictGeojson(geojsonMap, version = null) {
+  try {
+    const prev = await storeGet("config", "districts");
+    if (version && prev && prev.version === version) return;
+    const put = Object.entries(geojsonMap || {}).map(([key, geojson]) => ({ key, geojson }));
+    await storeWrite("districts", { clear: true, put });
+    await storeWrite("config", { put: [{ key: "districts", version, count: put.length, storedAt: Date.now() }] });
+  } catch (e) {
+    console.warn("[Store] Could not store district shapes:", e);
+  }
+}
+
+async function readStoredDistrictGeojson() {
+  try {
+    const recs = await storeGetAll("districts");
+    return Object.fromEntries(recs.map(r => [r.key, r.geojson]));
+  } catch (_e) {
+    return {};
+  }
+}
+
+// ---- Spatial index: one entry per polygon, bbox first, exact test second ----
+// Entries are sorted smallest-first, so where shapes overlap the most specific
+// district wins instead of whichever key happens to come first in the JSON.
+let DISTRICT_INDEX = null; // [{ key, bbox: [minX, minY, maxX, maxY], coords, area }]
+
+function ringArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (Number(ring[j][0]) + Number(ring[i][0])) * (Number(ring[j][1]) - Number(ring[i][1]));
+  }
+  return Math.abs(a / 2);
+}
+
+function buildDistrictIndex(geojsonMap) {
+  const entries = [];
+  const addPolygon = (key, coords) => {
+    if (!Array.isArray(coords) || !Array.isArray(coords[0]) || coords[0].length < 3) return;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const c of coords[0]) {
+      const x = Number(c[0]);
+      const y = Number(c[1]);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+    if (!Number.isFinite(minX)) return;
+    const area = coords.reduce((a, ring, i) => a + (i === 0 ? 1 : -1) * ringArea(ring), 0);
+    entries.push({ key, bbox: [minX, minY, maxX, maxY], coords, area });
+  };
+
+  for (const [key, fc] of Object.entries(geojsonMap || {})) {
+    for (const f of (fc && fc.features) || []) {
+      const g = f && f.geometry;
+      if (!g) continue;
+      if (g.type === "Polygon") addPolygon(key, g.coordinates);
+      else if (g.type === "MultiPolygon") (g.coordinates || []).forEach(c => addPolygon(key, c));
+    }
+  }
+
+  entries.sort((a, b) => a.area - b.area);
+  return entries;
+}
+
+// Synchronous lookup against DISTRICT_INDEX (null until the GeoJSON has loaded)
+function districtAt(lat, lng) {
+  const x = Number(lng);
+  const y = Number(lat);
+  if (!DISTRICT_INDEX || !Number.isFinite(x) || !Number.isFinite(y)) return null;
+  for (const e of DISTRICT_INDEX) {
+    const [minX, minY, maxX, maxY] = e.bbox;
+    if (x < minX || x > maxX || y < minY || y > maxY) continue;
+    if (pointInPolygon([x, y], e.coords)) return e.key;
+  }
+  return null;
+}
+
+// Adds geo_district (containing polygon, or null) and district_mismatch to each
+// place. Only districts we have a shape for can disagree with the API.
+function tagPlacesWithDistricts(rows) {
+  if (!DISTRICT_INDEX || !Array.isArray(rows) || !rows.length) return;
+  const known = new Set(DISTRICT_INDEX.map(e => e.key));
+  const mismatched = [];
+
+  for (const p of rows) {
+    p.geo_district = districtAt(p.lat, p.lng);
+    p.district_mismatch = known.has(p.district) && p.geo_district !== p.district;
+    if (p.district_mismatch) mismatched.push(p);
+  }
+
+  if (mismatched.length) {
+    console.warn(
+      `[District] ${mismatched.length} place(s) have an API district that disagrees with their coordinates:`,
+      mismatched.slice(0, 10).map(p => `${p.id} (${p.district} → ${p.geo_district || "none"})`)
+    );
+    gaEvent("district_mismatch", { count: mismatched.length, total: rows.length });
+  }
+}
+
 // Backwards compatible alias (some earlier stages referenced this name)
 async function loadDistrictGeoJSON() {
   return loadDistrictGeojsonMap();
@@ -533,76 +1873,80 @@ async function focusDistrict(key) {
   try { MAP.fitBounds(b, { padding: [30, 30] }); } catch (_e) { }
 }
 
+// Apply a district filter from any control (select, choropleth click)
+async function selectDistrict(key, source = "select") {
+  state.district = key || "all";
+  SELECTED_ID = null;
+  const districtEl = el("district");
+  if (districtEl && districtEl.value !== state.district) districtEl.value = state.district;
+
+  // Picking a district replaces a drawn area (and vice versa, see applyArea)
+  if (state.district !== "all" && state.area) {
+    state.area = null;
+    clearAreaShape();
+    const av = el("areaValue");
+    if (av) av.textContent = areaChipLabel();
+    buildAreaMenu();
+  }
+
+  gaEvent("district_change", { district: state.district, source });
+  gaTrackFiltersDebounced("district_change");
+
+  render();
+  showSelectedDistrictBoundary(state.district);
+  await focusDistrict(state.district);
+}
+
 // Find which district contains a given lat/lng point
 async function findDistrictForLocation(lat, lng) {
-  if (!lat || !lng) return null;
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) return null;
+  await loadDistrictGeojsonMap();
+  return districtAt(lat, lng);
+}
 
-  const m = await loadDistrictGeojsonMap();
-  if (!m) return null;
+// Ray casting on one linear ring of [x, y] positions. Points on an edge count as inside.
+function pointInRing(x, y, ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return false;
 
-  const point = L.latLng(lat, lng);
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if (!Array.isArray(a) || !Array.isArray(b)) continue;
+    const xi = Number(a[0]), yi = Number(a[1]);
+    const xj = Number(b[0]), yj = Number(b[1]);
+    if (!Number.isFinite(xi) || !Number.isFinite(yi) || !Number.isFinite(xj) || !Number.isFinite(yj)) continue;
+
+    const cross = (x - xi) * (yj - yi) - (y - yi) * (xj - xi);
+    if (Math.abs(cross) < 1e-12
+      && x >= Math.min(xi, xj) && x <= Math.max(xi, xj)
+      && y >= Math.min(yi, yj) && y <= Math.max(yi, yj)) return true;
+
+    if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) inside = !inside;
+  }
+  return inside;
+}
 
-  // Check each district to see if the point is inside
-  for (const [districtKey, featureCollection] of Object.entries(m)) {
-    if (!featureCollection || !featureCollection.features) continue;
+// Point-in-polygon for GeoJSON coordinates: [lng, lat] against a Polygon
+// (outer ring + holes), a MultiPolygon, or a bare ring. Malformed input is "outside".
+function pointInPolygon(point, polygon) {
+  if (!Array.isArray(point) || !Array.isArray(polygon) || !polygon.length) return false;
+  const x = Number(point[0]);
+  const y = Number(point[1]);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
 
-    // Create a temporary layer to check if point is inside
-    try {
-      const layer = L.geoJSON(featureCollection);
-      let isInside = false;
-
-      layer.eachLayer((l) => {
-        if (l.getBounds && l.getBounds().contains(point)) {
-          // More precise check using polygon contains
-          if (l.feature && l.feature.geometry && l.feature.geometry.coordinates) {
-            const poly = l.feature.geometry.coordinates;
-            if (pointInPolygon([lng, lat], poly)) {
-              isInside = true;
-            }
-          }
-        }
-      });
+  // Bare ring: [[x, y], ...]
+  if (typeof polygon[0]?.[0] === "number") return pointInRing(x, y, polygon);
 
-      if (isInside) {
-        return districtKey;
-      }
-    } catch (e) {
-      console.warn(`[District] Error checking district ${districtKey}:`, e);
-    }
-  }
-
-  return null;
-}
-
-// Point-in-polygon algorithm for GeoJSON coordinates
-function pointInPolygon(point, polygon) {
-  const x = point[0];
-  const y = point[1];
-
-  // Handle both Polygon and MultiPolygon
-  let rings = polygon;
-  if (polygon[0] && Array.isArray(polygon[0][0]) && Array.isArray(polygon[0][0][0])) {
-    // MultiPolygon - check all polygons
-    for (const poly of polygon) {
-      if (pointInPolygon(point, poly)) return true;
-    }
-    return false;
-  }
-
-  // Single Polygon - check outer ring (first ring)
-  const ring = rings[0];
-  if (!ring || !Array.isArray(ring)) return false;
-
-  let inside = false;
-  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const xi = ring[i][0], yi = ring[i][1];
-    const xj = ring[j][0], yj = ring[j][1];
+  // MultiPolygon: inside any member polygon
+  if (Array.isArray(polygon[0]?.[0]?.[0])) return polygon.some(poly => pointInPolygon(point, poly));
 
-    const intersect = ((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-    if (intersect) inside = !inside;
+  // Polygon: inside the outer ring and not inside any hole
+  if (!pointInRing(x, y, polygon[0])) return false;
+  for (let k = 1; k < polygon.length; k++) {
+    if (pointInRing(x, y, polygon[k])) return false;
   }
-
-  return inside;
+  return true;
 }
 
 // ================================
@@ -642,6 +1986,9 @@ function initLeafletMap() {
   osm.addTo(MAP);
 
   MARKERS_LAYER = L.layerGroup().addTo(MAP);
+  COMPARE_LAYER = L.layerGroup().addTo(MAP);
+  ITINERARY_LAYER = L.layerGroup().addTo(MAP);
+  MAP.on("moveend", debounce(refreshMarkerClusters, 60));
 
   return MAP;
 }
@@ -650,6 +1997,40 @@ function initLeafletMap() {
 // ================================
 let USER_LOC_MARKER = null;
 let USER_LOC_CIRCLE = null;
+let USER_LOC = null; // { lat, lng, acc, at } from the latest fix
+
+// Remember the fix and move the "you are here" dot + accuracy ring
+function updateUserLocation(pos) {
+  const lat = pos.coords.latitude;
+  const lng = pos.coords.longitude;
+  const acc = Math.max(10, pos.coords.accuracy || 50);
+  USER_LOC = { lat, lng, acc, at: Date.now() };
+
+  const map = initLeafletMap();
+  if (!map) return USER_LOC;
+
+  if (USER_LOC_MARKER) {
+    USER_LOC_MARKER.setLatLng([lat, lng]);
+  } else {
+    USER_LOC_MARKER = L.circleMarker([lat, lng], {
+      radius: 7,
+      weight: 2,
+      fillOpacity: 0.9,
+    }).addTo(map);
+  }
+
+  if (USER_LOC_CIRCLE) {
+    USER_LOC_CIRCLE.setLatLng([lat, lng]);
+    USER_LOC_CIRCLE.setRadius(acc);
+  } else {
+    USER_LOC_CIRCLE = L.circle([lat, lng], {
+      radius: acc,
+      weight: 1,
+      fillOpacity: 0.10,
+    }).addTo(map);
+  }
+  return USER_LOC;
+}
 
 // Shared geolocation trigger function
 function triggerGeolocation(options = {}) {
@@ -670,30 +2051,8 @@ function triggerGeolocation(options = {}) {
   navigator.geolocation.getCurrentPosition(
     async (pos) => {
       if (setBusy) setBusy(false);
-      const lat = pos.coords.latitude;
-      const lng = pos.coords.longitude;
-      const acc = Math.max(10, pos.coords.accuracy || 50);
-
-      if (USER_LOC_MARKER) {
-        USER_LOC_MARKER.setLatLng([lat, lng]);
-      } else {
-        USER_LOC_MARKER = L.circleMarker([lat, lng], {
-          radius: 7,
-          weight: 2,
-          fillOpacity: 0.9,
-        }).addTo(map);
-      }
-
-      if (USER_LOC_CIRCLE) {
-        USER_LOC_CIRCLE.setLatLng([lat, lng]);
-        USER_LOC_CIRCLE.setRadius(acc);
-      } else {
-        USER_LOC_CIRCLE = L.circle([lat, lng], {
-          radius: acc,
-          weight: 1,
-          fillOpacity: 0.10,
-        }).addTo(map);
-      }
+      const { lat, lng, acc } = updateUserLocation(pos);
+      startLocationWatch();
 
       // Find and auto-select district if location is within one
       try {
@@ -718,6 +2077,7 @@ function triggerGeolocation(options = {}) {
           // Location not in any district, just zoom to location
           const targetZoom = Math.max(map.getZoom(), 14);
           map.setView([lat, lng], targetZoom, { animate: true });
+          applyUserLocationToResults();
 
           gaEvent("locate_me", { ok: true, accuracy_m: Math.round(acc), district: "none", auto: isAuto });
         }
@@ -726,6 +2086,7 @@ function triggerGeolocation(options = {}) {
         // Fallback: just zoom to location
         const targetZoom = Math.max(map.getZoom(), 14);
         map.setView([lat, lng], targetZoom, { animate: true });
+        applyUserLocationToResults();
 
         gaEvent("locate_me", { ok: true, accuracy_m: Math.round(acc), auto: isAuto });
       }
@@ -737,10 +2098,10 @@ function triggerGeolocation(options = {}) {
       // Only show error toast if not auto-detect
       if (!isAuto && showError) {
         const msg =
-          (err && err.code === 1) ? "تم رفض مشاركة الموقع." :
-          (err && err.code === 2) ? "تعذر تحديد موقعك حالياً." :
-          (err && err.code === 3) ? "انتهت مهلة تحديد الموقع." :
-          "تعذر الحصول على موقعك.";
+          (err && err.code === 1) ? t("locate.denied") :
+          (err && err.code === 2) ? t("locate.unavailable") :
+          (err && err.code === 3) ? t("locate.timeout") :
+          t("locate.failed");
         showError(msg);
       } else if (isAuto) {
         // Silent fail for auto-detect - user didn't explicitly request it
@@ -781,499 +2142,3846 @@ function initLocateMe() {
   btn.addEventListener("touchend", onLocate, { passive: false });
 }
 
+// ================================
+// Near me (distance sort + radius filter)
+// ================================
+// Distances are measured from USER_LOC. Without a fix, the "الأقرب" sort and
+// the radius filter stay selected but have no effect until a position arrives.
+const NEAR_RADIUS_OPTIONS_KM = [0, 1, 3, 5, 10];
+const NEAR_RERENDER_MIN_M = 25; // ignore GPS jitter when re-sorting
 
-function clearMarkers() {
-  if (!MARKERS_LAYER) return;
-  MARKERS_LAYER.clearLayers();
-  MARKERS_BY_ID = new Map();
+let GEO_WATCH_ID = null;
+let GEO_WATCH_WANTED = false;
+let LAST_RENDER_LOC = null;
+
+function distanceFromUserKm(p) {
+  if (!USER_LOC || !p) return null;
+  const lat = Number(p.lat);
+  const lng = Number(p.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return haversineKm(USER_LOC.lat, USER_LOC.lng, lat, lng);
+}
+
+function formatDistance(km) {
+  if (km == null || !Number.isFinite(km)) return "";
+  if (km < 1) return t("unit.m", { n: fmtNum(Math.max(10, Math.round(km * 100) * 10)) });
+  return t("unit.km", { n: km < 10 ? fmtNum(km, 1) : fmtNum(Math.round(km)) });
+}
+
+function isNearFilterActive() {
+  return state.sortMode === "nearest" || state.radiusKm > 0;
+}
+
+function nearChipLabel() {
+  const parts = [];
+  if (state.sortMode === "nearest") parts.push(t("near.nearestShort"));
+  if (state.radiusKm > 0) parts.push(t("unit.km", { n: fmtNum(state.radiusKm) }));
+  return parts.length ? parts.join(" • ") : t("common.all");
+}
+
+// Keep following the user while the tab is visible so walking around re-sorts the list
+function startLocationWatch() {
+  GEO_WATCH_WANTED = true;
+  if (GEO_WATCH_ID != null || !navigator.geolocation) return;
+  if (document.visibilityState === "hidden") return;
+
+  GEO_WATCH_ID = navigator.geolocation.watchPosition(
+    (pos) => {
+      updateUserLocation(pos);
+      applyUserLocationToResults();
+    },
+    (err) => {
+      console.warn("[Geolocation] Watch error:", err && err.code);
+      if (err && err.code === 1) { // permission revoked
+        GEO_WATCH_WANTED = false;
+        stopLocationWatch();
+      }
+    },
+    { enableHighAccuracy: true, timeout: 30000, maximumAge: 15000 }
+  );
+}
+
+function stopLocationWatch() {
+  if (GEO_WATCH_ID == null) return;
+  try { navigator.geolocation.clearWatch(GEO_WATCH_ID); } catch (_e) { }
+  GEO_WATCH_ID = null;
+}
+
+// Re-filter only when the user moved far enough; otherwise just refresh the distance labels
+function applyUserLocationToResults() {
+  if (!USER_LOC) return;
+  const prev = LAST_RENDER_LOC;
+  const movedM = prev ? haversineKm(prev.lat, prev.lng, USER_LOC.lat, USER_LOC.lng) * 1000 : Infinity;
+
+  if (isNearFilterActive() && movedM >= NEAR_RERENDER_MIN_M) {
+    render();
+    return;
+  }
+
+  refreshVisibleResults();
+  refreshPlaceSheet();
+  refreshCompareTable();
+}
+
+// One-off fix for the near-me controls (no district auto-select, no map jump)
+function requestUserLocation({ isAuto = false } = {}) {
+  if (USER_LOC) return Promise.resolve(true);
+  if (!navigator.geolocation) {
+    if (!isAuto) showToast(t("near.unsupported"), "error", 4000);
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        updateUserLocation(pos);
+        startLocationWatch();
+        gaEvent("near_location", { ok: true, accuracy_m: Math.round(USER_LOC.acc), auto: isAuto });
+        resolve(true);
+      },
+      (err) => {
+        gaEvent("near_location", { ok: false, code: err && err.code, auto: isAuto });
+        if (!isAuto) showToast(t("near.shareToSort"), "warning", 5000);
+        resolve(false);
+      },
+      { enableHighAccuracy: true, timeout: 12000, maximumAge: 30000 }
+    );
+  });
+}
+
+async function pickNearOption(patch) {
+  Object.assign(state, patch);
+
+  gaEvent("near_change", { sort_mode: state.sortMode, radius_km: state.radiusKm });
+  gaTrackFiltersDebounced("near_change");
+
+  const nv = el("nearValue");
+  if (nv) nv.textContent = nearChipLabel();
+  buildNearMenu();
+  syncSortControl();
+  closeMenus();
+
+  if (isNearFilterActive() && !USER_LOC) await requestUserLocation();
+  render();
 }
 
+function buildNearMenu() {
+  const sortWrap = el("nearSortItems");
+  if (sortWrap) {
+    sortWrap.innerHTML = "";
+    for (const m of SORT_MODES.filter(x => x.nearLabelKey)) {
+      const active = state.sortMode === m.key;
+      const opt = document.createElement("button");
+      opt.type = "button";
+      opt.className = "opt" + (active ? " is-active" : "");
+      opt.innerHTML = `<span>${escapeHtml(t(m.nearLabelKey))}</span><span class="badge">${active ? "✓" : ""}</span>`;
+      opt.addEventListener("click", (e) => { e.stopPropagation(); pickNearOption({ sortMode: m.key, sortDir: defaultSortDir(m.key) }); });
+      sortWrap.appendChild(opt);
+    }
+    markListbox(sortWrap);
+  }
+
+  const radiusWrap = el("nearRadiusItems");
+  if (radiusWrap) {
+    radiusWrap.innerHTML = "";
+    for (const km of NEAR_RADIUS_OPTIONS_KM) {
+      const active = state.radiusKm === km;
+      const opt = document.createElement("button");
+      opt.type = "button";
+      opt.className = "opt opt--chip" + (active ? " is-active" : "");
+      opt.innerHTML = `<span>${escapeHtml(km ? t("near.within", { km: t("unit.km", { n: fmtNum(km) }) }) : t("common.noLimit"))}</span>`;
+      opt.addEventListener("click", (e) => { e.stopPropagation(); pickNearOption({ radiusKm: km }); });
+      radiusWrap.appendChild(opt);
+    }
+    markListbox(radiusWrap);
+  }
+
+  const sub = el("nearSub");
+  if (sub) {
+    sub.textContent = USER_LOC
+      ? t("near.accuracy", { m: t("unit.m", { n: fmtNum(Math.round(USER_LOC.acc)) }) })
+      : t("near.needsLocation");
+  }
+}
+
+function initNearMe() {
+  buildNearMenu();
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") stopLocationWatch();
+    else if (GEO_WATCH_WANTED) startLocationWatch();
+  });
+}
 // ================================
-// Insights config (toggle_config.json)
+// District choropleth (statistics overlay)
 // ================================
-// SECURITY: Safe predicate evaluator - NO eval() or new Function()
-// This evaluates simple predicates from config without code execution risks
-function compilePredicate(codeStr) {
-  try {
-    const code = String(codeStr || "").trim();
-    if (!code || code === "return true;") return (_) => true;
-
-    // Safe evaluation: parse the predicate pattern and create a function
-    // IMPORTANT: Check more specific patterns FIRST before generic ones
-
-    // Pattern 1: discover style - rating range && review count range && sentiment check (MOST SPECIFIC)
-    const discoverMatch = code.match(/r\s*>=\s*([\d.]+)\s*&&\s*v\s*>=\s*(\d+)\s*&&\s*v\s*<=\s*(\d+)\s*&&\s*s\s*!==\s*['"]([^'"]+)['"]/);
-    if (discoverMatch) {
-      const minRating = parseFloat(discoverMatch[1]);
-      const minReviews = parseInt(discoverMatch[2], 10);
-      const maxReviews = parseInt(discoverMatch[3], 10);
-      const excludeSentiment = discoverMatch[4];
-      return (p) => {
-        const r = p.rating ?? 0;
-        const v = p.rating_count ?? 0;
-        const s = p.sentiment_label_ar || '';
-        return r >= minRating && v >= minReviews && v <= maxReviews && s !== excludeSentiment;
-      };
-    }
-
-    // Pattern 2: must_go style - bayes2_score >= X && rating_count >= Y && sentiment check
-    const mustGoMatch = code.match(/b2\s*>=\s*([\d.]+)\s*&&\s*v\s*>=\s*(\d+)\s*&&\s*s\s*!==\s*['"]([^'"]+)['"]/);
-    if (mustGoMatch) {
-      const minBayes = parseFloat(mustGoMatch[1]);
-      const minReviews = parseInt(mustGoMatch[2], 10);
-      const excludeSentiment = mustGoMatch[3];
-      return (p) => {
-        const b2 = p.bayes2_score ?? 0.50;
-        const v = p.rating_count ?? 0;
-        const s = p.sentiment_label_ar || '';
-        return b2 >= minBayes && v >= minReviews && s !== excludeSentiment;
-      };
-    }
-
-    // Pattern 3: top_rated style - rating >= X && rating_count >= Y (check AFTER discover)
-    const topRatedMatch = code.match(/r\s*>=\s*([\d.]+)\s*&&\s*v\s*>=\s*(\d+)/);
-    if (topRatedMatch) {
-      const minRating = parseFloat(topRatedMatch[1]);
-      const minReviews = parseInt(topRatedMatch[2], 10);
-      return (p) => {
-        const r = p.rating ?? 0;
-        const v = p.rating_count ?? 0;
-        return r >= minRating && v >= minReviews;
-      };
-    }
-
-    // Pattern 4: raqi style - text search in fields
-    const raqiMatch = code.match(/const q\s*=\s*['"]([^'"]+)['"]/);
-    if (raqiMatch) {
-      const searchTerm = raqiMatch[1].toLowerCase();
-      return (p) => {
-        const haystack = `${p.name} ${(p.tags||[]).join(' ')} ${p.category} ${p.district}`.toLowerCase();
-        return haystack.includes(searchTerm);
-      };
-    }
-
-    console.warn("[Security] Unknown predicate pattern - using safe default (allow all):", code.substring(0, 100));
-    return (_) => true;
-  } catch (e) {
-    console.error("[Security] Predicate compilation error:", e);
-    return (_) => true;
+// Shades every district polygon by an aggregate of the places that pass the
+// current filters. The district filter itself is ignored here so the overlay
+// keeps comparing districts; the selected one just gets a stronger outline.
+const CHORO_COLORS = ["#e0f2fe", "#bae6fd", "#7dd3fc", "#38bdf8", "#0284c7"];
+const CHORO_EMPTY_COLOR = "#9ca3af";
+const PRICE_LEVELS = ["$", "$$", "$$$"];
+
+function medianOf(values) {
+  if (!values.length) return null;
+  const a = [...values].sort((x, y) => x - y);
+  const mid = Math.floor(a.length / 2);
+  return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+}
+
+const CHORO_METRICS = [
+  { key: "count", labelKey: "choro.count", value: (s) => s.n, fmt: (v) => fmtNum(Math.round(v)) },
+  {
+    key: "rating", labelKey: "choro.rating",
+    value: (s) => s.ratings.length ? s.ratings.reduce((a, b) => a + b, 0) / s.ratings.length : null,
+    fmt: (v) => `⭐ ${fmtNum(v, 1)}`, short: (v) => fmtNum(v, 2)
+  },
+  { key: "bayes2", labelKey: "choro.bayes2", value: (s) => medianOf(s.bayes2), fmt: (v) => fmtNum(v, 2) },
+  { key: "positive", labelKey: "choro.positive", value: (s) => s.n ? s.positive / s.n : null, fmt: (v) => `${fmtNum(Math.round(v * 100))}%` },
+  {
+    // Shaded by the average level ($ = 1 … $$$ = 3); the tooltip shows the full mix
+    key: "price", labelKey: "choro.price",
+    value: (s) => {
+      const n = PRICE_LEVELS.reduce((a, lv) => a + s.prices[lv], 0);
+      return n ? PRICE_LEVELS.reduce((a, lv, i) => a + (i + 1) * s.prices[lv], 0) / n : null;
+    },
+    fmt: (v) => "$".repeat(Math.round(v)) + ` (${fmtNum(v, 1)})`, short: (v) => fmtNum(v, 1)
+  },
+];
+
+let CHORO_LAYER = null;
+let CHORO_STATS = new Map(); // district key -> { stats, value }
+let CHORO_BREAKS = [];       // upper bounds of each color class
+
+function choroMetric() {
+  return CHORO_METRICS.find(m => m.key === state.choropleth) || null;
+}
+
+function aggregateByDistrict(places) {
+  const out = new Map();
+  for (const p of places) {
+    const key = p.district;
+    if (!key || key === "all") continue;
+    if (!out.has(key)) out.set(key, { n: 0, ratings: [], bayes2: [], positive: 0, prices: { "$": 0, "$$": 0, "$$$": 0 } });
+    const s = out.get(key);
+    s.n++;
+    const r = Number(p.rating);
+    if (Number.isFinite(r) && r > 0) s.ratings.push(r);
+    const b = Number(p.bayes2_score);
+    if (Number.isFinite(b)) s.bayes2.push(b);
+    if (p.sentiment === "إيجابي") s.positive++;
+    if (p.price in s.prices) s.prices[p.price]++;
   }
+  return out;
 }
 
-function compileHeat(codeStr) {
-  try {
-    const code = String(codeStr || "").trim();
-    if (!code) return (_) => 0;
-
-    // Safe heat evaluation - only allow accessing known numeric fields
-    // Pattern: "return (p.field_name ?? default);"
-    const fieldMatch = code.match(/return\s*\(\s*p\.(\w+)\s*\?\?\s*([\d.]+)\s*\)\s*;?/);
-    if (fieldMatch) {
-      const fieldName = fieldMatch[1];
-      const defaultValue = parseFloat(fieldMatch[2]) || 0;
-
-      // Whitelist of allowed numeric fields
-      const allowedFields = ['bayes2_score', 'rating', 'rating_count', 'trust_score'];
-      if (!allowedFields.includes(fieldName)) {
-        console.warn("[Security] Unsafe heat field access attempt:", fieldName);
-        return (_) => 0;
-      }
+// Equal-interval classes over the observed range
+function choroBreaks(values) {
+  const vals = values.filter(v => v != null && Number.isFinite(v));
+  if (!vals.length) return [];
+  const min = Math.min(...vals);
+  const max = Math.max(...vals);
+  const steps = CHORO_COLORS.length;
+  if (min === max) return [max];
+  return Array.from({ length: steps }, (_, i) => min + (max - min) * (i + 1) / steps);
+}
+
+function choroColor(v) {
+  if (v == null || !Number.isFinite(v) || !CHORO_BREAKS.length) return CHORO_EMPTY_COLOR;
+  const idx = CHORO_BREAKS.findIndex(b => v <= b + 1e-9);
+  if (CHORO_BREAKS.length === 1) return CHORO_COLORS[CHORO_COLORS.length - 1];
+  return CHORO_COLORS[idx < 0 ? CHORO_COLORS.length - 1 : idx];
+}
+
+function choroStyle(feature) {
+  const key = feature && feature.properties ? feature.properties.rnDistrict : null;
+  const hit = CHORO_STATS.get(key);
+  const selected = key && key === state.district;
+  return {
+    color: selected ? "#0f172a" : "#ffffff",
+    weight: selected ? 3 : 1.5,
+    opacity: 0.9,
+    fillColor: choroColor(hit ? hit.value : null),
+    fillOpacity: hit && hit.value != null ? 0.55 : 0.15,
+  };
+}
+
+function choroTooltipHtml(key) {
+  const metric = choroMetric();
+  const hit = CHORO_STATS.get(key);
+  const name = escapeHtml(districtLabel(key));
+  if (!metric || !hit) return `<strong>${name}</strong><br>${escapeHtml(t("choro.noMatches"))}`;
+
+  const lines = [`<strong>${name}</strong>`];
+  lines.push(`${escapeHtml(t(metric.labelKey))}: ${hit.value != null ? escapeHtml(metric.fmt(hit.value)) : "—"}`);
+  if (metric.key === "price") {
+    const n = PRICE_LEVELS.reduce((a, lv) => a + hit.stats.prices[lv], 0);
+    if (n) lines.push(PRICE_LEVELS.map(lv => `${lv} ${fmtNum(Math.round(hit.stats.prices[lv] / n * 100))}%`).join(" • "));
+  }
+  if (metric.key !== "count") lines.push(escapeHtml(t("common.places", { n: fmtNum(hit.stats.n) })));
+  return lines.join("<br>");
+}
 
-      return (p) => {
-        const v = p[fieldName] ?? defaultValue;
-        const n = Number(v);
-        return Number.isFinite(n) ? n : 0;
-      };
+function buildChoroplethLayer() {
+  const m = DISTRICT_GEOJSON_MAP || {};
+  const features = [];
+  for (const [key, fc] of Object.entries(m)) {
+    for (const f of (fc && fc.features) || []) {
+      if (!f || !f.geometry) continue;
+      features.push({ ...f, properties: { ...(f.properties || {}), rnDistrict: key } });
     }
+  }
+  if (!features.length) return null;
+
+  return L.geoJSON({ type: "FeatureCollection", features }, {
+    style: choroStyle,
+    onEachFeature: (feature, layer) => {
+      const key = feature.properties.rnDistrict;
+      layer.bindTooltip(() => choroTooltipHtml(key), { sticky: true, direction: "top", className: "choroTip" });
+      layer.on("mouseover", () => layer.setStyle({ weight: 3, color: "#0f172a" }));
+      layer.on("mouseout", () => { if (CHORO_LAYER) CHORO_LAYER.resetStyle(layer); });
+      layer.on("click", () => {
+        if (AREA_DRAW) return; // clicks belong to the drawing tool
+        if (!CHORO_STATS.has(key)) return;
+        selectDistrict(state.district === key ? "all" : key, "choropleth");
+      });
+    },
+  });
+}
 
-    console.warn("[Security] Unknown heat pattern - using safe default (0):", code.substring(0, 100));
-    return (_) => 0;
-  } catch (e) {
-    console.error("[Security] Heat compilation error:", e);
-    return (_) => 0;
+function renderChoroLegend(metric) {
+  const box = el("choroLegend");
+  if (!box) return;
+  box.hidden = !metric;
+  if (!metric) return;
+
+  // Legend ranges are narrow, so they use the finer `short` format where a metric has one
+  const fmt = metric.short || metric.fmt;
+  const rows = [];
+  if (CHORO_BREAKS.length === 1) {
+    rows.push([CHORO_COLORS[CHORO_COLORS.length - 1], fmt(CHORO_BREAKS[0])]);
+  } else if (CHORO_BREAKS.length) {
+    const vals = [...CHORO_STATS.values()].map(x => x.value).filter(v => v != null);
+    let lo = Math.min(...vals);
+    CHORO_BREAKS.forEach((hi, i) => {
+      rows.push([CHORO_COLORS[i], `${fmt(lo)} – ${fmt(hi)}`]);
+      lo = hi;
+    });
   }
+  rows.push([CHORO_EMPTY_COLOR, t("choro.noData")]);
+
+  box.innerHTML = `
+    <div class="choroLegend__title">${escapeHtml(t(metric.labelKey))}</div>
+    ${rows.map(([c, t]) => `<div class="choroLegend__row"><span class="choroLegend__swatch" style="background:${c}"></span><span>${escapeHtml(t)}</span></div>`).join("")}
+  `;
 }
 
-async function loadToggleConfig() {
-  if (TOGGLE_CONFIG) return TOGGLE_CONFIG;
-  try {
-    const res = await fetch("./toggle_config.json", { cache: "force-cache" });
-    if (!res.ok) throw new Error("toggle_config fetch failed");
-    TOGGLE_CONFIG = await res.json();
-    return TOGGLE_CONFIG;
-  } catch (e) {
-    console.warn("toggle_config.json not available, using fallback insights.", e);
-    TOGGLE_CONFIG = null;
-    return null;
+function clearChoropleth() {
+  if (MAP && CHORO_LAYER) {
+    try { MAP.removeLayer(CHORO_LAYER); } catch (_e) { }
   }
+  renderChoroLegend(null);
 }
 
-function rebuildInsightsFromToggleConfig(cfg) {
-  const base = [{ key: "all", label: "الكل", emoji: "✨", predicate: (_) => true, sort: "desc:bayes2_score", heatFn: null }];
+// Called from render() with the rows the list is built from (before filtering) and,
+// when the query engine already computed them, the facets for those rows
+function updateChoropleth(baseRows, facets = null) {
+  const metric = choroMetric();
+  if (!MAP || !metric) { clearChoropleth(); return; }
 
-  if (!cfg) { INSIGHTS = base; return; }
+  if (!DISTRICT_GEOJSON_MAP) {
+    loadDistrictGeojsonMap().then(() => render());
+    return;
+  }
+  if (!CHORO_LAYER) CHORO_LAYER = buildChoroplethLayer();
+  if (!CHORO_LAYER) { clearChoropleth(); return; }
 
-  const order = ["must_go", "trust_rank", "top_rated", "old_is_gold", "search_match"];
-  const keys = order.filter(k => cfg[k]).concat(Object.keys(cfg).filter(k => !order.includes(k)));
+  const agg = new Map(facets ? facets.districtStats : computeQueryFacets(baseRows).districtStats);
+  CHORO_STATS = new Map([...agg].map(([key, stats]) => [key, { stats, value: metric.value(stats) }]));
+  CHORO_BREAKS = choroBreaks([...CHORO_STATS.values()].map(x => x.value));
 
-  const mapped = keys.map((k) => {
-    const it = cfg[k] || {};
-    const labelRaw = String(it.label_ar || k);
-    const m = labelRaw.match(/^([\p{Extended_Pictographic}\u2600-\u27BF]+)\s+(.*)$/u);
-    const emoji = m ? m[1] : (k === "must_go" ? "🔥" : k === "trust_rank" ? "🎯" : "✨");
-    const label = m ? m[2] : labelRaw;
+  if (!MAP.hasLayer(CHORO_LAYER)) {
+    CHORO_LAYER.addTo(MAP);
+    try { CHORO_LAYER.bringToBack(); } catch (_e) { }
+  }
+  CHORO_LAYER.setStyle(choroStyle);
+  renderChoroLegend(metric);
+}
 
-    return {
-      key: k,
-      label,
-      emoji,
-      micro: it.micro_ar || "",
-      desc: it.desc_ar || "",
-      predicate: compilePredicate(it.predicate || "return true;"),
-      sort: String(it.sort || "desc:bayes2_score"),
-      heatFn: it.heat ? compileHeat(it.heat) : null,
-    };
-  });
+function buildChoroplethMenu() {
+  const wrap = el("choroplethItems");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+  const options = [{ key: "Off", labelKey: "common.off" }, ...CHORO_METRICS];
+  for (const m of options) {
+    const active = state.choropleth === m.key;
+    const opt = document.createElement("button");
+    opt.type = "button";
+    opt.className = "opt" + (active ? " is-active" : "");
+    opt.innerHTML = `<span>${escapeHtml(t(m.labelKey))}</span><span class="badge">${active ? "✓" : ""}</span>`;
+    opt.addEventListener("click", (e) => {
+      state.choropleth = m.key;
 
-  INSIGHTS = base.concat(mapped);
+      gaEvent("choropleth_change", { metric: m.key });
+      gaTrackFiltersDebounced("choropleth_change");
+
+      const cv = el("choroplethValue");
+      if (cv) cv.textContent = choroChipLabel();
+      buildChoroplethMenu();
+      closeMenus();
+      render();
+      e.stopPropagation();
+    });
+    wrap.appendChild(opt);
+  }
+  markListbox(wrap);
+}
+
+function choroChipLabel() {
+  const m = choroMetric();
+  return t(m ? m.labelKey : "common.off");
 }
 
 // ================================
-// Popup + Similar
+// Heatmap overlay (density / score / hexbin)
 // ================================
-function popupHtml(p) {
-  const name = escHtml(p.name || "");
-  const rating = (p.rating != null) ? Number(p.rating).toFixed(1) : "";
-  const rc = (p.rating_count != null) ? String(p.rating_count) : "";
-  const price = p.price_bucket_ar ? `السعر: ${escHtml(p.price_bucket_ar)}` : "";
-  const sent = p.sentiment_label_ar ? `الانطباع: ${escHtml(p.sentiment_label_ar)}` : "";
-  const meta = [price, sent].filter(Boolean).join(" • ");
-  const g = p.link ? `<a href="${escHtml(p.link)}" target="_blank" rel="noopener noreferrer" style="font-weight:900;text-decoration:none;">Google Maps</a>` : "";
-  // SECURITY FIX: Use data attribute instead of inline onclick handler
-  const btn = `<button class="rnPopBtn" data-place-id="${escHtml(String(p.id))}" data-action="find-similar">🔎 مشابه</button>`;
-  return `
-    <div style="direction:rtl;text-align:right;max-width:260px;font-family:inherit;">
-      <div style="font-weight:900;font-size:14px;line-height:1.25;">${name}</div>
-      ${p.summary ? `<div style="opacity:.86;margin-top:6px;font-size:12px;line-height:1.35;">${escHtml(p.summary)}</div>` : ``}
-      <div style="margin-top:8px;opacity:.85;font-size:12px;">
-        ${meta ? meta + " • " : ""}
-        ${rating ? ("التقييم: " + rating) : ""}${rc ? (" (" + rc + ")") : ""}
-      </div>
-      <div style="margin-top:10px;display:flex;gap:10px;align-items:center;justify-content:space-between;">
-        ${g}
-        ${btn}
-      </div>
-    </div>
-  `;
+// Density counts every place once. Score weights each place by the active
+// insight's heat metric (or the trust + review blend), rescaled to 0–1 over the
+// places on screen. Hexbin groups places into hexagons (sized in screen pixels,
+// re-binned on zoom) with counts and averages. Radius / blur / intensity come
+// from the heatmap menu and only redraw the overlay, never the results.
+const HEAT_MODES = ["Off", "Density", "Score", "Hexbin"];
+const HEAT_DEFAULTS = { radius: 22, blur: 18, intensity: 1 };
+const HEAT_CONTROLS = [
+  { key: "radius", labelKey: "heat.radius", min: 8, max: 60, step: 1, fmt: (v) => t("unit.px", { n: fmtNum(v) }) },
+  { key: "blur", labelKey: "heat.blur", min: 4, max: 40, step: 1, fmt: (v) => t("unit.px", { n: fmtNum(v) }), modes: ["Density", "Score"] },
+  { key: "intensity", labelKey: "heat.intensity", min: 0.25, max: 4, step: 0.25, fmt: (v) => `×${fmtNum(v, 2)}` },
+];
+const HEAT_GRADIENT = { 0.4: "#2563eb", 0.6: "#06b6d4", 0.7: "#84cc16", 0.8: "#facc15", 1: "#dc2626" };
+const HEAT_DENSITY_MAX = 6; // places in one heat cell that reach full color at ×1
+const HEX_COLORS = ["#fef3c7", "#fde68a", "#fbbf24", "#f97316", "#c2410c"];
+const HEAT_METRIC_LABEL_KEYS = { bayes2_score: "field.trust", rating: "field.rating", rating_count: "field.reviews" };
+
+let HEAT_PLACES = [];  // places from the last render(); the controls redraw these
+let HEAT_RANGE = null; // { min, max } of the Score metric over HEAT_PLACES
+let HEX_LAYER = null;
+let HEX_BINS = [];
+let HEX_BREAKS = [];
+let HEX_ZOOM_BOUND = false;
+let HEAT_REDRAW = null;
+
+// Used by Score when the insight has no heat spec of its own
+function heatBlend(p) {
+  const b2 = Number(p.bayes2_score ?? 0);
+  const v = Number(p.rating_count ?? 0);
+  const nv = Math.max(0, Math.min(1, v / 500));
+  return Math.max(0, Math.min(1, 0.65 * b2 + 0.35 * nv));
 }
 
-(function ensurePopupBtnStyle() {
-  if (document.getElementById("rnPopBtnStyle")) return;
-  const st = document.createElement("style");
-  st.id = "rnPopBtnStyle";
-  st.textContent = `.rnPopBtn{padding:8px 10px;border-radius:12px;border:1px solid rgba(0,0,0,.12);background:rgba(245,158,11,.12);font-weight:900;cursor:pointer;white-space:nowrap}`;
-  document.head.appendChild(st);
-})();
+// { fn, field, label, fmt } for the value Score and the hexagon averages show
+function heatMetric() {
+  const insightObj = getActiveInsightObj() || INSIGHTS[0];
+  const fn = insightObj && insightObj.heatFn ? insightObj.heatFn : heatBlend;
+  const field = fn.field || null;
+  const labelKey = field ? HEAT_METRIC_LABEL_KEYS[field] : "heat.blend";
+  return {
+    fn,
+    field,
+    label: labelKey ? t(labelKey) : field,
+    fmt: (v) => fmtNum(v, field === "rating_count" ? 0 : field === "rating" ? 1 : 2),
+  };
+}
 
-function setMarkers(places) {
-  initLeafletMap();
-  clearMarkers();
+function heatOpt(key) {
+  const v = Number(state.heatOpts && state.heatOpts[key]);
+  return Number.isFinite(v) ? v : HEAT_DEFAULTS[key];
+}
 
-  const bounds = [];
+// Clamps a URL / slider value onto the control's range; null when not a number
+function clampHeatOpt(key, raw) {
+  const c = HEAT_CONTROLS.find(x => x.key === key);
+  const v = Number(raw);
+  if (!c || raw == null || raw === "" || !Number.isFinite(v)) return null;
+  return Math.max(c.min, Math.min(c.max, Math.round(v / c.step) * c.step));
+}
+
+function clearHeatLayer() {
+  if (!HEAT_LAYER) return;
+  try { MAP.removeLayer(HEAT_LAYER); } catch (_e) { }
+  HEAT_LAYER = null;
+}
+
+function clearHexbin() {
+  if (!HEX_LAYER) return;
+  try { MAP.removeLayer(HEX_LAYER); } catch (_e) { }
+  HEX_LAYER = null;
+  HEX_BINS = [];
+  HEX_BREAKS = [];
+}
+
+function heatPoints(places, mode) {
+  const metric = mode === "Score" ? heatMetric() : null;
+  const rows = [];
+  let min = Infinity, max = -Infinity;
   for (const p of places) {
     const lat = Number(p.lat);
     const lng = Number(p.lng);
     if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const v = metric ? Number(metric.fn(p)) : 1;
+    if (metric && Number.isFinite(v)) { min = Math.min(min, v); max = Math.max(max, v); }
+    rows.push([lat, lng, v]);
+  }
+  if (!metric) { HEAT_RANGE = null; return rows; }
 
-    const rank = bounds.length + 1;
-    const size = isMobile() ? 24 : 26;
-    const color = rank <= 3 ? "#f59e0b" : "#3b82f6";
+  HEAT_RANGE = min <= max ? { min, max } : null;
+  const span = HEAT_RANGE ? HEAT_RANGE.max - HEAT_RANGE.min : 0;
+  for (const r of rows) {
+    r[2] = !Number.isFinite(r[2]) ? 0 : span > 0 ? (r[2] - HEAT_RANGE.min) / span : 1;
+  }
+  return rows;
+}
 
-    const icon = L.divIcon({
-      className: "",
-      html: `<div class="rn-pin" style="--pin:${color};--s:${size}px"><span>${rank}</span></div>`,
-      iconSize: [size, size],
-      iconAnchor: [size / 2, size / 2]
+function drawHeatLayer(mode) {
+  if (!window.L || !L.heatLayer) {
+    console.warn("leaflet.heat not loaded; cannot render heatmap");
+    return;
+  }
+  const pts = heatPoints(HEAT_PLACES, mode);
+  const opts = {
+    radius: heatOpt("radius"),
+    blur: heatOpt("blur"),
+    // maxZoom 0 turns off leaflet.heat's per-zoom fading, so a cell's value is
+    // the plain sum of its weights and the legend's numbers hold at any zoom
+    maxZoom: 0,
+    max: (mode === "Density" ? HEAT_DENSITY_MAX : 1) / heatOpt("intensity"),
+    gradient: HEAT_GRADIENT,
+  };
+
+  if (!HEAT_LAYER) {
+    HEAT_LAYER = L.heatLayer(pts, opts);
+    HEAT_LAYER.addTo(MAP);
+    return;
+  }
+  try {
+    HEAT_LAYER.setOptions(opts);
+    HEAT_LAYER.setLatLngs(pts);
+  } catch (_e) { }
+  if (!MAP.hasLayer(HEAT_LAYER)) {
+    try { HEAT_LAYER.addTo(MAP); } catch (_e) { }
+  }
+}
+
+// Axial (q, r) of pointy-top hexagons with `size` px between center and corner
+function hexRound(q, r) {
+  let x = Math.round(q), z = Math.round(r), y = Math.round(-q - r);
+  const dx = Math.abs(x - q), dz = Math.abs(z - r), dy = Math.abs(y + q + r);
+  if (dx > dy && dx > dz) x = -y - z;
+  else if (dz > dy) z = -x - y;
+  return [x, z];
+}
+
+function hexbinPlaces(places, zoom, size) {
+  const metric = heatMetric();
+  const bins = new Map();
+  for (const p of places) {
+    const lat = Number(p.lat);
+    const lng = Number(p.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const pt = MAP.project([lat, lng], zoom);
+    const [q, r] = hexRound((Math.sqrt(3) / 3 * pt.x - pt.y / 3) / size, (2 / 3 * pt.y) / size);
+    const key = `${q}:${r}`;
+    let b = bins.get(key);
+    if (!b) bins.set(key, b = { q, r, n: 0, ratingSum: 0, ratingN: 0, metricSum: 0, metricN: 0 });
+    b.n++;
+    const rating = Number(p.rating);
+    if (Number.isFinite(rating) && rating > 0) { b.ratingSum += rating; b.ratingN++; }
+    const m = Number(metric.fn(p));
+    if (Number.isFinite(m)) { b.metricSum += m; b.metricN++; }
+  }
+  return [...bins.values()];
+}
+
+function hexCorners(b, zoom, size) {
+  const cx = size * Math.sqrt(3) * (b.q + b.r / 2);
+  const cy = size * 1.5 * b.r;
+  const out = [];
+  for (let i = 0; i < 6; i++) {
+    const a = Math.PI / 180 * (60 * i - 30);
+    out.push(MAP.unproject([cx + size * Math.cos(a), cy + size * Math.sin(a)], zoom));
+  }
+  return out;
+}
+
+// Counts are whole numbers: equal-interval classes rounded up, empty classes
+// dropped, and the remaining classes spread over the palette
+function hexBreaks(counts) {
+  return [...new Set(choroBreaks(counts).map(b => Math.ceil(b - 1e-9)))];
+}
+
+function hexClassColor(i) {
+  const k = HEX_BREAKS.length;
+  const last = HEX_COLORS.length - 1;
+  return HEX_COLORS[k > 1 ? Math.round(i * last / (k - 1)) : last];
+}
+
+function hexColor(n) {
+  const idx = HEX_BREAKS.findIndex(b => n <= b);
+  return hexClassColor(idx < 0 ? HEX_BREAKS.length - 1 : idx);
+}
+
+function hexTooltipHtml(b) {
+  const metric = heatMetric();
+  const lines = [`<strong>${escapeHtml(t("common.places", { n: fmtNum(b.n) }))}</strong>`];
+  if (b.ratingN) lines.push(escapeHtml(t("hex.avg", { label: t("field.rating"), v: `⭐ ${fmtNum(b.ratingSum / b.ratingN, 1)}` })));
+  if (b.metricN && metric.field !== "rating") lines.push(escapeHtml(t("hex.avg", { label: metric.label, v: metric.fmt(b.metricSum / b.metricN) })));
+  return lines.join("<br>");
+}
+
+function drawHexbin() {
+  const zoom = MAP.getZoom();
+  const size = heatOpt("radius");
+  HEX_BINS = hexbinPlaces(HEAT_PLACES, zoom, size);
+  HEX_BREAKS = hexBreaks(HEX_BINS.map(b => b.n));
+
+  if (!HEX_LAYER) HEX_LAYER = L.layerGroup().addTo(MAP);
+  HEX_LAYER.clearLayers();
+  const fillOpacity = Math.min(0.9, 0.45 * heatOpt("intensity"));
+  for (const b of HEX_BINS) {
+    const poly = L.polygon(hexCorners(b, zoom, size), {
+      color: "#ffffff",
+      weight: 1,
+      fillColor: hexColor(b.n),
+      fillOpacity,
+    });
+    poly.bindTooltip(() => hexTooltipHtml(b), { sticky: true, direction: "top", className: "choroTip" });
+    poly.on("click", () => {
+      if (AREA_DRAW) return; // clicks belong to the drawing tool
+      try { MAP.fitBounds(poly.getBounds(), { padding: [40, 40] }); } catch (_e) { }
+      gaEvent("hexbin_click", { count: b.n, zoom });
     });
+    poly.addTo(HEX_LAYER);
+  }
 
-    const m = L.marker([lat, lng], { icon, keyboard: false }).addTo(MARKERS_LAYER);
-    m.bindPopup(popupHtml(p), { closeButton: true, autoPanPadding: [16, 16] });
-    m.on("click", () => {
-      selectPlaceById(p.id, "marker");
-      try { m.openPopup(); } catch (_e) { }
+  // Hexagons are sized in pixels, so each zoom level needs its own bins
+  if (!HEX_ZOOM_BOUND) {
+    HEX_ZOOM_BOUND = true;
+    MAP.on("zoomend", () => {
+      if (state.heatmap !== "Hexbin") return;
+      drawHexbin();
+      renderHeatLegend();
     });
+  }
+}
 
-    MARKERS_BY_ID.set(String(p.id), m);
-    bounds.push([lat, lng]);
+function renderHeatLegend() {
+  const box = el("heatLegend");
+  if (!box) return;
+  const mode = state.heatmap;
+  box.hidden = mode === "Off";
+  if (mode === "Off") return;
+
+  const title = `<div class="choroLegend__title">${escapeHtml(heatmapLabel(mode))}</div>`;
+  if (mode === "Hexbin") {
+    const rows = [];
+    let lo = HEX_BINS.length ? Math.min(...HEX_BINS.map(b => b.n)) : 0;
+    HEX_BREAKS.forEach((hi, i) => {
+      const txt = lo === hi ? t("common.places", { n: fmtNum(hi) }) : t("hex.range", { lo: fmtNum(lo), hi: fmtNum(hi) });
+      rows.push([hexClassColor(i), txt]);
+      lo = hi + 1;
+    });
+    box.innerHTML = `${title}
+      <div class="choroLegend__sub">${escapeHtml(t("hex.legend"))}</div>
+      ${rows.map(([c, txt]) => `<div class="choroLegend__row"><span class="choroLegend__swatch" style="background:${c}"></span><span>${escapeHtml(txt)}</span></div>`).join("")}`;
+    return;
   }
 
-  if (!DID_FIT_BOUNDS && bounds.length >= 2) {
-    DID_FIT_BOUNDS = true;
-    try { MAP.fitBounds(bounds, { padding: [40, 40] }); } catch (_e) { }
+  const stops = Object.entries(HEAT_GRADIENT).map(([at, c]) => `${c} ${Math.round(at * 100)}%`).join(", ");
+  let sub, lo, hi;
+  if (mode === "Density") {
+    sub = t("heat.densityLegend");
+    lo = fmtNum(1);
+    hi = `≥ ${fmtNum(Math.max(1, Math.round(HEAT_DENSITY_MAX / heatOpt("intensity"))))}`;
+  } else {
+    const metric = heatMetric();
+    sub = t("heat.scoreLegend", { label: metric.label });
+    lo = HEAT_RANGE ? metric.fmt(HEAT_RANGE.min) : "—";
+    hi = HEAT_RANGE ? metric.fmt(HEAT_RANGE.max) : "—";
   }
+  box.innerHTML = `${title}
+    <div class="choroLegend__sub">${escapeHtml(sub)}</div>
+    <div class="heatLegend__bar" style="background: linear-gradient(to right, transparent, ${stops})"></div>
+    <div class="heatLegend__scale"><span>${escapeHtml(lo)}</span><span>${escapeHtml(hi)}</span></div>`;
+}
+
+// Redraws the overlay for the current mode from HEAT_PLACES
+function drawHeatOverlay() {
+  if (!MAP) return;
+  const mode = state.heatmap;
+  if (mode !== "Hexbin") clearHexbin();
+  if (mode !== "Density" && mode !== "Score") clearHeatLayer();
+  if (mode === "Hexbin") drawHexbin();
+  else if (mode !== "Off") drawHeatLayer(mode);
+  renderHeatLegend();
+}
+
+// Called from render() with the filtered, ranked places
+function updateHeatLayer(places) {
+  HEAT_PLACES = places || [];
+  drawHeatOverlay();
+}
+
+function buildHeatControls() {
+  const wrap = el("heatControls");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+  const mode = state.heatmap;
+
+  for (const c of HEAT_CONTROLS) {
+    const label = t(c.labelKey);
+    const off = mode === "Off" || (c.modes && !c.modes.includes(mode));
+    const v = heatOpt(c.key);
+    const row = document.createElement("label");
+    row.className = "heatControl" + (off ? " is-off" : "");
+    row.innerHTML = `
+      <span class="heatControl__head">
+        <span class="heatControl__label">${escapeHtml(label)}</span>
+        <span class="heatControl__value">${escapeHtml(c.fmt(v))}</span>
+      </span>
+      <input class="heatControl__input" type="range" min="${c.min}" max="${c.max}" step="${c.step}" value="${v}" aria-valuetext="${escapeHtml(c.fmt(v))}"${off ? " disabled" : ""}>`;
+
+    const input = row.querySelector("input");
+    const value = row.querySelector(".heatControl__value");
+    input.addEventListener("input", () => {
+      const next = clampHeatOpt(c.key, input.value);
+      state.heatOpts = { ...state.heatOpts, [c.key]: next };
+      value.textContent = c.fmt(next);
+      input.setAttribute("aria-valuetext", c.fmt(next));
+      HEAT_REDRAW();
+      scheduleUrlSync();
+    });
+    input.addEventListener("change", () => {
+      gaEvent("heatmap_controls", { heatmap: state.heatmap, control: c.key, value: heatOpt(c.key) });
+    });
+    wrap.appendChild(row);
+  }
+
+  const reset = el("heatControlsReset");
+  if (reset) reset.disabled = HEAT_CONTROLS.every(c => heatOpt(c.key) === HEAT_DEFAULTS[c.key]);
+}
+
+function initHeatmapControls() {
+  HEAT_REDRAW = debounce(drawHeatOverlay, 60);
+  // Sliders live in the menu: dragging them must not close it
+  const menu = el("menu-heatmap");
+  if (menu) menu.addEventListener("click", (e) => e.stopPropagation());
+  const reset = el("heatControlsReset");
+  if (reset) reset.addEventListener("click", () => {
+    state.heatOpts = { ...HEAT_DEFAULTS };
+    gaEvent("heatmap_controls", { heatmap: state.heatmap, control: "reset" });
+    buildHeatControls();
+    drawHeatOverlay();
+    scheduleUrlSync();
+  });
+  buildHeatControls();
+}
+
+// ================================
+// Custom area filter (draw on the map)
+// ================================
+// state.area is one of:
+//   { type: "polygon", points: [[lat, lng], ...] }
+//   { type: "rect", bounds: [[south, west], [north, east]] }
+//   { type: "circle", center: [lat, lng], radiusM }
+// Drawing is click-based (no drag) so it works the same with touch and mouse.
+const AREA_MAX_POINTS = 60;
+const AREA_MAX_RADIUS_M = 50000;
+const AREA_TYPES = [
+  { key: "polygon", labelKey: "area.polygon", hintKey: "area.polygonHint" },
+  { key: "rect", labelKey: "area.rect", hintKey: "area.rectHint" },
+  { key: "circle", labelKey: "area.circle", hintKey: "area.circleHint" },
+];
+const AREA_STYLE = { color: "#0ea5e9", weight: 2, opacity: 0.95, fillOpacity: 0.04 };
+
+let AREA_LAYER = null;
+let AREA_DRAW = null; // { type, points: [L.LatLng], preview } while drawing
+
+function areaChipLabel() {
+  if (!state.area) return t("common.all");
+  const type = AREA_TYPES.find(x => x.key === state.area.type);
+  return t(type ? type.labelKey : "area.generic");
+}
+
+// Ring of [lng, lat] positions (GeoJSON order) for pointInPolygon()
+function areaRing(area) {
+  if (area.type === "polygon") return area.points.map(([lat, lng]) => [lng, lat]);
+  if (area.type === "rect") {
+    const [[s, w], [n, e]] = area.bounds;
+    return [[w, s], [e, s], [e, n], [w, n], [w, s]];
+  }
+  return null;
+}
+
+// Returns p => boolean, with a bbox pre-check before the exact test
+function compileAreaFilter(area) {
+  if (!area) return null;
+
+  if (area.type === "circle") {
+    const [clat, clng] = area.center;
+    const rKm = area.radiusM / 1000;
+    return (p) => {
+      const lat = Number(p.lat);
+      const lng = Number(p.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+      return haversineKm(clat, clng, lat, lng) <= rKm;
+    };
+  }
+
+  const ring = areaRing(area);
+  if (!ring) return null;
+  const xs = ring.map(c => c[0]);
+  const ys = ring.map(c => c[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const poly = [ring];
+  return (p) => {
+    const lat = Number(p.lat);
+    const lng = Number(p.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+    if (lng < minX || lng > maxX || lat < minY || lat > maxY) return false;
+    return pointInPolygon([lng, lat], poly);
+  };
+}
+
+// ---- URL encoding: p:lat,lng;lat,lng… | r:s,w,n,e | c:lat,lng,radiusM ----
+function encodeArea(area) {
+  if (!area) return "";
+  const f = (n) => Number(n).toFixed(5);
+  if (area.type === "polygon") return "p:" + area.points.map(([a, b]) => `${f(a)},${f(b)}`).join(";");
+  if (area.type === "rect") return "r:" + area.bounds.flat().map(f).join(",");
+  if (area.type === "circle") return `c:${f(area.center[0])},${f(area.center[1])},${Math.round(area.radiusM)}`;
+  return "";
+}
+
+function decodeArea(v) {
+  const m = /^([prc]):(.+)$/.exec(String(v || "").trim());
+  if (!m) return null;
+  const okLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  if (m[1] === "p") {
+    const points = m[2].split(";").map(pair => pair.split(",").map(Number));
+    if (points.length < 3 || points.length > AREA_MAX_POINTS) return null;
+    if (!points.every(pt => pt.length === 2 && okLatLng(pt[0], pt[1]))) return null;
+    return { type: "polygon", points };
+  }
+
+  const nums = m[2].split(",").map(Number);
+  if (m[1] === "r") {
+    if (nums.length !== 4 || !okLatLng(nums[0], nums[1]) || !okLatLng(nums[2], nums[3])) return null;
+    const s = Math.min(nums[0], nums[2]), n = Math.max(nums[0], nums[2]);
+    const w = Math.min(nums[1], nums[3]), e = Math.max(nums[1], nums[3]);
+    if (s === n || w === e) return null;
+    return { type: "rect", bounds: [[s, w], [n, e]] };
+  }
+
+  if (nums.length !== 3 || !okLatLng(nums[0], nums[1])) return null;
+  const radiusM = nums[2];
+  if (!Number.isFinite(radiusM) || radiusM <= 0 || radiusM > AREA_MAX_RADIUS_M) return null;
+  return { type: "circle", center: [nums[0], nums[1]], radiusM };
+}
+
+// ---- Applied shape (same look as showSelectedDistrictBoundary) ----
+function clearAreaShape() {
+  if (!MAP || !AREA_LAYER) return;
+  try { MAP.removeLayer(AREA_LAYER); } catch (_e) { }
+  AREA_LAYER = null;
+}
+
+function showAreaShape(area = state.area) {
+  if (!MAP) return;
+  clearAreaShape();
+  if (!area) return;
+
+  const opts = { ...AREA_STYLE, interactive: false };
+  if (area.type === "polygon") AREA_LAYER = L.polygon(area.points, opts);
+  else if (area.type === "rect") AREA_LAYER = L.rectangle(area.bounds, opts);
+  else if (area.type === "circle") AREA_LAYER = L.circle(area.center, { ...opts, radius: area.radiusM });
+  if (!AREA_LAYER) return;
+
+  AREA_LAYER.addTo(MAP);
+  try { AREA_LAYER.bringToFront(); } catch (_e) { }
+}
+
+function applyArea(area, source = "draw") {
+  state.area = area;
+  // A drawn area replaces the district filter rather than intersecting with it
+  if (area && state.district !== "all") {
+    state.district = "all";
+    const districtEl = el("district");
+    if (districtEl) districtEl.value = "all";
+    clearDistrictBoundary();
+  }
+  SELECTED_ID = null;
+  closePlaceSheet();
+
+  gaEvent(area ? "area_apply" : "area_clear", { type: area ? area.type : "none", source });
+  gaTrackFiltersDebounced(area ? "area_apply" : "area_clear");
+
+  const av = el("areaValue");
+  if (av) av.textContent = areaChipLabel();
+  buildAreaMenu();
+  showAreaShape();
+  render();
+
+  if (area && AREA_LAYER && AREA_LAYER.getBounds) {
+    try { MAP.fitBounds(AREA_LAYER.getBounds(), { padding: [40, 40] }); } catch (_e) { }
+  }
+}
+
+// ---- Drawing ----
+function setDrawHint(text, canFinish = false) {
+  const hint = el("drawHint");
+  if (!hint) return;
+  hint.hidden = !text;
+  const txt = el("drawHintText");
+  if (txt) txt.textContent = text || "";
+  const fin = el("drawFinishBtn");
+  if (fin) {
+    fin.hidden = !AREA_DRAW || AREA_DRAW.type !== "polygon";
+    fin.disabled = !canFinish;
+  }
+}
+
+// Hint for the shape being drawn (also re-run when the language changes)
+function refreshDrawHint() {
+  const d = AREA_DRAW;
+  const type = d && AREA_TYPES.find(x => x.key === d.type);
+  if (!type) { setDrawHint(""); return; }
+  setDrawHint(t(type.hintKey), d.type === "polygon" && d.points.length >= 3);
+}
+
+function updateDrawPreview(cursor) {
+  const d = AREA_DRAW;
+  if (!d) return;
+  if (d.preview) { try { MAP.removeLayer(d.preview); } catch (_e) { } d.preview = null; }
+
+  const opts = { ...AREA_STYLE, dashArray: "6 6", interactive: false };
+  const pts = cursor ? [...d.points, cursor] : d.points;
+  if (!pts.length) return;
+
+  if (d.type === "polygon") {
+    d.preview = pts.length >= 3 ? L.polygon(pts, opts) : L.polyline(pts, opts);
+  } else if (d.type === "rect" && pts.length === 2) {
+    d.preview = L.rectangle(L.latLngBounds(pts[0], pts[1]), opts);
+  } else if (d.type === "circle" && pts.length === 2) {
+    d.preview = L.circle(pts[0], { ...opts, radius: MAP.distance(pts[0], pts[1]) });
+  } else {
+    d.preview = L.circleMarker(pts[0], { ...opts, radius: 4 });
+  }
+  d.preview.addTo(MAP);
+}
+
+function onDrawClick(e) {
+  const d = AREA_DRAW;
+  if (!d) return;
+  const ll = e.latlng;
+
+  if (d.type === "polygon") {
+    // Clicking near the first vertex closes the shape
+    if (d.points.length >= 3) {
+      const first = MAP.latLngToContainerPoint(d.points[0]);
+      if (first.distanceTo(e.containerPoint) < 14) { finishAreaDraw(); return; }
+    }
+    if (d.points.length >= AREA_MAX_POINTS) return;
+    d.points.push(ll);
+    updateDrawPreview(null);
+    refreshDrawHint();
+    return;
+  }
+
+  d.points.push(ll);
+  if (d.points.length === 2) finishAreaDraw();
+  else updateDrawPreview(null);
+}
+
+function onDrawMove(e) {
+  if (AREA_DRAW && AREA_DRAW.points.length) updateDrawPreview(e.latlng);
+}
+
+function startAreaDraw(type) {
+  const map = initLeafletMap();
+  if (!map || !AREA_TYPES.some(x => x.key === type)) return;
+
+  cancelAreaDraw();
+  closeMenus();
+  AREA_DRAW = { type, points: [], preview: null };
+  map.getContainer().classList.add("is-drawing");
+  map.doubleClickZoom.disable();
+  map.on("click", onDrawClick);
+  map.on("mousemove", onDrawMove);
+  refreshDrawHint();
+  gaEvent("area_draw_start", { type });
+}
+
+function stopAreaDraw() {
+  const d = AREA_DRAW;
+  AREA_DRAW = null;
+  setDrawHint("");
+  if (!MAP) return;
+  if (d && d.preview) { try { MAP.removeLayer(d.preview); } catch (_e) { } }
+  MAP.off("click", onDrawClick);
+  MAP.off("mousemove", onDrawMove);
+  MAP.doubleClickZoom.enable();
+  MAP.getContainer().classList.remove("is-drawing");
+}
+
+function cancelAreaDraw() {
+  if (AREA_DRAW) stopAreaDraw();
+}
+
+function finishAreaDraw() {
+  const d = AREA_DRAW;
+  if (!d) return;
+  const r5 = (n) => Math.round(n * 1e5) / 1e5;
+  let area = null;
+
+  if (d.type === "polygon" && d.points.length >= 3) {
+    area = { type: "polygon", points: d.points.map(p => [r5(p.lat), r5(p.lng)]) };
+  } else if (d.type === "rect" && d.points.length === 2) {
+    const b = L.latLngBounds(d.points[0], d.points[1]);
+    if (b.getSouth() !== b.getNorth() && b.getWest() !== b.getEast()) {
+      area = { type: "rect", bounds: [[r5(b.getSouth()), r5(b.getWest())], [r5(b.getNorth()), r5(b.getEast())]] };
+    }
+  } else if (d.type === "circle" && d.points.length === 2) {
+    const radiusM = Math.min(AREA_MAX_RADIUS_M, Math.round(MAP.distance(d.points[0], d.points[1])));
+    if (radiusM > 0) area = { type: "circle", center: [r5(d.points[0].lat), r5(d.points[0].lng)], radiusM };
+  }
+
+  stopAreaDraw();
+  if (area) applyArea(area, "draw");
+}
+
+function buildAreaMenu() {
+  const wrap = el("areaItems");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+
+  for (const type of AREA_TYPES) {
+    const active = state.area && state.area.type === type.key;
+    const opt = document.createElement("button");
+    opt.type = "button";
+    opt.className = "opt" + (active ? " is-active" : "");
+    opt.innerHTML = `<span>${escapeHtml(t(type.labelKey))}</span><span class="badge">${active ? "✓" : ""}</span>`;
+    opt.addEventListener("click", (e) => { e.stopPropagation(); startAreaDraw(type.key); });
+    wrap.appendChild(opt);
+  }
+
+  if (state.area) {
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "opt";
+    clear.innerHTML = `<span>${escapeHtml(t("area.remove"))}</span><span class="badge"></span>`;
+    clear.addEventListener("click", (e) => { e.stopPropagation(); closeMenus(); applyArea(null, "menu"); });
+    wrap.appendChild(clear);
+  }
+}
+
+function initAreaFilter() {
+  buildAreaMenu();
+  const fin = el("drawFinishBtn");
+  const cancel = el("drawCancelBtn");
+  if (fin) fin.addEventListener("click", (e) => { e.stopPropagation(); finishAreaDraw(); });
+  if (cancel) cancel.addEventListener("click", (e) => { e.stopPropagation(); cancelAreaDraw(); });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape" || !AREA_DRAW) return;
+    e.stopImmediatePropagation();
+    cancelAreaDraw();
+  }, true);
+}
+
+function clearMarkers() {
+  if (!MARKERS_LAYER) return;
+  MARKERS_LAYER.clearLayers();
+  MARKERS_BY_ID = new Map();
+  MARKERS_ON_MAP = new Map();
+  MARKER_ITEMS = [];
+}
+
+// ================================
+// Insights config (toggle_config.json)
+// ================================
+// SECURITY: Predicates, heat and sort specs are declarative JSON rules compiled
+// to closures - NO eval() or new Function(). Every rule is validated against the
+// schema below at load time; an insight with a bad rule is rejected (not shown).
+//
+// Predicate rule:
+//   true | { "and": [rule...] } | { "or": [rule...] } | { "not": rule }
+//   { "field": "rating", "op": ">=", "value": 4.3, "default": 0 }
+//   { "field": "rating_count", "op": "between", "value": [30, 180] }
+//   { "field": "sentiment_label_ar", "op": "not_in", "value": ["سلبي"] }
+//   { "field": ["name", "tags"], "op": "contains", "value": "راقي" }
+// Heat: { "field": "bayes2_score", "default": 0.5 }
+// Sort: [{ "field": "bayes2_score", "dir": "desc" }, ...]
+const RULE_FIELDS = {
+  rating: "number",
+  rating_count: "number",
+  reviews: "number",
+  bayes2_score: "number",
+  trust: "number",
+  trust_score: "number",
+  name: "string",
+  category: "string",
+  district: "string",
+  sentiment: "string",
+  sentiment_label_ar: "string",
+  price: "string",
+  price_bucket_ar: "string",
+  summary: "string",
+  tags: "array",
+};
+const RULE_COMPARE_OPS = ["==", "!=", ">", ">=", "<", "<="];
+const RULE_OPS = [...RULE_COMPARE_OPS, "between", "in", "not_in", "contains"];
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function validateRule(rule, path = "predicate") {
+  const errors = [];
+  const fail = (msg) => errors.push(`${path}: ${msg}`);
+
+  if (rule === true) return errors;
+  if (!isPlainObject(rule)) { fail("rule must be an object or true"); return errors; }
+
+  const combinators = ["and", "or", "not"].filter(k => k in rule);
+  if (combinators.length > 1) { fail(`only one of and/or/not allowed, got ${combinators.join(", ")}`); return errors; }
+
+  if (combinators.length === 1) {
+    const k = combinators[0];
+    if (Object.keys(rule).length !== 1) fail(`"${k}" cannot be mixed with other keys`);
+    if (k === "not") return errors.concat(validateRule(rule.not, `${path}.not`));
+    if (!Array.isArray(rule[k]) || !rule[k].length) { fail(`"${k}" must be a non-empty array`); return errors; }
+    rule[k].forEach((r, i) => errors.push(...validateRule(r, `${path}.${k}[${i}]`)));
+    return errors;
+  }
+
+  const { field, op, value } = rule;
+  const unknownKeys = Object.keys(rule).filter(k => !["field", "op", "value", "default"].includes(k));
+  if (unknownKeys.length) fail(`unknown keys: ${unknownKeys.join(", ")}`);
+  if (!RULE_OPS.includes(op)) { fail(`unknown op "${op}" (expected one of ${RULE_OPS.join(", ")})`); return errors; }
+
+  const fields = Array.isArray(field) ? field : [field];
+  if (!fields.length) fail("field list is empty");
+  for (const f of fields) {
+    if (!(f in RULE_FIELDS)) fail(`unknown field "${f}"`);
+  }
+  if (errors.length) return errors;
+  if (Array.isArray(field) && op !== "contains") { fail(`a field list is only allowed with "contains"`); return errors; }
+
+  const type = RULE_FIELDS[fields[0]];
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const isStr = (v) => typeof v === "string";
+
+  if ("default" in rule && !(type === "number" ? isNum(rule.default) : isStr(rule.default))) {
+    fail(`default must be a ${type === "number" ? "number" : "string"}`);
+  }
+
+  if (op === "contains") {
+    if (fields.some(f => RULE_FIELDS[f] === "number")) fail(`"contains" needs text fields`);
+    if (!isStr(value) || !value.trim()) fail(`"contains" value must be a non-empty string`);
+  } else if (op === "between") {
+    if (type !== "number") fail(`"between" needs a numeric field`);
+    else if (!Array.isArray(value) || value.length !== 2 || !value.every(isNum) || value[0] > value[1]) {
+      fail(`"between" value must be [min, max] numbers with min <= max`);
+    }
+  } else if (op === "in" || op === "not_in") {
+    if (!Array.isArray(value) || !value.length) fail(`"${op}" value must be a non-empty array`);
+    else if (!value.every(type === "number" ? isNum : isStr)) fail(`"${op}" values must all be ${type === "number" ? "numbers" : "strings"}`);
+  } else if (type === "array") {
+    fail(`"${op}" cannot be used on list field "${field}" (use contains)`);
+  } else if (type === "number") {
+    if (!isNum(value)) fail(`"${op}" on "${field}" needs a number value`);
+  } else if (op !== "==" && op !== "!=") {
+    fail(`"${op}" needs a numeric field`);
+  } else if (!isStr(value)) {
+    fail(`"${op}" on "${field}" needs a string value`);
+  }
+
+  return errors;
+}
+
+// Assumes validateRule() passed
+function compileRule(rule) {
+  if (rule === true) return (_) => true;
+  if (rule.and) { const fs = rule.and.map(compileRule); return (p) => fs.every(f => f(p)); }
+  if (rule.or) { const fs = rule.or.map(compileRule); return (p) => fs.some(f => f(p)); }
+  if (rule.not) { const f = compileRule(rule.not); return (p) => !f(p); }
+
+  const { op, value } = rule;
+
+  if (op === "contains") {
+    const fields = Array.isArray(rule.field) ? rule.field : [rule.field];
+    const needle = normalizeText(value);
+    return (p) => fields.some(f => {
+      const v = p[f];
+      const text = Array.isArray(v) ? v.join(" ") : (v ?? "");
+      return normalizeText(text).includes(needle);
+    });
+  }
+
+  const field = rule.field;
+  const isNum = RULE_FIELDS[field] === "number";
+  const def = ("default" in rule) ? rule.default : (isNum ? 0 : "");
+  const get = isNum
+    ? (p) => { const n = Number(p[field] ?? def); return Number.isFinite(n) ? n : def; }
+    : (p) => String(p[field] ?? def);
+
+  switch (op) {
+    case "==": return (p) => get(p) === value;
+    case "!=": return (p) => get(p) !== value;
+    case ">": return (p) => get(p) > value;
+    case ">=": return (p) => get(p) >= value;
+    case "<": return (p) => get(p) < value;
+    case "<=": return (p) => get(p) <= value;
+    case "between": return (p) => { const v = get(p); return v >= value[0] && v <= value[1]; };
+    case "in": { const set = new Set(value); return (p) => set.has(get(p)); }
+    case "not_in": { const set = new Set(value); return (p) => !set.has(get(p)); }
+    default: return (_) => false;
+  }
+}
+
+function validateHeatSpec(spec, path = "heat") {
+  if (!isPlainObject(spec)) return [`${path}: must be an object like { "field": "rating", "default": 0 }`];
+  const errors = [];
+  const unknownKeys = Object.keys(spec).filter(k => !["field", "default"].includes(k));
+  if (unknownKeys.length) errors.push(`${path}: unknown keys: ${unknownKeys.join(", ")}`);
+  if (RULE_FIELDS[spec.field] !== "number") errors.push(`${path}: "${spec.field}" is not a numeric field`);
+  if ("default" in spec && !(typeof spec.default === "number" && Number.isFinite(spec.default))) {
+    errors.push(`${path}: default must be a number`);
+  }
+  return errors;
+}
+
+function compileHeatSpec(spec) {
+  const field = spec.field;
+  const def = Number(spec.default ?? 0);
+  const fn = (p) => {
+    const n = Number(p[field] ?? def);
+    return Number.isFinite(n) ? n : 0;
+  };
+  fn.field = field; // names the metric in the heatmap legend
+  return fn;
+}
+
+function validateSortSpec(spec, path = "sort") {
+  if (!Array.isArray(spec) || !spec.length) return [`${path}: must be a non-empty array of { field, dir }`];
+  const errors = [];
+  spec.forEach((k, i) => {
+    const at = `${path}[${i}]`;
+    if (!isPlainObject(k)) { errors.push(`${at}: must be an object`); return; }
+    if (RULE_FIELDS[k.field] !== "number") errors.push(`${at}: "${k.field}" is not a numeric field`);
+    if (!["asc", "desc"].includes(k.dir)) errors.push(`${at}: dir must be "asc" or "desc"`);
+  });
+  return errors;
+}
+
+// --- Legacy string specs (older cached toggle_config.json) -> declarative rules ---
+function legacyPredicateToRule(codeStr) {
+  const code = String(codeStr || "").trim();
+  if (!code || code === "return true;") return true;
+
+  const neg = (s) => ({ field: "sentiment_label_ar", op: "!=", value: s });
+
+  const discover = code.match(/r\s*>=\s*([\d.]+)\s*&&\s*v\s*>=\s*(\d+)\s*&&\s*v\s*<=\s*(\d+)\s*&&\s*s\s*!==\s*['"]([^'"]+)['"]/);
+  if (discover) {
+    return { and: [
+      { field: "rating", op: ">=", value: parseFloat(discover[1]) },
+      { field: "rating_count", op: "between", value: [parseInt(discover[2], 10), parseInt(discover[3], 10)] },
+      neg(discover[4]),
+    ] };
+  }
+  const mustGo = code.match(/b2\s*>=\s*([\d.]+)\s*&&\s*v\s*>=\s*(\d+)\s*&&\s*s\s*!==\s*['"]([^'"]+)['"]/);
+  if (mustGo) {
+    return { and: [
+      { field: "bayes2_score", op: ">=", value: parseFloat(mustGo[1]), default: 0.5 },
+      { field: "rating_count", op: ">=", value: parseInt(mustGo[2], 10) },
+      neg(mustGo[3]),
+    ] };
+  }
+  const topRated = code.match(/r\s*>=\s*([\d.]+)\s*&&\s*v\s*>=\s*(\d+)/);
+  if (topRated) {
+    return { and: [
+      { field: "rating", op: ">=", value: parseFloat(topRated[1]) },
+      { field: "rating_count", op: ">=", value: parseInt(topRated[2], 10) },
+    ] };
+  }
+  const text = code.match(/const q\s*=\s*['"]([^'"]+)['"]/);
+  if (text) {
+    return { field: ["name", "tags", "category", "district"], op: "contains", value: text[1] };
+  }
+  return null;
+}
+
+function legacyHeatToSpec(codeStr) {
+  const m = String(codeStr || "").trim().match(/return\s*\(\s*p\.(\w+)\s*\?\?\s*([\d.]+)\s*\)\s*;?/);
+  return m ? { field: m[1], default: parseFloat(m[2]) || 0 } : null;
+}
+
+const DEFAULT_SORT_SPEC = [
+  { field: "trust", dir: "desc" },
+  { field: "rating_count", dir: "desc" },
+];
+
+function normalizeSortSpec(spec) {
+  if (Array.isArray(spec)) return spec;
+  const s = String(spec || "");
+  if (s.startsWith("desc:")) return [{ field: s.slice(5), dir: "desc" }];
+  if (s.startsWith("asc:")) return [{ field: s.slice(4), dir: "asc" }];
+  if (s === "special:mustgo") {
+    return [
+      { field: "bayes2_score", dir: "desc" },
+      { field: "rating_count", dir: "desc" },
+      { field: "rating", dir: "desc" },
+    ];
+  }
+  return DEFAULT_SORT_SPEC;
+}
+
+// Validate one toggle_config.json entry (same { valid, errors } shape as the API validators)
+function validateInsightConfig(key, it) {
+  const errors = [];
+  if (!isPlainObject(it)) return { valid: false, errors: [`${key}: entry must be an object`] };
+
+  let predicate = ("predicate" in it) ? it.predicate : true;
+  if (typeof predicate === "string") {
+    predicate = legacyPredicateToRule(predicate);
+    if (predicate === null) errors.push(`predicate: unrecognized legacy string "${it.predicate.slice(0, 80)}"`);
+    else console.warn(`[Config] Insight "${key}" uses a deprecated string predicate; migrate to a JSON rule.`);
+  }
+  if (predicate !== null) errors.push(...validateRule(predicate));
+
+  let heat = ("heat" in it) ? it.heat : null;
+  if (typeof heat === "string") {
+    heat = legacyHeatToSpec(heat);
+    if (heat === null) errors.push(`heat: unrecognized legacy string "${it.heat.slice(0, 80)}"`);
+  }
+  if (heat !== null) errors.push(...validateHeatSpec(heat));
+
+  const sort = normalizeSortSpec(("sort" in it) ? it.sort : "desc:bayes2_score");
+  errors.push(...validateSortSpec(sort));
+
+  return { valid: errors.length === 0, errors, predicate, heat, sort };
+}
+
+async function loadToggleConfig() {
+  if (TOGGLE_CONFIG) return TOGGLE_CONFIG;
+  try {
+    const res = await fetch("./toggle_config.json", { cache: "force-cache" });
+    if (!res.ok) throw new Error("toggle_config fetch failed");
+    TOGGLE_CONFIG = await res.json();
+    return TOGGLE_CONFIG;
+  } catch (e) {
+    console.warn("toggle_config.json not available, using fallback insights.", e);
+    TOGGLE_CONFIG = null;
+    return null;
+  }
+}
+
+// "🔥 لازم تزوره" -> emoji + label
+const INSIGHT_EMOJI_RE = /^([\p{Extended_Pictographic}\u2600-\u27BF]+)\s+(.*)$/u;
+
+function rebuildInsightsFromToggleConfig(cfg) {
+  const base = [{ key: "all", label: "الكل", emoji: "✨", predicate: (_) => true, sort: normalizeSortSpec("desc:bayes2_score"), heatFn: null }];
+
+  if (!cfg) { INSIGHTS = base; return; }
+
+  const order = ["must_go", "trust_rank", "top_rated", "old_is_gold", "search_match"];
+  const keys = order.filter(k => cfg[k]).concat(Object.keys(cfg).filter(k => !order.includes(k)));
+
+  const mapped = [];
+  for (const k of keys) {
+    const it = cfg[k] || {};
+    const checked = validateInsightConfig(k, it);
+    if (!checked.valid) {
+      console.error(`[Config] Rejected insight "${k}" from toggle_config.json:\n  - ${checked.errors.join("\n  - ")}`);
+      continue;
+    }
+
+    const labelRaw = String(it.label_ar || k);
+    const m = labelRaw.match(INSIGHT_EMOJI_RE);
+    const emoji = m ? m[1] : (k === "must_go" ? "🔥" : k === "trust_rank" ? "🎯" : "✨");
+    const label = m ? m[2] : labelRaw;
+    const en = it.label_en ? String(it.label_en).match(INSIGHT_EMOJI_RE) : null;
+
+    mapped.push({
+      key: k,
+      label,
+      labelEn: en ? en[2] : (it.label_en ? String(it.label_en) : ""),
+      emoji,
+      micro: it.micro_ar || "",
+      microEn: it.micro_en || "",
+      desc: it.desc_ar || "",
+      descEn: it.desc_en || "",
+      predicate: compileRule(checked.predicate),
+      sort: checked.sort,
+      heatFn: checked.heat ? compileHeatSpec(checked.heat) : null,
+    });
+  }
+
+  INSIGHTS = base.concat(mapped);
+}
+
+// ================================
+// Markers
+// ================================
+function setMarkers(places) {
+  initLeafletMap();
+  clearMarkers();
+
+  const crs = MAP.options.crs;
+  const bounds = [];
+  for (const p of places) {
+    const lat = Number(p.lat);
+    const lng = Number(p.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+    // Zoom-0 pixel coords; scaled per zoom level by the clusterer
+    const pt = crs.latLngToPoint(L.latLng(lat, lng), 0);
+    MARKER_ITEMS.push({ p, id: String(p.id), rank: bounds.length + 1, lat, lng, x: pt.x, y: pt.y });
+    bounds.push([lat, lng]);
+  }
+
+  if (!DID_FIT_BOUNDS && bounds.length >= 2) {
+    DID_FIT_BOUNDS = true;
+    try { MAP.fitBounds(bounds, { padding: [40, 40] }); } catch (_e) { }
+  }
+
+  refreshMarkerClusters();
+}
+
+// ================================
+// Marker clustering (grid-based, zoom-aware)
+// ================================
+// Only the viewport is clustered. Top-ranked pins and the selected place are
+// never absorbed into a cluster, so MARKERS_BY_ID always has them.
+const CLUSTER_CELL_PX = 64;
+const CLUSTER_DISABLE_ZOOM = 17;
+const CLUSTER_PINNED_RANKS = 3;
+
+let MARKER_ITEMS = [];          // ranked places from the last setMarkers()
+let MARKERS_ON_MAP = new Map(); // layer key -> layer currently in MARKERS_LAYER
+
+function getPlaceMarker(it) {
+  const cached = MARKERS_BY_ID.get(it.id);
+  if (cached) return cached;
+
+  const p = it.p;
+  const rank = it.rank;
+  const size = isMobile() ? 24 : 26;
+  const color = p.unavailable ? "#9ca3af" : rank <= CLUSTER_PINNED_RANKS ? "#f59e0b" : "#3b82f6";
+
+  const icon = L.divIcon({
+    className: "",
+    html: `<div class="rn-pin" style="--pin:${color};--s:${size}px"><span>${rank}</span></div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+
+  // keyboard: focusable (Tab) and Enter fires "click"
+  const m = L.marker([it.lat, it.lng], {
+    icon,
+    keyboard: true,
+    zIndexOffset: rank <= CLUSTER_PINNED_RANKS ? 1000 : 0
+  });
+  m.on("click", () => {
+    if (AREA_DRAW) return; // clicks belong to the drawing tool
+    selectPlaceById(p.id, "marker");
+  });
+  // Icons are rebuilt whenever a marker re-enters the map; keep the label and active state
+  m.on("add", () => {
+    const node = m.getElement();
+    if (node) node.setAttribute("aria-label", `${fmtNum(rank)}. ${p.name}`);
+    setMarkerSelected(it.id, SELECTED_ID === it.id);
+  });
+
+  MARKERS_BY_ID.set(it.id, m);
+  return m;
+}
+
+function createClusterMarker(members) {
+  let lat = 0, lng = 0, best = Infinity;
+  for (const it of members) {
+    lat += it.lat;
+    lng += it.lng;
+    if (it.rank < best) best = it.rank;
+  }
+  const count = members.length;
+  const size = count < 10 ? 34 : count < 100 ? 40 : count < 1000 ? 48 : 56;
+
+  const icon = L.divIcon({
+    className: "",
+    html: `<div class="rn-cluster" style="--s:${size}px" title="${escapeHtml(t("cluster.title", { n: fmtNum(count), best: fmtNum(best) }))}"><span class="rn-cluster__count">${fmtNum(count)}</span><span class="rn-cluster__best">#${fmtNum(best)}</span></div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+
+  const m = L.marker([lat / count, lng / count], { icon, keyboard: true });
+  m.on("add", () => {
+    const node = m.getElement();
+    if (node) node.setAttribute("aria-label", t("cluster.title", { n: fmtNum(count), best: fmtNum(best) }));
+  });
+  m.on("click", () => {
+    if (AREA_DRAW) return; // clicks belong to the drawing tool
+    const b = L.latLngBounds(members.map(it => [it.lat, it.lng]));
+    try { MAP.fitBounds(b, { padding: [60, 60], maxZoom: CLUSTER_DISABLE_ZOOM }); } catch (_e) { }
+    gaEvent("cluster_click", { count, best_rank: best, zoom: MAP.getZoom() });
+  });
+  return m;
+}
+
+function refreshMarkerClusters() {
+  if (!MAP || !MARKERS_LAYER) return;
+
+  const zoom = MAP.getZoom();
+  const crs = MAP.options.crs;
+  const scale = crs.scale(zoom) / crs.scale(0);
+  const pb = MAP.getPixelBounds();
+  const minX = pb.min.x - CLUSTER_CELL_PX, maxX = pb.max.x + CLUSTER_CELL_PX;
+  const minY = pb.min.y - CLUSTER_CELL_PX, maxY = pb.max.y + CLUSTER_CELL_PX;
+  const clustering = zoom < CLUSTER_DISABLE_ZOOM;
+
+  const next = new Map();
+  const cells = new Map();
+  for (const it of MARKER_ITEMS) {
+    const pinned = it.rank <= CLUSTER_PINNED_RANKS || it.id === SELECTED_ID;
+    if (pinned) { next.set("p:" + it.id, it); continue; }
+
+    const x = it.x * scale;
+    const y = it.y * scale;
+    if (x < minX || x > maxX || y < minY || y > maxY) continue;
+    if (!clustering) { next.set("p:" + it.id, it); continue; }
+
+    const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+    let members = cells.get(key);
+    if (!members) cells.set(key, members = []);
+    members.push(it);
+  }
+  for (const [key, members] of cells) {
+    if (members.length === 1) next.set("p:" + members[0].id, members[0]);
+    else next.set(`c:${zoom}:${key}:${members.length}`, members);
+  }
+
+  // Diff against what is on the map so open popups survive pans
+  for (const [key, layer] of MARKERS_ON_MAP) {
+    if (next.has(key)) continue;
+    MARKERS_LAYER.removeLayer(layer);
+    MARKERS_ON_MAP.delete(key);
+  }
+  for (const [key, v] of next) {
+    if (MARKERS_ON_MAP.has(key)) continue;
+    const layer = Array.isArray(v) ? createClusterMarker(v) : getPlaceMarker(v);
+    layer.addTo(MARKERS_LAYER);
+    MARKERS_ON_MAP.set(key, layer);
+  }
+}
+
+function focusPlace(p) {
+  if (!MAP) return;
+  const lat = Number(p.lat);
+  const lng = Number(p.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+
+  const zoom = Math.max(16, MAP.getZoom() || 16);
+  let centerLatLng = L.latLng(lat, lng);
+
+  try {
+    const isDesktop = window.matchMedia("(min-width: 980px)").matches;
+    if (!isDesktop) {
+      const panel = document.getElementById("panel");
+      if (panel) {
+        const ph = panel.getBoundingClientRect().height || 0;
+        if (ph > 0) {
+          const pxOffsetY = Math.round(ph * 0.35);
+          const targetPoint = MAP.project(centerLatLng, zoom);
+          centerLatLng = MAP.unproject(targetPoint.add([0, pxOffsetY]), zoom);
+        }
+      }
+    }
+  } catch (_e) { }
+
+  MAP.setView(centerLatLng, zoom, { animate: true });
+
+  const marker = MARKERS_BY_ID.get(String(p.id));
+  if (marker && marker.bringToFront) marker.bringToFront();
+}
+
+// Pin highlight + aria-current on a ranked marker (if it is on the map)
+function setMarkerSelected(id, on) {
+  const marker = MARKERS_BY_ID.get(String(id));
+  const node = marker && marker.getElement ? marker.getElement() : null;
+  if (!node) return;
+  const pin = node.querySelector(".rn-pin");
+  if (pin) pin.classList.toggle("active", on);
+  if (on) node.setAttribute("aria-current", "true");
+  else node.removeAttribute("aria-current");
+}
+
+function selectPlaceById(id, source = "select") {
+  const pid = String(id);
+  // Saved/similar rows may not be in DATA (e.g. places gone from the API)
+  const p = DATA_BY_ID.get(pid) || RESULTS_ROWS.find(x => String(x.id) === pid);
+  if (!p) return;
+
+  // GA: place select
+  gaEvent("place_select", {
+    place_id: (p && p.place_id) ? String(p.place_id) : pid,
+    source: source || "select"
+  });
+
+  if (SELECTED_ID && SELECTED_ID !== pid) setMarkerSelected(SELECTED_ID, false);
+
+  SELECTED_ID = pid;
+
+  // Pull the place out of its cluster (if any) before looking up its marker
+  refreshMarkerClusters();
+  setMarkerSelected(pid, true);
+
+  focusPlace(p);
+
+  const wrap = document.getElementById("resultsList");
+  if (wrap) {
+    wrap.querySelectorAll(".card.is-selected").forEach(x => setResultCardSelected(x, false));
+    const card = wrap.querySelector(`.card[data-id="${cssEscape(pid)}"]`);
+    if (card) setResultCardSelected(card, true);
+    // Far-off cards are not in the DOM yet; the list scrolls to them and paints them selected
+    const i = RESULTS_ROWS.findIndex(x => String(x.id) === pid);
+    if (i >= 0) setResultsTabStop(i);
+    scrollResultIntoView(pid);
+  }
+
+  openPlaceSheet(p);
+  scheduleUrlSync();
+}
+
+// ================================
+// Place detail sheet
+// ================================
+// Side sheet on desktop, bottom sheet on mobile (see .placeSheet in styles.css).
+// Opened by selectPlaceById(); closing it from the UI clears the selection.
+const SHEET_SIMILAR_COUNT = 5;
+const SHEET_SIMILAR_CACHE_MAX = 50;
+
+let PLACE_SHEET_ID = null;
+let SHEET_SIMILAR_CACHE = new Map(); // place id -> similar rows (null while loading)
+
+function placeShareUrl(p) {
+  const sp = new URLSearchParams();
+  sp.set("place", String(p.id));
+  return `${location.origin}${location.pathname}?${sp.toString()}`;
+}
+
+function placeSheetFieldsHtml(p) {
+  const fields = [
+    [t("field.rating"), p.rating != null ? `⭐ ${fmtNum(p.rating, 1)}` : ""],
+    [t("field.reviews"), p.rating_count != null ? fmtNum(p.rating_count) : ""],
+    [t("field.trust"), p.bayes2_score != null ? fmtNum(p.bayes2_score, 2) : ""],
+    [t("field.sentiment"), sentimentLabel(p.sentiment_label_ar || p.sentiment || "") || ""],
+    [t("field.price"), [p.price && p.price !== "الكل" ? p.price : "", LANG === "ar" ? (p.price_bucket_ar || "") : ""].filter(Boolean).join(" • ")],
+    [t("field.distance"), formatDistance(distanceFromUserKm(p))],
+  ].filter(([, v]) => v);
+
+  return fields.map(([k, v]) => `
+    <div class="placeSheet__field">
+      <div class="placeSheet__fieldKey">${escapeHtml(k)}</div>
+      <div class="placeSheet__fieldVal">${escapeHtml(v)}</div>
+    </div>`).join("");
+}
+
+function placeSheetTagsHtml(p) {
+  const tags = Array.isArray(p.tags) ? p.tags : [];
+  if (!tags.length) return "";
+  const chips = tags.map(tag => {
+    const on = state.tags.has(tag);
+    return `<button type="button" class="opt opt--chip${on ? " is-active" : ""}" data-action="apply-tag" data-tag="${escapeHtml(tag)}" aria-pressed="${on}">#${escapeHtml(tag)}</button>`;
+  }).join("");
+  return `<div class="placeSheet__section">
+      <div class="placeSheet__sectionTitle">${escapeHtml(t("sheet.tags"))}</div>
+      <div class="placeSheet__tags">${chips}</div>
+    </div>`;
+}
+
+// Toggle chips per saved list (the save-to menu lives in the panel, under the mobile sheet)
+function placeSheetListsHtml(p) {
+  if (!SAVED_LISTS.length) return "";
+  const pid = String(p.id);
+  const chips = SAVED_LISTS.map(l => {
+    const has = l.items.some(it => String(it.id) === pid);
+    return `<button type="button" class="opt opt--chip${has ? " is-active" : ""}" data-action="toggle-list" data-list-id="${escapeHtml(l.id)}" aria-pressed="${has}">${has ? "♥" : "♡"} ${escapeHtml(savedListName(l))}</button>`;
+  }).join("");
+  return `<div class="placeSheet__section">
+      <div class="placeSheet__sectionTitle">${escapeHtml(t("sheet.saveTo"))}</div>
+      <div class="placeSheet__tags">${chips}</div>
+    </div>`;
+}
+
+function placeSheetSimilarHtml(id) {
+  const rows = SHEET_SIMILAR_CACHE.get(id);
+  if (!rows) return `<div class="placeSheet__muted">${escapeHtml(t("sheet.loading"))}</div>`;
+  if (!rows.length) return `<div class="placeSheet__muted">${escapeHtml(t("sheet.noSimilar"))}</div>`;
+  return rows.map(r => `
+    <button type="button" class="placeSheet__similar" data-action="open-place" data-place-id="${escapeHtml(String(r.id))}">
+      <span class="placeSheet__similarName">${escapeHtml(r.name)}</span>
+      <span class="placeSheet__similarMeta">${r.rating != null ? `⭐ ${fmtNum(r.rating, 1)}` : ""}${r.district ? ` • ${escapeHtml(districtLabel(r.district))}` : ""}</span>
+    </button>`).join("");
+}
+
+function placeSheetHtml(p) {
+  const id = String(p.id);
+  const sub = [
+    p.category ? categoryLabel(p.category) : "",
+    p.district && p.district !== "all" ? districtLabel(p.district) : "",
+  ].filter(Boolean).join(" • ");
+  const g = p.link ? `<a class="btn btn--ghost btn--sm" href="${escapeHtml(p.link)}" target="_blank" rel="noopener noreferrer">🗺️ Google Maps</a>` : "";
+
+  return `
+    <div class="placeSheet__head">
+      <div class="placeSheet__titles">
+        <h2 class="placeSheet__title" id="placeSheetTitle">${escapeHtml(p.name)}</h2>
+        ${sub ? `<div class="placeSheet__sub">${escapeHtml(sub)}</div>` : ""}
+        ${p.unavailable ? `<div class="badge">${escapeHtml(t("common.unavailable"))}</div>` : ""}
+        ${p.partial ? `<div class="placeSheet__muted">${escapeHtml(t("card.partialTitle"))}</div>` : ""}
+        ${p.district_mismatch ? `<div class="placeSheet__muted">${escapeHtml(p.geo_district ? t("sheet.mismatchIn", { district: districtLabel(p.geo_district) }) : t("sheet.mismatchOut"))}</div>` : ""}
+      </div>
+      <button type="button" class="btnGhost placeSheet__close" data-action="close-sheet" aria-label="${escapeHtml(t("common.close"))}">✕</button>
+    </div>
+    ${p.summary ? `<p class="placeSheet__summary">${escapeHtml(p.summary)}</p>` : ""}
+    <div class="placeSheet__fields">${placeSheetFieldsHtml(p)}</div>
+    <div class="placeSheet__actions">
+      <button type="button" class="btn btn--ghost btn--sm" data-action="find-similar" data-place-id="${escapeHtml(id)}">${escapeHtml(t("sheet.similar"))}</button>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="compare-place" data-place-id="${escapeHtml(id)}" aria-pressed="${isPlaceCompared(p.id)}">${escapeHtml(t(isPlaceCompared(p.id) ? "sheet.compared" : "sheet.compare"))}</button>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="itinerary-place" data-place-id="${escapeHtml(id)}" aria-pressed="${isPlaceInItinerary(p.id)}">${escapeHtml(t(isPlaceInItinerary(p.id) ? "sheet.planned" : "sheet.plan"))}</button>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="share-place" data-place-id="${escapeHtml(id)}">${escapeHtml(t("sheet.share"))}</button>
+      ${g}
+    </div>
+    ${placeSheetListsHtml(p)}
+    ${placeSheetTagsHtml(p)}
+    ${p.unavailable ? "" : `<div class="placeSheet__section">
+      <div class="placeSheet__sectionTitle">${escapeHtml(t("sheet.similarTitle"))}</div>
+      <div class="placeSheet__similarList" id="placeSheetSimilar">${placeSheetSimilarHtml(id)}</div>
+    </div>`}
+  `;
+}
+
+async function loadSheetSimilar(p) {
+  const id = String(p.id);
+  if (SHEET_SIMILAR_CACHE.has(id) || p.unavailable) return;
+  SHEET_SIMILAR_CACHE.set(id, null);
+
+  let rows = [];
+  try {
+    const results = await fetchSimilarPlaces(id, { k: SHEET_SIMILAR_COUNT + 3 });
+    rows = results.slice(0, SHEET_SIMILAR_COUNT);
+  } catch (e) {
+    console.warn("[Sheet] Similar places failed:", e && (e.status || e.message));
+    SHEET_SIMILAR_CACHE.delete(id);
+    if (PLACE_SHEET_ID === id) {
+      const box = el("placeSheetSimilar");
+      if (box) box.innerHTML = `<div class="placeSheet__muted">${escapeHtml(t("sheet.similarFailed"))}</div>`;
+    }
+    return;
+  }
+
+  SHEET_SIMILAR_CACHE.set(id, rows);
+  if (SHEET_SIMILAR_CACHE.size > SHEET_SIMILAR_CACHE_MAX) {
+    SHEET_SIMILAR_CACHE.delete(SHEET_SIMILAR_CACHE.keys().next().value);
+  }
+  if (PLACE_SHEET_ID === id) {
+    const box = el("placeSheetSimilar");
+    if (box) box.innerHTML = placeSheetSimilarHtml(id);
+  }
+}
+
+function findSheetPlace(id) {
+  const pid = String(id);
+  if (DATA_BY_ID.has(pid)) return DATA_BY_ID.get(pid);
+  const row = RESULTS_ROWS.find(x => String(x.id) === pid);
+  if (row) return row;
+  for (const rows of SHEET_SIMILAR_CACHE.values()) {
+    const hit = rows && rows.find(x => String(x.id) === pid);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+function openPlaceSheet(p) {
+  const sheet = el("placeSheet");
+  const body = el("placeSheetBody");
+  if (!sheet || !body || !p) return;
+
+  const wasOpen = !sheet.hidden;
+  PLACE_SHEET_ID = String(p.id);
+  body.innerHTML = placeSheetHtml(p);
+  body.scrollTop = 0;
+  sheet.hidden = false;
+  document.body.classList.add("has-place-sheet");
+
+  if (!wasOpen) {
+    const close = sheet.querySelector("[data-action='close-sheet']");
+    try { close && close.focus({ preventScroll: true }); } catch (_e) { }
+  }
+  loadSheetSimilar(p);
+}
+
+// Re-render in place (saved state / distance changed), keeping the scroll position
+function refreshPlaceSheet() {
+  if (!PLACE_SHEET_ID) return;
+  const p = findSheetPlace(PLACE_SHEET_ID);
+  const body = el("placeSheetBody");
+  if (!p || !body) return;
+  const top = body.scrollTop;
+  body.innerHTML = placeSheetHtml(p);
+  body.scrollTop = top;
+}
+
+function closePlaceSheet() {
+  const sheet = el("placeSheet");
+  PLACE_SHEET_ID = null;
+  document.body.classList.remove("has-place-sheet");
+  if (sheet) sheet.hidden = true;
+}
+
+// Closing the sheet from the UI also drops the selection (and the ?place= link)
+function deselectPlace(source = "ui") {
+  if (!SELECTED_ID) { closePlaceSheet(); return; }
+  const pid = SELECTED_ID;
+  const sheet = el("placeSheet");
+  const hadFocus = !!sheet && sheet.contains(document.activeElement);
+  setMarkerSelected(pid, false);
+  document.querySelectorAll("#resultsList .card.is-selected").forEach(x => setResultCardSelected(x, false));
+
+  gaEvent("place_sheet_close", { source });
+  SELECTED_ID = null;
+  closePlaceSheet();
+  refreshMarkerClusters();
+  scheduleUrlSync();
+
+  // Keyboard users land back on the place's card, or its marker
+  if (!hadFocus) return;
+  const i = RESULTS_ROWS.findIndex(x => String(x.id) === pid);
+  if (i >= 0) { focusResultCard(i); return; }
+  const marker = MARKERS_BY_ID.get(pid);
+  const node = marker && marker.getElement ? marker.getElement() : null;
+  try { node && node.focus({ preventScroll: true }); } catch (_e) { }
+}
+
+function applyTagFromSheet(tag) {
+  if (!tag) return;
+  const next = new Set(state.tags);
+  if (next.has(tag)) next.delete(tag); else next.add(tag);
+  state.tags = next;
+  TAGS_DRAFT = null;
+
+  gaEvent("tags_apply", { tags_count: state.tags.size, source: "sheet" });
+  gaTrackFiltersDebounced("tags_apply");
+
+  const tv = el("tagsValue");
+  if (tv) tv.textContent = tagsChipLabel();
+
+  // On mobile the sheet covers the list: get out of the way so the results show
+  if (isMobile()) deselectPlace("tag");
+  render();
+  refreshPlaceSheet();
+}
+
+async function sharePlace(p) {
+  const url = placeShareUrl(p);
+  const title = p.name || "RiyadhNow";
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text: title, url });
+      gaEvent("place_share", { method: "native" });
+      return;
+    } catch (e) {
+      if (e && e.name === "AbortError") return;
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast(t("share.placeCopied"), "success", 2500);
+    gaEvent("place_share", { method: "clipboard" });
+  } catch (_e) {
+    window.prompt(t("share.placePrompt"), url);
+    gaEvent("place_share", { method: "prompt" });
+  }
+}
+
+function initPlaceSheet() {
+  const sheet = el("placeSheet");
+  if (!sheet) return;
+
+  sheet.addEventListener("click", (e) => {
+    const target = e.target.closest("[data-action]");
+    if (!target) return;
+    const action = target.getAttribute("data-action");
+
+    if (action === "close-sheet") {
+      deselectPlace("button");
+    } else if (action === "apply-tag") {
+      applyTagFromSheet(target.getAttribute("data-tag"));
+    } else if (action === "open-place") {
+      const p = findSheetPlace(target.getAttribute("data-place-id"));
+      if (!p) return;
+      if (DATA_BY_ID.has(String(p.id)) || RESULTS_ROWS.includes(p)) {
+        selectPlaceById(p.id, "sheet_similar");
+      } else {
+        openPlaceSheet(p);
+        focusPlace(p);
+      }
+    } else if (action === "toggle-list") {
+      if (PLACE_SHEET_ID) togglePlaceInList(target.getAttribute("data-list-id"), PLACE_SHEET_ID);
+    } else if (action === "share-place") {
+      const p = findSheetPlace(target.getAttribute("data-place-id"));
+      if (p) sharePlace(p);
+    } else {
+      return; // similar / compare / itinerary go through the body-level delegation
+    }
+    e.stopPropagation();
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !sheet.hidden && !document.querySelector(".menu.is-open")) deselectPlace("escape");
+  }, true); // capture: runs before the menu handler closes an open menu
+}
+
+// ================================
+// Compare tray (2–3 places side by side)
+// ================================
+// Compared places get their own layer and pin style, independent of the ranked
+// (clustered) markers, so they stay visible whatever the filters show.
+const COMPARE_MAX = 3;
+const COMPARE_LETTERS = ["A", "B", "C"];
+
+let COMPARE_ITEMS = [];      // place rows, in the order they were added
+let COMPARE_LAYER = null;
+
+function isPlaceCompared(id) {
+  const pid = String(id);
+  return COMPARE_ITEMS.some(p => String(p.id) === pid);
+}
+
+function toggleCompare(placeId, source = "ui") {
+  const pid = String(placeId);
+  const idx = COMPARE_ITEMS.findIndex(p => String(p.id) === pid);
+  if (idx >= 0) {
+    COMPARE_ITEMS.splice(idx, 1);
+    gaEvent("compare_remove", { place_id: pid, source, count: COMPARE_ITEMS.length });
+  } else {
+    if (COMPARE_ITEMS.length >= COMPARE_MAX) {
+      showToast(t("compare.max", { n: fmtNum(COMPARE_MAX) }), "warning", 3000);
+      return;
+    }
+    const p = findSheetPlace(pid);
+    if (!p) return;
+    COMPARE_ITEMS.push(p);
+    gaEvent("compare_add", { place_id: pid, source, count: COMPARE_ITEMS.length });
+  }
+  onCompareChanged();
+}
+
+function clearCompare(source = "ui") {
+  if (!COMPARE_ITEMS.length) return;
+  COMPARE_ITEMS = [];
+  gaEvent("compare_clear", { source });
+  onCompareChanged();
+}
+
+function onCompareChanged() {
+  if (COMPARE_ITEMS.length < 2) closeCompareTable();
+  renderCompareTray();
+  renderComparePins();
+  refreshVisibleResults();
+  refreshPlaceSheet();
+  refreshCompareTable();
+}
+
+function renderCompareTray() {
+  const tray = el("compareTray");
+  const items = el("compareTrayItems");
+  const openBtn = el("compareOpenBtn");
+  if (!tray || !items) return;
+
+  tray.hidden = COMPARE_ITEMS.length === 0;
+  items.innerHTML = COMPARE_ITEMS.map((p, i) => `
+    <span class="compareTray__item">
+      <span class="compareTray__letter">${COMPARE_LETTERS[i]}</span>
+      <span class="compareTray__name">${escapeHtml(p.name)}</span>
+      <button type="button" class="compareTray__remove" data-action="compare-place" data-place-id="${escapeHtml(String(p.id))}" aria-label="${escapeHtml(t("common.remove"))}">✕</button>
+    </span>`).join("");
+
+  if (openBtn) {
+    openBtn.disabled = COMPARE_ITEMS.length < 2;
+    openBtn.textContent = t("compare.open", { n: fmtNum(COMPARE_ITEMS.length) });
+  }
+}
+
+function renderComparePins() {
+  if (!MAP || !COMPARE_LAYER) return;
+  COMPARE_LAYER.clearLayers();
+
+  COMPARE_ITEMS.forEach((p, i) => {
+    const lat = Number(p.lat);
+    const lng = Number(p.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+
+    const icon = L.divIcon({
+      className: "",
+      html: `<div class="rn-cmpPin"><span>${COMPARE_LETTERS[i]}</span></div>`,
+      iconSize: [30, 30],
+      iconAnchor: [15, 15]
+    });
+    const m = L.marker([lat, lng], { icon, keyboard: false, zIndexOffset: 2000, title: p.name || "" });
+    m.on("click", () => {
+      const pid = String(p.id);
+      if (DATA_BY_ID.has(pid) || RESULTS_ROWS.some(x => String(x.id) === pid)) selectPlaceById(pid, "compare_pin");
+      else openPlaceSheet(p);
+    });
+    m.addTo(COMPARE_LAYER);
+  });
+}
+
+function fitComparePins() {
+  if (!MAP) return;
+  const pts = COMPARE_ITEMS
+    .map(p => [Number(p.lat), Number(p.lng)])
+    .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+  if (pts.length < 2) return;
+  try { MAP.fitBounds(pts, { padding: [60, 60], maxZoom: 16 }); } catch (_e) { }
+}
+
+// One row per metric; `best` marks the winning column(s) for numeric rows
+function compareRows(items) {
+  const numRow = (label, get, fmt, dir = "max") => {
+    const vals = items.map(get);
+    const finite = vals.filter(v => v != null && Number.isFinite(v));
+    const best = finite.length > 1 ? (dir === "max" ? Math.max(...finite) : Math.min(...finite)) : null;
+    return {
+      label,
+      cells: vals.map(v => (v != null && Number.isFinite(v)) ? fmt(v) : "—"),
+      best: vals.map(v => best != null && v === best),
+    };
+  };
+  const textRow = (label, get) => ({ label, cells: items.map(p => get(p) || "—"), best: items.map(() => false) });
+
+  const tagSets = items.map(p => new Set(Array.isArray(p.tags) ? p.tags : []));
+  const shared = [...tagSets[0]].filter(t => tagSets.every(s => s.has(t)));
+  const sharedSet = new Set(shared);
+
+  const rows = [
+    numRow(t("field.rating"), p => p.rating != null ? Number(p.rating) : null, v => `⭐ ${fmtNum(v, 1)}`),
+    numRow(t("field.reviews"), p => p.rating_count != null ? Number(p.rating_count) : null, v => fmtNum(v)),
+    numRow(t("field.trust"), p => p.bayes2_score != null ? Number(p.bayes2_score) : null, v => fmtNum(v, 2)),
+    textRow(t("field.sentiment"), p => sentimentLabel(p.sentiment_label_ar || p.sentiment)),
+    textRow(t("field.price"), p => (LANG === "ar" && p.price_bucket_ar) || (p.price && p.price !== "الكل" ? p.price : "")),
+    textRow(t("field.district"), p => p.district && p.district !== "all" ? districtLabel(p.district) : ""),
+    numRow(t("field.distance"), distanceFromUserKm, formatDistance, "min"),
+    textRow(t("field.uniqueTags"), (p) => (Array.isArray(p.tags) ? p.tags : []).filter(tag => !sharedSet.has(tag)).map(tag => `#${tag}`).join(" ")),
+  ];
+  return { rows, shared };
+}
+
+function compareTableHtml(items) {
+  const { rows, shared } = compareRows(items);
+  const head = items.map((p, i) => `
+      <th scope="col">
+        <span class="compareTray__letter">${COMPARE_LETTERS[i]}</span>
+        <button type="button" class="compareTable__place" data-action="open-compare-place" data-place-id="${escapeHtml(String(p.id))}">${escapeHtml(p.name)}</button>
+      </th>`).join("");
+  const body = rows.map(r => `
+      <tr>
+        <th scope="row">${escapeHtml(r.label)}</th>
+        ${r.cells.map((c, i) => `<td class="${r.best[i] ? "is-best" : ""}">${escapeHtml(c)}</td>`).join("")}
+      </tr>`).join("");
+
+  return `
+    <table class="compareTable">
+      <thead><tr><th></th>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    <div class="compareTable__shared">
+      <span class="compareTable__sharedTitle">${escapeHtml(t("compare.sharedTags"))}</span>
+      ${shared.length ? shared.map(tag => `<span class="opt opt--chip">#${escapeHtml(tag)}</span>`).join("") : `<span class="placeSheet__muted">${escapeHtml(t("common.none"))}</span>`}
+    </div>
+  `;
+}
+
+function openCompareTable(source = "tray") {
+  const dlg = el("compareDialog");
+  const body = el("compareBody");
+  if (!dlg || !body || COMPARE_ITEMS.length < 2) return;
+
+  body.innerHTML = compareTableHtml(COMPARE_ITEMS);
+  dlg.hidden = false;
+  fitComparePins();
+  gaEvent("compare_open", { count: COMPARE_ITEMS.length, source });
+
+  const close = el("compareCloseBtn");
+  try { close && close.focus({ preventScroll: true }); } catch (_e) { }
+}
+
+function refreshCompareTable() {
+  const dlg = el("compareDialog");
+  const body = el("compareBody");
+  if (!dlg || dlg.hidden || !body) return;
+  body.innerHTML = compareTableHtml(COMPARE_ITEMS);
+}
+
+function closeCompareTable() {
+  const dlg = el("compareDialog");
+  if (dlg) dlg.hidden = true;
+}
+
+function initCompare() {
+  const openBtn = el("compareOpenBtn");
+  const clearBtn = el("compareClearBtn");
+  const closeBtn = el("compareCloseBtn");
+  const dlg = el("compareDialog");
+
+  if (openBtn) openBtn.addEventListener("click", () => openCompareTable("tray"));
+  if (clearBtn) clearBtn.addEventListener("click", () => clearCompare("tray"));
+  if (closeBtn) closeBtn.addEventListener("click", () => closeCompareTable());
+
+  if (dlg) {
+    dlg.addEventListener("click", (e) => {
+      if (e.target === dlg) { closeCompareTable(); return; } // backdrop
+      const btn = e.target.closest("[data-action='open-compare-place']");
+      if (!btn) return;
+      const pid = btn.getAttribute("data-place-id");
+      const p = COMPARE_ITEMS.find(x => String(x.id) === pid);
+      closeCompareTable();
+      if (DATA_BY_ID.has(pid) || RESULTS_ROWS.some(x => String(x.id) === pid)) selectPlaceById(pid, "compare_table");
+      else if (p) openPlaceSheet(p);
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && !dlg.hidden) {
+        e.stopImmediatePropagation(); // don't also close the detail sheet underneath
+        closeCompareTable();
+      }
+    }, true);
+  }
+
+  renderCompareTray();
+}
+
+// ================================
+// Itinerary planner (day plan + route)
+// ================================
+// Stops are grouped into time slots; inside each slot the visiting order is
+// optimized offline (nearest-neighbour, then 2-opt) over a distance matrix.
+// The matrix comes from ITINERARY_DISTANCE_PROVIDER, straight-line by default.
+const ITINERARY_MAX_STOPS = 12;
+const ITINERARY_STAY_MIN = 60;
+const ITINERARY_SPEED_KMH = 25; // rough in-city average for straight-line legs
+const ITINERARY_SLOTS = [
+  { key: "morning", code: "m", labelKey: "itin.morning", start: 9 * 60 },
+  { key: "noon", code: "n", labelKey: "itin.noon", start: 13 * 60 },
+  { key: "afternoon", code: "a", labelKey: "itin.afternoon", start: 16 * 60 },
+  { key: "evening", code: "e", labelKey: "itin.evening", start: 19 * 60 + 30 },
+];
+
+let ITINERARY = [];          // [{ id, slot, snapshot }] in visiting order
+let ITINERARY_PLAN = null;   // { legs: [km], times: [{ arrive, leave }], totalKm, totalMin }
+let ITINERARY_LAYER = null;
+let ITINERARY_PLAN_SEQ = 0;
+
+function straightLineKm(a, b) {
+  return haversineKm(a.lat, a.lng, b.lat, b.lng);
+}
+
+// (from, to) => km, sync or async. Plug a routing service in here.
+let ITINERARY_DISTANCE_PROVIDER = straightLineKm;
+
+function setItineraryDistanceProvider(fn) {
+  ITINERARY_DISTANCE_PROVIDER = typeof fn === "function" ? fn : straightLineKm;
+  replanItinerary();
+}
+
+function itinerarySlot(key) {
+  return ITINERARY_SLOTS.find(s => s.key === key) || ITINERARY_SLOTS[0];
+}
+
+function formatClock(min) {
+  const m = Math.round(min) % (24 * 60);
+  return localizeDigits(`${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`);
+}
+
+function isPlaceInItinerary(id) {
+  const pid = String(id);
+  return ITINERARY.some(s => s.id === pid);
+}
+
+function itineraryPoint(stop) {
+  const p = DATA_BY_ID.get(stop.id) || stop.snapshot || {};
+  return { id: stop.id, name: p.name || "", lat: Number(p.lat), lng: Number(p.lng) };
+}
+
+// ---- Route optimization (pure; `d(i, j)` is a matrix lookup) ----
+function routeCost(path, d) {
+  let c = 0;
+  for (let i = 1; i < path.length; i++) c += d(path[i - 1], path[i]);
+  return c;
+}
+
+// Greedy open path over `nodes`, continuing from `from` (or trying every start when null)
+function nearestNeighbourRoute(nodes, d, from = null) {
+  const starts = from == null ? nodes : [null];
+  let best = null;
+  let bestCost = Infinity;
+
+  for (const s of starts) {
+    const left = new Set(nodes);
+    const path = [];
+    let cur = from;
+    if (s != null) { path.push(s); left.delete(s); cur = s; }
+    while (left.size) {
+      let next = null;
+      let nd = Infinity;
+      for (const k of left) {
+        const dk = d(cur, k);
+        if (dk < nd) { nd = dk; next = k; }
+      }
+      path.push(next);
+      left.delete(next);
+      cur = next;
+    }
+    const cost = routeCost(from == null ? path : [from, ...path], d);
+    if (cost < bestCost) { bestCost = cost; best = path; }
+  }
+  return best || [];
+}
+
+// 2-opt on an open path. Costs are recomputed per candidate, so asymmetric
+// (routing) matrices work too. With `fixedFirst`, path[0] never moves.
+function twoOptRoute(path, d, fixedFirst = false) {
+  let best = path.slice();
+  let bestCost = routeCost(best, d);
+  let improved = true;
+  let passes = 0;
+
+  while (improved && passes++ < 50) {
+    improved = false;
+    for (let i = fixedFirst ? 1 : 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const cand = best.slice(0, i).concat(best.slice(i, j + 1).reverse(), best.slice(j + 1));
+        const cost = routeCost(cand, d);
+        if (cost + 1e-9 < bestCost) {
+          best = cand;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// Slots are visited in order; each slot's route starts where the previous one ended
+function optimizeItineraryOrder(stops, d) {
+  const order = [];
+  let prev = null;
+  for (const slot of ITINERARY_SLOTS) {
+    const nodes = stops.map((s, i) => (s.slot === slot.key ? i : -1)).filter(i => i >= 0);
+    if (!nodes.length) continue;
+    const nn = nearestNeighbourRoute(nodes, d, prev);
+    const path = prev == null ? twoOptRoute(nn, d) : twoOptRoute([prev, ...nn], d, true).slice(1);
+    order.push(...path);
+    prev = path[path.length - 1];
+  }
+  return order;
+}
+
+async function buildDistanceMatrix(points) {
+  const n = points.length;
+  const m = Array.from({ length: n }, () => new Array(n).fill(0));
+  const jobs = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      const fallback = straightLineKm(points[i], points[j]);
+      jobs.push(
+        Promise.resolve()
+          .then(() => ITINERARY_DISTANCE_PROVIDER(points[i], points[j]))
+          .then(km => (Number.isFinite(km) ? km : fallback))
+          .catch((err) => {
+            console.warn("[Itinerary] Distance provider failed, using straight line:", err);
+            return fallback;
+          })
+          .then((km) => { m[i][j] = km; })
+      );
+    }
+  }
+  await Promise.all(jobs);
+  return m;
+}
+
+async function replanItinerary() {
+  const seq = ++ITINERARY_PLAN_SEQ;
+  const stops = ITINERARY.filter(s => {
+    const pt = itineraryPoint(s);
+    return Number.isFinite(pt.lat) && Number.isFinite(pt.lng);
+  });
+  const points = stops.map(itineraryPoint);
+
+  let matrix = [];
+  try {
+    matrix = await buildDistanceMatrix(points);
+  } catch (e) {
+    console.error("[Itinerary] Failed to build distance matrix:", e);
+    return;
+  }
+  if (seq !== ITINERARY_PLAN_SEQ) return; // superseded by a newer change
+
+  const d = (i, j) => matrix[i][j];
+  const order = optimizeItineraryOrder(stops, d);
+  ITINERARY = order.map(i => stops[i]);
+
+  const legs = [];
+  const times = [];
+  let t = ITINERARY.length ? itinerarySlot(ITINERARY[0].slot).start : 0;
+  order.forEach((idx, k) => {
+    const km = k ? d(order[k - 1], idx) : 0;
+    legs.push(km);
+    if (k) t += (km / ITINERARY_SPEED_KMH) * 60;
+    const arrive = Math.max(t, itinerarySlot(stops[idx].slot).start);
+    times.push({ arrive, leave: arrive + ITINERARY_STAY_MIN });
+    t = arrive + ITINERARY_STAY_MIN;
+  });
+
+  ITINERARY_PLAN = {
+    legs,
+    times,
+    totalKm: legs.reduce((a, b) => a + b, 0),
+    totalMin: times.length ? times[times.length - 1].leave - times[0].arrive : 0,
+  };
+
+  persistItinerary();
+  drawItineraryRoute();
+  renderItineraryMenu();
+}
+
+// ---- Stops ----
+function toggleItineraryStop(placeId, source = "ui") {
+  const pid = String(placeId);
+  if (isPlaceInItinerary(pid)) {
+    ITINERARY = ITINERARY.filter(s => s.id !== pid);
+    gaEvent("itinerary_remove", { place_id: pid, source, stops: ITINERARY.length });
+    onItineraryChanged();
+    return;
+  }
+  if (ITINERARY.length >= ITINERARY_MAX_STOPS) {
+    showToast(t("itin.max", { n: fmtNum(ITINERARY_MAX_STOPS) }), "warning", 3000);
+    return;
+  }
+  const p = findSheetPlace(pid);
+  if (!p) return;
+
+  const slot = ITINERARY.length ? ITINERARY[ITINERARY.length - 1].slot : ITINERARY_SLOTS[0].key;
+  const { unavailable: _u, ...snapshot } = p;
+  ITINERARY.push({ id: pid, slot, snapshot });
+  gaEvent("itinerary_add", { place_id: pid, source, stops: ITINERARY.length });
+  showToast(t("itin.added", { name: p.name }), "success", 2000);
+  onItineraryChanged();
+}
+
+function setItinerarySlot(placeId, slotKey) {
+  const stop = ITINERARY.find(s => s.id === String(placeId));
+  if (!stop || !ITINERARY_SLOTS.some(s => s.key === slotKey)) return;
+  stop.slot = slotKey;
+  gaEvent("itinerary_slot", { slot: slotKey });
+  onItineraryChanged();
+}
+
+function clearItinerary(source = "ui") {
+  if (!ITINERARY.length) return;
+  ITINERARY = [];
+  gaEvent("itinerary_clear", { source });
+  onItineraryChanged();
+}
+
+function onItineraryChanged() {
+  const v = el("itineraryValue");
+  if (v) v.textContent = String(ITINERARY.length);
+  refreshVisibleResults();
+  refreshPlaceSheet();
+  replanItinerary();
+}
+
+function persistItinerary() {
+  storeWrite("user", { put: [{ key: "itinerary", kind: "itinerary", value: ITINERARY }] })
+    .catch(e => console.warn("[Itinerary] Could not persist:", e));
+}
+
+async function loadItinerary() {
+  try {
+    const rec = await storeGet("user", "itinerary");
+    const raw = rec ? rec.value : [];
+    ITINERARY = (Array.isArray(raw) ? raw : [])
+      .filter(s => s && s.id && ITINERARY_SLOTS.some(x => x.key === s.slot))
+      .slice(0, ITINERARY_MAX_STOPS)
+      .map(s => ({ id: String(s.id), slot: s.slot, snapshot: s.snapshot || null }));
+  } catch (_e) {
+    ITINERARY = [];
+  }
+  const v = el("itineraryValue");
+  if (v) v.textContent = String(ITINERARY.length);
+  if (ITINERARY.length) replanItinerary();
+}
+
+// ---- Share link: ?itin=<id>~<slot code>,... ----
+function itineraryShareUrl() {
+  const sp = new URLSearchParams();
+  sp.set("itin", ITINERARY.map(s => `${s.id}~${itinerarySlot(s.slot).code}`).join(","));
+  return `${location.origin}${location.pathname}?${sp.toString().replace(/%2C/gi, ",").replace(/%7E/gi, "~")}`;
+}
+
+function parseItineraryParam(v) {
+  return String(v || "").split(",").map((part) => {
+    const [id, code] = part.split("~");
+    const slot = ITINERARY_SLOTS.find(s => s.code === code) || ITINERARY_SLOTS[0];
+    return { id: String(id || "").trim(), slot: slot.key };
+  }).filter(s => s.id).slice(0, ITINERARY_MAX_STOPS);
+}
+
+// Shared plans replace the local one (after asking, if it has stops); an import
+// with no available stops never wipes it. The param is dropped so it isn't
+// carried into later URLs.
+function importItineraryFromUrl() {
+  const sp = new URLSearchParams(location.search);
+  if (!sp.has("itin")) return false;
+
+  const stops = parseItineraryParam(sp.get("itin"));
+  const known = stops.filter(s => DATA_BY_ID.has(s.id));
+  if (known.length < stops.length) {
+    console.warn(`[Itinerary] ${stops.length - known.length} shared stops are no longer available`);
+  }
+
+  sp.delete("itin");
+  try { history.replaceState(history.state, "", buildUrlFromParams(sp)); } catch (_e) { }
+
+  const planKey = (list) => list.map(s => `${s.id}~${s.slot}`).join(",");
+  const replace = known.length > 0 && (
+    !ITINERARY.length
+    || planKey(known) === planKey(ITINERARY)
+    || typeof confirm !== "function"
+    || confirm(t("itin.confirmReplace", { n: fmtNum(ITINERARY.length) }))
+  );
+  gaEvent("itinerary_import", { stops: known.length, missing: stops.length - known.length, replaced: replace });
+
+  if (!known.length) {
+    showToast(t("itin.importEmpty"), "warning", 4000);
+    return true;
+  }
+  if (!replace) return true;
+
+  ITINERARY = known.map(s => {
+    const { unavailable: _u, ...snapshot } = DATA_BY_ID.get(s.id);
+    return { ...s, snapshot };
+  });
+  onItineraryChanged();
+  showToast(t("itin.imported"), "success", 3000);
+  return true;
+}
+
+async function shareItinerary() {
+  if (!ITINERARY.length) return;
+  const url = itineraryShareUrl();
+  gaEvent("itinerary_share", { stops: ITINERARY.length });
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: t("itin.shareTitle"), url });
+      return;
+    } catch (e) {
+      if (e && e.name === "AbortError") return;
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast(t("itin.copied"), "success", 2500);
+  } catch (_e) {
+    window.prompt(t("itin.prompt"), url);
+  }
+}
+
+// ---- Map + menu ----
+function drawItineraryRoute() {
+  if (!MAP || !ITINERARY_LAYER) return;
+  ITINERARY_LAYER.clearLayers();
+
+  const pts = ITINERARY.map(itineraryPoint).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  if (!pts.length) return;
+
+  if (pts.length > 1) {
+    L.polyline(pts.map(p => [p.lat, p.lng]), {
+      color: "#0d9488",
+      weight: 4,
+      opacity: 0.85,
+      dashArray: "8 8",
+      interactive: false,
+    }).addTo(ITINERARY_LAYER);
+  }
+
+  pts.forEach((p, i) => {
+    const icon = L.divIcon({
+      className: "",
+      html: `<div class="rn-itinPin"><span>${i + 1}</span></div>`,
+      iconSize: [26, 26],
+      iconAnchor: [13, 13]
+    });
+    const m = L.marker([p.lat, p.lng], { icon, keyboard: false, zIndexOffset: 1500, title: p.name });
+    m.on("click", () => {
+      if (DATA_BY_ID.has(p.id)) selectPlaceById(p.id, "itinerary_pin");
+    });
+    m.addTo(ITINERARY_LAYER);
+  });
+}
+
+function fitItineraryRoute() {
+  if (!MAP) return;
+  const pts = ITINERARY.map(itineraryPoint)
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng))
+    .map(p => [p.lat, p.lng]);
+  if (!pts.length) return;
+  try {
+    if (pts.length === 1) MAP.setView(pts[0], Math.max(MAP.getZoom(), 15));
+    else MAP.fitBounds(pts, { padding: [60, 60], maxZoom: 16 });
+  } catch (_e) { }
+}
+
+function renderItineraryMenu() {
+  const wrap = el("itineraryItems");
+  const sub = el("itinerarySub");
+  if (!wrap) return;
+
+  if (sub) {
+    sub.textContent = ITINERARY.length && ITINERARY_PLAN
+      ? t("itin.summary", {
+        n: fmtNum(ITINERARY.length),
+        km: formatDistance(ITINERARY_PLAN.totalKm) || t("unit.km", { n: fmtNum(0) }),
+        from: formatClock(ITINERARY_PLAN.times[0].arrive),
+        to: formatClock(ITINERARY_PLAN.times[ITINERARY_PLAN.times.length - 1].leave),
+      })
+      : t("itin.empty");
+  }
+
+  let html = "";
+  let lastSlot = null;
+  ITINERARY.forEach((s, i) => {
+    const pt = itineraryPoint(s);
+    const time = ITINERARY_PLAN && ITINERARY_PLAN.times[i];
+    const leg = ITINERARY_PLAN && i ? ITINERARY_PLAN.legs[i] : 0;
+    if (s.slot !== lastSlot) {
+      html += `<div class="itinerary__slot">${escapeHtml(t(itinerarySlot(s.slot).labelKey))}</div>`;
+      lastSlot = s.slot;
+    }
+    const opts = ITINERARY_SLOTS.map(x => `<option value="${x.key}"${x.key === s.slot ? " selected" : ""}>${escapeHtml(t(x.labelKey))}</option>`).join("");
+    html += `
+      <div class="itinerary__stop">
+        <span class="itinerary__num">${fmtNum(i + 1)}</span>
+        <div class="itinerary__main">
+          <div class="itinerary__name">${escapeHtml(pt.name)}</div>
+          <div class="itinerary__time">${time ? `${formatClock(time.arrive)}–${formatClock(time.leave)}` : ""}${leg ? escapeHtml(t("itin.fromPrev", { km: formatDistance(leg) })) : ""}</div>
+        </div>
+        <select class="itinerary__slotSel" data-action="itin-slot" data-place-id="${escapeHtml(s.id)}" aria-label="${escapeHtml(t("itin.slot"))}">${opts}</select>
+        <button type="button" class="iconbtn" data-action="itin-remove" data-place-id="${escapeHtml(s.id)}" aria-label="${escapeHtml(t("common.remove"))}">✕</button>
+      </div>`;
+  });
+  wrap.innerHTML = html;
+
+  const share = el("itineraryShareBtn");
+  const fit = el("itineraryFitBtn");
+  if (share) share.disabled = !ITINERARY.length;
+  if (fit) fit.disabled = !ITINERARY.length;
+}
+
+function initItinerary() {
+  const menu = el("menu-itinerary");
+  const wrap = el("itineraryItems");
+  if (menu) menu.addEventListener("click", (e) => e.stopPropagation());
+
+  if (wrap) {
+    wrap.addEventListener("change", (e) => {
+      const sel = e.target.closest("[data-action='itin-slot']");
+      if (sel) setItinerarySlot(sel.getAttribute("data-place-id"), sel.value);
+    });
+    wrap.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-action='itin-remove']");
+      if (btn) toggleItineraryStop(btn.getAttribute("data-place-id"), "menu");
+    });
+  }
+
+  const clear = el("clearItinerary");
+  if (clear) clear.addEventListener("click", () => clearItinerary("menu"));
+  const share = el("itineraryShareBtn");
+  if (share) share.addEventListener("click", () => shareItinerary());
+  const fit = el("itineraryFitBtn");
+  if (fit) fit.addEventListener("click", () => { closeMenus(); fitItineraryRoute(); });
+
+  renderItineraryMenu();
+}
+
+// ================================
+// Similar mode
+// ================================
+// The bar's scope / count / minimum-similarity controls re-run the query for the
+// same anchor; a failed re-query keeps the results (and settings) on screen.
+const SIMILAR_SCOPES = [
+  { key: "category", labelKey: "similar.scopeCategory" },
+  { key: "district", labelKey: "similar.scopeDistrict" },
+  { key: "all", labelKey: "similar.scopeAll" },
+];
+const SIMILAR_K_OPTIONS = [10, 20, 40, 80];
+const SIMILAR_MIN_SIM_OPTIONS = [0, 0.25, 0.5, 0.75];
+const SIMILAR_DEFAULTS = { scope: "category", k: 40, minSim: 0 };
+
+let SIMILAR_SEQ = 0;       // latest findSimilar() call; older responses are dropped
+let SIMILAR_LOADED = null; // { id, scope, k, minSim } of the results on screen
+
+function similarParams() {
+  return { scope: state.similarScope, k: state.similarK, minSim: state.similarMinSim };
+}
+
+function fillSelect(sel, options, value) {
+  if (!sel) return;
+  sel.innerHTML = "";
+  for (const o of options) {
+    const opt = document.createElement("option");
+    opt.value = String(o.value);
+    opt.textContent = o.label;
+    sel.appendChild(opt);
+  }
+  sel.value = String(value);
+}
+
+function similarAnchorHtml(a) {
+  const sub = [
+    a.category ? categoryLabel(a.category) : "",
+    a.district && a.district !== "all" ? districtLabel(a.district) : "",
+    a.rating ? `⭐ ${fmtNum(a.rating, 1)}` : "",
+  ].filter(Boolean).join(" • ");
+  return `
+    <span class="similarAnchor__pin" aria-hidden="true">★</span>
+    <span class="similarAnchor__body">
+      <span class="similarAnchor__label">${escapeHtml(t("similar.anchor"))}</span>
+      <span class="similarAnchor__name">${escapeHtml(a.name)}</span>
+      ${sub ? `<span class="similarAnchor__sub">${escapeHtml(sub)}</span>` : ""}
+    </span>`;
+}
+
+function syncSimilarBar() {
+  const bar = document.getElementById("similarBar");
+  const txt = document.getElementById("similarText");
+  if (!bar || !txt) return;
+  if (!state.similarMode) { bar.style.display = "none"; return; }
+  txt.textContent = t("similar.for", { name: state.similarAnchor?.name || "" });
+  bar.style.display = "flex";
+
+  const anchorBtn = el("similarAnchor");
+  if (anchorBtn) {
+    anchorBtn.hidden = !state.similarAnchor;
+    if (state.similarAnchor) anchorBtn.innerHTML = similarAnchorHtml(state.similarAnchor);
+  }
+
+  fillSelect(el("similarScope"), SIMILAR_SCOPES.map(s => ({ value: s.key, label: t(s.labelKey) })), state.similarScope);
+  fillSelect(el("similarK"), SIMILAR_K_OPTIONS.map(k => ({ value: k, label: fmtNum(k) })), state.similarK);
+  fillSelect(el("similarMinSim"), SIMILAR_MIN_SIM_OPTIONS.map(v => ({ value: v, label: v ? `≥ ${fmtNum(v * 100)}%` : t("common.any") })), state.similarMinSim);
+}
+
+function onSimilarControlChange(patch) {
+  Object.assign(state, patch);
+  gaTrackFiltersDebounced("similar_controls");
+  if (state.similarMode && state.similarAnchor) window.findSimilar(state.similarAnchor.id, "controls");
+}
+
+function initSimilarBar() {
+  const scope = el("similarScope");
+  const k = el("similarK");
+  const minSim = el("similarMinSim");
+  if (scope) scope.addEventListener("change", () => onSimilarControlChange({ similarScope: scope.value }));
+  if (k) k.addEventListener("change", () => onSimilarControlChange({ similarK: Number(k.value) }));
+  if (minSim) minSim.addEventListener("change", () => onSimilarControlChange({ similarMinSim: Number(minSim.value) }));
+  const exit = el("similarExitBtn");
+  if (exit) exit.addEventListener("click", () => exitSimilarMode("bar"));
+  const anchorBtn = el("similarAnchor");
+  if (anchorBtn) {
+    anchorBtn.addEventListener("click", () => {
+      if (state.similarAnchor) selectPlaceById(state.similarAnchor.id, "similar_anchor");
+    });
+  }
+}
+
+// The anchor sits outside the ranked markers: own icon, never clustered
+let SIMILAR_ANCHOR_MARKER = null;
+
+function syncSimilarAnchorMarker() {
+  if (SIMILAR_ANCHOR_MARKER) {
+    try { MAP.removeLayer(SIMILAR_ANCHOR_MARKER); } catch (_e) { }
+    SIMILAR_ANCHOR_MARKER = null;
+  }
+  const a = state.similarMode ? state.similarAnchor : null;
+  if (!MAP || !a || !Number.isFinite(a.lat) || !Number.isFinite(a.lng)) return;
+
+  const size = isMobile() ? 30 : 32;
+  const icon = L.divIcon({
+    className: "",
+    html: `<div class="rn-pin rn-pin--anchor" style="--pin:#7c3aed;--s:${size}px" title="${escapeHtml(`${t("similar.anchor")}: ${a.name}`)}"><span>★</span></div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+  SIMILAR_ANCHOR_MARKER = L.marker([a.lat, a.lng], { icon, keyboard: true, zIndexOffset: 2000 });
+  SIMILAR_ANCHOR_MARKER.on("click", () => selectPlaceById(a.id, "similar_anchor"));
+  SIMILAR_ANCHOR_MARKER.addTo(MAP);
+  const node = SIMILAR_ANCHOR_MARKER.getElement();
+  if (node) node.setAttribute("aria-label", `${t("similar.anchor")}: ${a.name}`);
+}
+
+function enterSimilarMode(anchor, results) {
+  if (state.savedListId) {
+    state.savedListId = null;
+    syncSavedBar();
+  }
+  state.similarMode = true;
+  state.similarAnchor = anchor || null;
+  state.similarResults = Array.isArray(results) ? results : [];
+  syncSimilarBar();
+  syncSimilarAnchorMarker();
+  SELECTED_ID = null;
+  closePlaceSheet();
+  gaTrackFiltersDebounced("similar_enter");
+  render();
+}
+
+function exitSimilarMode(reason = "ui") {
+  if (state.similarMode) {
+    gaEvent("similar_clear", { source: reason || "ui" });
+  }
+  state.similarMode = false;
+  state.similarAnchor = null;
+  state.similarResults = [];
+  SIMILAR_SEQ++; // drop a query still in flight
+  SIMILAR_LOADED = null;
+  syncSimilarBar();
+  syncSimilarAnchorMarker();
+  SELECTED_ID = null;
+  closePlaceSheet();
+  gaTrackFiltersDebounced("similar_exit");
+  render();
+}
+
+// Similar rows are our own DATA record plus the API's similarity. Places we
+// don't have locally keep the API's row, normalized the same way and flagged
+// `partial`.
+function joinSimilarRow(row, similarity) {
+  const live = DATA_BY_ID.get(String(row.id));
+  if (live) return { ...live, similarity };
+  return { ...row, similarity, partial: true };
+}
+
+function normalizeSimilarResults(arr, anchorId) {
+  const rows = (arr || [])
+    .filter(x => x && (x.place_id || x.id) && String(x.place_id || x.id) !== String(anchorId))
+    .map((x) => {
+      const row = normalizePlaceRow(x);
+      row.id = String(row.id);
+      if (!DATA_BY_ID.has(row.id)) {
+        // Don't invent values the similar payload didn't send
+        if (!x.sentiment_label_ar && !x.sentiment) row.sentiment = row.sentiment_label_ar = null;
+        if (!x.price_level && !x.price) row.price = row.price_level = null;
+        if (x.bayes2_score == null && x.trust == null) row.trust = row.bayes2_score = null;
+        if (x.rating == null) row.rating = null;
+      }
+      return joinSimilarRow(row, x.similarity != null ? Number(x.similarity) : null);
+    })
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+
+  const partial = rows.filter(p => p.partial);
+  if (partial.length) {
+    tagPlacesWithDistricts(partial);
+    // No district from the API: use the polygon the place falls in
+    for (const p of partial) {
+      if (p.district === "all" && p.geo_district) p.district = p.geo_district;
+    }
+    console.warn(`[Similar] ${partial.length} result(s) are not in the local places data; showing the similar API's fields only`);
+  }
+  return rows;
+}
+
+// Raw similar-places query; throws with `status` set on HTTP errors
+async function fetchSimilarPlaces(placeId, { scope = "category", k = 40, minSim = 0 } = {}) {
+  const url = new URL(SIMILAR_API_URL);
+  url.searchParams.set("place_id", String(placeId));
+  url.searchParams.set("scope", scope);
+  url.searchParams.set("k", String(k));
+  url.searchParams.set("min_sim", String(minSim));
+
+  const resp = await fetchWithRetry(url.toString(), { method: "GET" }, 3);
+  if (!resp.ok) {
+    const raw = await resp.text().catch(() => "");
+    const err = new Error(`Similar places failed: HTTP ${resp.status}`);
+    err.status = resp.status;
+    err.body = raw.slice(0, 300);
+    throw err;
+  }
+  const payload = await resp.json();
+  const arr = Array.isArray(payload) ? payload : (payload?.results || payload?.items || []);
+  return normalizeSimilarResults(arr, placeId);
+}
+
+window.findSimilar = async function (place_id, source = "ui") {
+  const anchor = DATA_BY_ID.get(String(place_id));
+  if (!anchor) return;
+
+  const seq = ++SIMILAR_SEQ;
+  const params = similarParams();
+  const requery = state.similarMode && SIMILAR_LOADED && SIMILAR_LOADED.id === String(place_id);
+
+  const bar = document.getElementById("similarBar");
+  const txt = document.getElementById("similarText");
+  if (bar && txt) {
+    bar.style.display = "flex";
+    bar.classList.add("is-loading");
+    txt.textContent = t("similar.loading", { name: anchor.name });
+  }
+
+  // GA: similar request
+  gaEvent("similar_request", { place_id: String(place_id), scope: params.scope, k: params.k, min_sim: params.minSim, source: source || "ui" });
+
+  const done = () => { if (bar) bar.classList.remove("is-loading"); };
+  try {
+    const results = await fetchSimilarPlaces(place_id, params);
+    if (seq !== SIMILAR_SEQ) return; // superseded by a newer query
+    done();
+
+    gaEvent("similar_success", {
+      place_id: String(place_id),
+      results_count: results.length,
+      partial_count: results.filter(p => p.partial).length
+    });
+    SIMILAR_LOADED = { id: String(place_id), ...params };
+    enterSimilarMode(anchor, results);
+  } catch (e) {
+    if (seq !== SIMILAR_SEQ) return;
+    done();
+    const status = (e && e.status) || 0;
+    gaEvent("similar_error", { place_id: String(place_id), http_status: status });
+    if (status) {
+      showToast(t("similar.httpError", { status }), "error", 5000);
+      console.error("[API Error] Similar places failed:", status, e.body);
+    } else {
+      console.error("[API Error] Similar places fetch error:", e);
+      showToast(t("similar.failed"), "error", 5000);
+    }
+    if (requery) {
+      // Keep the results on screen and put the controls back to what produced them
+      state.similarScope = SIMILAR_LOADED.scope;
+      state.similarK = SIMILAR_LOADED.k;
+      state.similarMinSim = SIMILAR_LOADED.minSim;
+      syncSimilarBar();
+      return;
+    }
+    exitSimilarMode(status ? "http_error" : "exception");
+  }
+};
+
+// ================================
+// Saved lists (favorites)
+// ================================
+// Each list keeps a snapshot of its places so entries that later disappear
+// from the places API can still be shown (flagged as unavailable).
+// Lists are "saved_list" records in the user store, keyed "list:<id>".
+const DEFAULT_LIST_ID = "favorites";
+const DEFAULT_LIST_NAME = "المفضلة"; // stored name; shown through savedListName()
+
+let SAVED_LISTS = [];          // [{ id, name, createdAt, items: [{ id, savedAt, snapshot }] }]
+let SAVED_PLACE_IDS = new Set();
+let SAVE_TARGET_ID = null;     // place the "save to list" menu is open for
+
+async function persistSavedList(list) {
+  try {
+    await storeWrite("user", { put: [{ key: `list:${list.id}`, kind: "saved_list", value: list }] });
+  } catch (e) {
+    console.error("[Saved] Failed to persist list:", e);
+    showToast(t("saved.persistFailed"), "error", 4000);
+  }
+}
+
+async function deletePersistedList(id) {
+  try {
+    await storeWrite("user", { del: [`list:${id}`] });
+  } catch (e) {
+    console.error("[Saved] Failed to delete list:", e);
+  }
+}
+
+function rebuildSavedIndex() {
+  SAVED_PLACE_IDS = new Set();
+  for (const l of SAVED_LISTS) for (const it of l.items) SAVED_PLACE_IDS.add(String(it.id));
+  const v = el("savedValue");
+  if (v) v.textContent = String(SAVED_PLACE_IDS.size);
+}
+
+async function loadSavedLists() {
+  try {
+    const rows = await storeGetAll("user", "kind", "saved_list");
+    SAVED_LISTS = rows.map(r => r.value).filter(l => l && l.id);
+  } catch (e) {
+    console.warn("[Saved] Could not read saved lists:", e);
+    SAVED_LISTS = [];
+  }
+
+  if (!SAVED_LISTS.some(l => l.id === DEFAULT_LIST_ID)) {
+    const fav = { id: DEFAULT_LIST_ID, name: DEFAULT_LIST_NAME, createdAt: 0, items: [] };
+    SAVED_LISTS.push(fav);
+    persistSavedList(fav);
+  }
+  SAVED_LISTS.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  rebuildSavedIndex();
+  return SAVED_LISTS;
+}
+
+// The default list follows the UI language; user lists keep the name they were given
+function savedListName(list) {
+  if (!list) return "";
+  return list.id === DEFAULT_LIST_ID ? t("saved.favorites") : list.name;
+}
+
+function getSavedList(id) {
+  return SAVED_LISTS.find(l => l.id === id) || null;
+}
+
+function isPlaceSaved(id) {
+  return SAVED_PLACE_IDS.has(String(id));
+}
+
+function createSavedList(name) {
+  const clean = String(name || "").trim().slice(0, 40);
+  if (!clean) return null;
+  if (SAVED_LISTS.some(l => l.name === clean)) {
+    showToast(t("saved.duplicate"), "warning", 3000);
+    return null;
+  }
+  const list = { id: `list_${Date.now().toString(36)}`, name: clean, createdAt: Date.now(), items: [] };
+  SAVED_LISTS.push(list);
+  persistSavedList(list);
+  gaEvent("saved_list_create", { lists_count: SAVED_LISTS.length });
+  return list;
+}
+
+function deleteSavedList(id) {
+  if (id === DEFAULT_LIST_ID) return;
+  SAVED_LISTS = SAVED_LISTS.filter(l => l.id !== id);
+  deletePersistedList(id);
+  rebuildSavedIndex();
+  gaEvent("saved_list_delete", { lists_count: SAVED_LISTS.length });
+}
+
+function findPlaceForSave(id) {
+  const pid = String(id);
+  return DATA_BY_ID.get(pid)
+    || RESULTS_ROWS.find(p => String(p.id) === pid)
+    || (state.similarResults || []).find(p => String(p.id) === pid)
+    || null;
+}
+
+function togglePlaceInList(listId, placeId) {
+  const list = getSavedList(listId);
+  const pid = String(placeId);
+  if (!list) return false;
+
+  const idx = list.items.findIndex(it => String(it.id) === pid);
+  let saved;
+  if (idx >= 0) {
+    list.items.splice(idx, 1);
+    saved = false;
+  } else {
+    const p = findPlaceForSave(pid);
+    if (!p) return false;
+    const { unavailable: _u, ...snapshot } = p;
+    list.items.unshift({ id: pid, savedAt: Date.now(), snapshot });
+    saved = true;
+  }
+
+  persistSavedList(list);
+  rebuildSavedIndex();
+  onSavedPlacesChanged(pid);
+  gaEvent(saved ? "place_save" : "place_unsave", { place_id: pid, list: list.id === DEFAULT_LIST_ID ? "favorites" : "custom" });
+  return saved;
+}
+
+// Saved rows joined against the latest DATA; missing places fall back to their snapshot
+function savedListRows(list) {
+  return list.items.map((it) => {
+    const live = DATA_BY_ID.get(String(it.id));
+    if (live) return live;
+    return { ...(it.snapshot || {}), id: String(it.id), tags: (it.snapshot && it.snapshot.tags) || [], unavailable: true };
+  });
+}
+
+// Refresh hearts on cards + popups without a full render
+function onSavedPlacesChanged(placeId) {
+  if (state.savedListId) {
+    render();
+  } else {
+    refreshVisibleResults();
+  }
+  if (PLACE_SHEET_ID === String(placeId)) refreshPlaceSheet();
+  if (SAVE_TARGET_ID && el("menu-saveTo")?.classList.contains("is-open")) buildSaveToMenu();
+}
+
+function openSavedList(id) {
+  const list = getSavedList(id);
+  if (!list) return;
+  if (state.similarMode) exitSimilarMode("saved_view");
+
+  state.savedListId = list.id;
+  SELECTED_ID = null;
+  DID_FIT_BOUNDS = false;
+  closePlaceSheet();
+  syncSavedBar();
+  closeMenus();
+  gaEvent("saved_list_open", { items: list.items.length, list: list.id === DEFAULT_LIST_ID ? "favorites" : "custom" });
+  render();
+}
+
+function closeSavedList(reason = "ui") {
+  if (!state.savedListId) return;
+  state.savedListId = null;
+  SELECTED_ID = null;
+  syncSavedBar();
+  gaEvent("saved_list_close", { source: reason });
+  render();
+}
+
+function syncSavedBar() {
+  const bar = el("savedBar");
+  const txt = el("savedText");
+  const del = el("savedDeleteBtn");
+  const list = state.savedListId ? getSavedList(state.savedListId) : null;
+  if (!bar) return;
+  bar.style.display = list ? "flex" : "none";
+  if (!list) return;
+  const missing = savedListRows(list).filter(p => p.unavailable).length;
+  if (txt) txt.textContent = t("saved.bar", { name: savedListName(list), n: fmtNum(list.items.length) })
+    + (missing ? t("saved.barMissing", { n: fmtNum(missing) }) : "");
+  if (del) del.style.display = list.id === DEFAULT_LIST_ID ? "none" : "";
+}
+
+function buildSavedMenu() {
+  const wrap = el("savedItems");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+  for (const l of SAVED_LISTS) {
+    const opt = document.createElement("button");
+    opt.type = "button";
+    opt.className = "opt" + (state.savedListId === l.id ? " is-active" : "");
+    opt.innerHTML = `<span>📁 ${escapeHtml(savedListName(l))}</span><span class="opt__count">${fmtNum(l.items.length)}</span>`;
+    opt.addEventListener("click", (e) => {
+      openSavedList(l.id);
+      e.stopPropagation();
+    });
+    wrap.appendChild(opt);
+  }
+}
+
+function buildSaveToMenu() {
+  const wrap = el("saveToItems");
+  const sub = el("saveToSub");
+  if (!wrap || !SAVE_TARGET_ID) return;
+  const p = findPlaceForSave(SAVE_TARGET_ID);
+  if (sub) sub.textContent = p ? p.name : "";
+
+  wrap.innerHTML = "";
+  for (const l of SAVED_LISTS) {
+    const has = l.items.some(it => String(it.id) === SAVE_TARGET_ID);
+    const opt = document.createElement("button");
+    opt.type = "button";
+    opt.className = "opt" + (has ? " is-active" : "");
+    opt.innerHTML = `<span>${has ? "♥" : "♡"} ${escapeHtml(savedListName(l))}</span><span class="opt__count">${fmtNum(l.items.length)}</span>`;
+    opt.addEventListener("click", (e) => {
+      togglePlaceInList(l.id, SAVE_TARGET_ID);
+      buildSaveToMenu();
+      e.stopPropagation();
+    });
+    wrap.appendChild(opt);
+  }
+}
+
+function openSaveToMenu(placeId) {
+  const opener = document.activeElement;
+  SAVE_TARGET_ID = String(placeId);
+  closeMenus();
+  buildSaveToMenu();
+  const menu = el("menu-saveTo");
+  if (menu) {
+    menu.classList.add("is-open");
+    onMenuOpened(menu, opener);
+  }
+  gaEvent("menu_open", { menu: "saveTo" });
+}
+
+function initSavedLists() {
+  const bindCreate = (inputId, btnId, after) => {
+    const inp = el(inputId);
+    const btn = el(btnId);
+    const go = (e) => {
+      e && e.stopPropagation();
+      const list = createSavedList(inp ? inp.value : "");
+      if (!list) return;
+      if (inp) inp.value = "";
+      after(list);
+    };
+    if (btn) btn.addEventListener("click", go);
+    if (inp) inp.addEventListener("keydown", (e) => { if (e.key === "Enter") go(e); });
+  };
+
+  bindCreate("newListName", "newListBtn", () => buildSavedMenu());
+  bindCreate("saveToNewName", "saveToNewBtn", (list) => {
+    if (SAVE_TARGET_ID) togglePlaceInList(list.id, SAVE_TARGET_ID);
+    buildSaveToMenu();
+  });
+
+  // Inputs inside these menus must not close them via the document click handler
+  ["menu-saved", "menu-saveTo"].forEach((id) => {
+    const m = el(id);
+    if (m) m.addEventListener("click", (e) => e.stopPropagation());
+  });
+
+  const exitBtn = el("savedExitBtn");
+  if (exitBtn) exitBtn.addEventListener("click", () => closeSavedList("ui"));
+
+  const delBtn = el("savedDeleteBtn");
+  if (delBtn) delBtn.addEventListener("click", () => {
+    const list = state.savedListId ? getSavedList(state.savedListId) : null;
+    if (!list || list.id === DEFAULT_LIST_ID) return;
+    if (typeof confirm === "function" && !confirm(t("saved.confirmDelete", { name: savedListName(list) }))) return;
+    deleteSavedList(list.id);
+    closeSavedList("delete");
+  });
+}
+
+// ================================
+// Search index (Arabic-aware, ranked)
+// ================================
+// Built once per dataset in loadRealPlacesAndBootstrapUI(); filterData() queries it.
+// Name hits outrank tag hits, which outrank category/district hits.
+const SEARCH_FIELD_WEIGHTS = { name: 4, tags: 2, category: 1.5, district: 1 };
+const SEARCH_MATCH_QUALITY = { exact: 1, prefix: 0.75, typo1: 0.6, typo2: 0.45 };
+const SEARCH_MAX_PREFIX_EXPANSIONS = 200;
+const AR_ARTICLE_PREFIXES = ["وال", "بال", "لل", "ال"];
+
+let SEARCH_INDEX = null;
+
+// Token-level normalization on top of normalizeText(): taa marbuta + "ال" article
+function stemSearchToken(tok) {
+  let t = tok.replace(/ة/g, "ه");
+  for (const pre of AR_ARTICLE_PREFIXES) {
+    if (t.startsWith(pre) && t.length - pre.length >= 2) {
+      t = t.slice(pre.length);
+      break;
+    }
+  }
+  return t;
+}
+
+function tokenizeSearchText(s) {
+  return normalizeText(s)
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660)) // Arabic-Indic digits
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(stemSearchToken)
+    .filter(Boolean);
+}
+
+// Optimal string alignment distance, bailing out once it exceeds `max`
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxTyposForToken(tok) {
+  if (tok.length <= 3) return 0;
+  if (tok.length <= 6) return 1;
+  return 2;
+}
+
+function buildSearchIndex(rows) {
+  const postings = new Map(); // token -> Map(docIdx -> best field weight)
+  const docs = [];
+
+  (rows || []).forEach((p, i) => {
+    const add = (text, w) => {
+      for (const tok of tokenizeSearchText(text)) {
+        let m = postings.get(tok);
+        if (!m) postings.set(tok, m = new Map());
+        if ((m.get(i) || 0) < w) m.set(i, w);
+      }
+    };
+    add(p.name, SEARCH_FIELD_WEIGHTS.name);
+    add((p.tags || []).join(" "), SEARCH_FIELD_WEIGHTS.tags);
+    add(p.category, SEARCH_FIELD_WEIGHTS.category);
+    add(p.district, SEARCH_FIELD_WEIGHTS.district);
+    add(districtLabelArFromSlug(p.district), SEARCH_FIELD_WEIGHTS.district);
+
+    docs.push({ id: String(p.id), name: tokenizeSearchText(p.name).join(" ") });
+  });
+
+  return {
+    docs,
+    postings,
+    vocab: [...postings.keys()].sort(),
+    expansions: new Map(),
+  };
+}
+
+// query token -> Map(index token -> match quality)
+function expandSearchToken(index, qt) {
+  const cached = index.expansions.get(qt);
+  if (cached) return cached;
+
+  const out = new Map();
+  if (index.postings.has(qt)) out.set(qt, SEARCH_MATCH_QUALITY.exact);
+
+  // Prefix matches (search-as-you-type); vocab is sorted so they are contiguous
+  if (qt.length >= 2) {
+    let lo = 0, hi = index.vocab.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (index.vocab[mid] < qt) lo = mid + 1; else hi = mid;
+    }
+    for (let k = lo, n = 0; k < index.vocab.length && n < SEARCH_MAX_PREFIX_EXPANSIONS; k++, n++) {
+      const tok = index.vocab[k];
+      if (!tok.startsWith(qt)) break;
+      if (!out.has(tok)) out.set(tok, SEARCH_MATCH_QUALITY.prefix);
+    }
+  }
+
+  const maxTypos = maxTyposForToken(qt);
+  if (maxTypos > 0) {
+    for (const tok of index.vocab) {
+      if (out.has(tok) || Math.abs(tok.length - qt.length) > maxTypos) continue;
+      const d = boundedEditDistance(qt, tok, maxTypos);
+      if (d > maxTypos) continue;
+      out.set(tok, d === 1 ? SEARCH_MATCH_QUALITY.typo1 : SEARCH_MATCH_QUALITY.typo2);
+    }
+  }
+
+  if (index.expansions.size > 500) index.expansions.clear();
+  index.expansions.set(qt, out);
+  return out;
+}
+
+// Returns Map(place id -> relevance score) for places matching every query token,
+// or null when the query has no searchable tokens.
+function searchIndexQuery(index, q) {
+  const qTokens = tokenizeSearchText(q);
+  if (!index || !qTokens.length) return null;
+
+  let scores = null;
+  for (const qt of qTokens) {
+    const tokScores = new Map();
+    for (const [tok, quality] of expandSearchToken(index, qt)) {
+      for (const [doc, w] of index.postings.get(tok)) {
+        const s = w * quality;
+        if (s > (tokScores.get(doc) || 0)) tokScores.set(doc, s);
+      }
+    }
+
+    if (scores === null) {
+      scores = tokScores;
+    } else {
+      const next = new Map();
+      for (const [doc, s] of scores) {
+        const t = tokScores.get(doc);
+        if (t) next.set(doc, s + t);
+      }
+      scores = next;
+    }
+    if (!scores.size) break;
+  }
+
+  // Bonus when the whole query appears as a phrase in the name
+  const phrase = qTokens.join(" ");
+  const out = new Map();
+  for (const [doc, s] of scores) {
+    const d = index.docs[doc];
+    out.set(d.id, s + (qTokens.length > 1 && d.name.includes(phrase) ? SEARCH_FIELD_WEIGHTS.name : 0));
+  }
+  return out;
+}
+
+function searchPlaces(rows, q) {
+  const index = (rows === DATA && SEARCH_INDEX) ? SEARCH_INDEX : buildSearchIndex(rows);
+  return searchIndexQuery(index, q);
+}
+
+// Blend relevance with the insight ordering: `list` is already sorted by sortBySpec
+function blendSearchRelevance(list, hits) {
+  const n = list.length;
+  if (n < 2) return list;
+  let max = 0;
+  for (const s of hits.values()) if (s > max) max = s;
+  if (max <= 0) return list;
+
+  return list
+    .map((p, i) => ({
+      p,
+      i,
+      s: 0.75 * ((hits.get(String(p.id)) || 0) / max) + 0.25 * (1 - i / (n - 1)),
+    }))
+    .sort((a, b) => (b.s - a.s) || (a.i - b.i))
+    .map(x => x.p);
+}
+
+// ================================
+// Sort order (results header)
+// ================================
+// A user-picked order is applied on top of the insight / search relevance order
+// with a stable sort, so ties keep their relevance rank. Rows without a value
+// (no location fix, no name, no date) go last in either direction.
+const SORT_NAME_COLLATOR = new Intl.Collator("ar", { sensitivity: "base", numeric: true });
+const finiteOrNull = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+
+const SORT_MODES = [
+  { key: "default", labelKey: "sort.default", nearLabelKey: "near.default" },
+  { key: "trust", labelKey: "sort.trust", dir: "desc", value: (p) => finiteOrNull(p.trust) },
+  { key: "rating", labelKey: "sort.rating", dir: "desc", value: (p) => finiteOrNull(p.rating) },
+  { key: "reviews", labelKey: "sort.reviews", dir: "desc", value: (p) => finiteOrNull(p.rating_count) },
+  { key: "nearest", labelKey: "sort.nearest", nearLabelKey: "near.nearest", dir: "asc", value: (p, query) => query.distOf(p) },
+  {
+    key: "name", labelKey: "sort.name", dir: "asc",
+    value: (p) => String(p.name || "").trim() || null, compare: SORT_NAME_COLLATOR.compare
+  },
+  // Only offered when the API sends a creation date (created_at / first_seen_at)
+  { key: "newest", labelKey: "sort.newest", dir: "desc", value: (p) => finiteOrNull(p.added_at), requires: "added_at" },
+];
+
+function sortModeDef(key = state.sortMode) {
+  return SORT_MODES.find(m => m.key === key) || SORT_MODES[0];
+}
+
+function defaultSortDir(key) {
+  return sortModeDef(key).dir || "desc";
+}
+
+function applyUserSort(list, query) {
+  const mode = sortModeDef();
+  if (!mode.value) return list;
+  if (mode.key === "nearest" && !USER_LOC) return list;
+
+  const sign = state.sortDir === "asc" ? 1 : -1;
+  const compare = mode.compare || ((a, b) => a - b);
+  return list
+    .map(p => ({ p, v: mode.value(p, query) }))
+    .sort((a, b) => {
+      if (a.v == null || b.v == null) return (a.v == null) - (b.v == null);
+      return sign * compare(a.v, b.v);
+    })
+    .map(x => x.p);
+}
+
+function sortModeAvailable(m) {
+  return !m.requires || m.key === state.sortMode || DATA.some(p => p[m.requires] != null);
+}
+
+function syncSortControl() {
+  const sel = el("sortSelect");
+  if (sel) {
+    sel.innerHTML = "";
+    for (const m of SORT_MODES.filter(sortModeAvailable)) {
+      const opt = document.createElement("option");
+      opt.value = m.key;
+      opt.textContent = t(m.labelKey);
+      sel.appendChild(opt);
+    }
+    sel.value = state.sortMode;
+  }
+
+  const btn = el("sortDirBtn");
+  if (btn) {
+    const asc = state.sortDir === "asc";
+    btn.disabled = !sortModeDef().value;
+    btn.textContent = asc ? "↑" : "↓";
+    btn.setAttribute("aria-label", `${t("sort.reverse")} (${t(asc ? "sort.asc" : "sort.desc")})`);
+    btn.title = t(asc ? "sort.asc" : "sort.desc");
+  }
+}
+
+async function pickSort(patch, source = "header") {
+  Object.assign(state, patch);
+
+  gaEvent("sort_change", { sort_mode: state.sortMode, sort_dir: state.sortDir, source });
+  gaTrackFiltersDebounced("sort_change");
+
+  syncSortControl();
+  const nv = el("nearValue");
+  if (nv) nv.textContent = nearChipLabel();
+
+  if (state.sortMode === "nearest" && !USER_LOC) await requestUserLocation();
+  render();
+}
+
+function initSortControl() {
+  const sel = el("sortSelect");
+  if (sel) sel.addEventListener("change", () => pickSort({ sortMode: sel.value, sortDir: defaultSortDir(sel.value) }));
+  const btn = el("sortDirBtn");
+  if (btn) btn.addEventListener("click", () => pickSort({ sortDir: state.sortDir === "asc" ? "desc" : "asc" }));
+  syncSortControl();
+}
+
+// ================================
+// Range filters (rating / review count / trust)
+// ================================
+// Each slider moves over a fixed list of stops; the first and last stop mean
+// "no bound", so a full-width range is no filter at all and state.ranges only
+// holds the fields that are narrowed: field -> [min|null, max|null]. The
+// histograms come from computeQueryFacets() and, like the other facet counts,
+// ignore the slider's own range so it shows what widening it would bring back.
+function rangeStops(min, max, step) {
+  const n = Math.round((max - min) / step);
+  return Array.from({ length: n + 1 }, (_, i) => Math.round((min + i * step) * 1000) / 1000);
+}
+
+// `bins`: histogram bucket edges (defaults to the stops); the last bucket is open-ended
+const RANGE_FILTERS = [
+  { field: "rating", labelKey: "range.rating", emoji: "⭐", stops: rangeStops(1, 5, 0.1), bins: rangeStops(1, 5, 0.25), fmt: (v) => fmtNum(v, 1) },
+  { field: "rating_count", labelKey: "range.reviews", emoji: "🗣️", stops: [0, 10, 25, 50, 100, 150, 250, 500, 1000, 2500, 5000, 10000], fmt: (v) => fmtNum(v) },
+  { field: "bayes2_score", labelKey: "range.trust", emoji: "✅", stops: rangeStops(0, 1, 0.02), bins: rangeStops(0, 1, 0.05), fmt: (v) => fmtNum(v, 2) },
+];
+
+function rangeDef(field) {
+  return RANGE_FILTERS.find(d => d.field === field) || null;
+}
+
+function rangeBinIndex(def, v) {
+  const edges = def.bins || def.stops;
+  let i = 0;
+  while (i < edges.length - 2 && v >= edges[i + 1]) i++;
+  return i;
+}
+
+function rangeTest(field) {
+  const [min, max] = state.ranges[field];
+  return (p) => {
+    const v = num(p[field]);
+    return (min == null || v >= min) && (max == null || v <= max);
+  };
+}
+
+// Snaps to the stops; a bound on the first/last stop is dropped. Returns null for "no filter".
+function normalizeRange(def, min, max) {
+  const stops = def.stops;
+  const snap = (v) => stops.reduce((best, s, i) => Math.abs(s - v) < Math.abs(stops[best] - v) ? i : best, 0);
+  let lo = (min == null || !Number.isFinite(min)) ? 0 : snap(min);
+  let hi = (max == null || !Number.isFinite(max)) ? stops.length - 1 : snap(max);
+  if (lo > hi) [lo, hi] = [hi, lo];
+  const range = [lo > 0 ? stops[lo] : null, hi < stops.length - 1 ? stops[hi] : null];
+  return (range[0] == null && range[1] == null) ? null : range;
+}
+
+function rangeSummary(def) {
+  const r = state.ranges[def.field];
+  if (!r) return t("common.any");
+  if (r[0] != null && r[1] != null) return `${def.fmt(r[0])} – ${def.fmt(r[1])}`;
+  return r[0] != null ? t("range.atLeast", { v: def.fmt(r[0]) }) : t("range.atMost", { v: def.fmt(r[1]) });
+}
+
+function rangesChipLabel() {
+  const active = RANGE_FILTERS.filter(d => state.ranges[d.field]);
+  if (!active.length) return t("common.all");
+  if (active.length === 1) return `${active[0].emoji} ${rangeSummary(active[0])}`;
+  return t("range.count", { n: fmtNum(active.length) });
 }
 
-function updateHeatLayer(places) {
-  if (!MAP) return;
+// "rating=4.3-" / "rating_count=150-1000" / "bayes2_score=-0.9"
+function encodeRange(r) {
+  return `${r[0] ?? ""}-${r[1] ?? ""}`;
+}
 
-  if (state.heatmap === "Off") {
-    if (HEAT_LAYER) {
-      try { MAP.removeLayer(HEAT_LAYER); } catch (_e) { }
-      HEAT_LAYER = null;
+function decodeRange(def, s) {
+  const m = String(s || "").match(/^([\d.]*)-([\d.]*)$/);
+  if (!m) return null;
+  return normalizeRange(def, m[1] === "" ? null : Number(m[1]), m[2] === "" ? null : Number(m[2]));
+}
+
+function paintRangeHistograms() {
+  const hist = LAST_FACETS && LAST_FACETS.hist;
+  for (const def of RANGE_FILTERS) {
+    const box = document.querySelector(`.rangeFilter[data-field="${def.field}"]`);
+    if (!box) continue;
+    const counts = (hist && hist[def.field]) || [];
+    const max = Math.max(1, ...counts);
+    const edges = def.bins || def.stops;
+    const r = state.ranges[def.field] || [null, null];
+    box.querySelectorAll(".rangeFilter__bar").forEach((bar, i) => {
+      const n = counts[i] || 0;
+      const inRange = (r[0] == null || i === edges.length - 2 || edges[i + 1] > r[0]) && (r[1] == null || edges[i] <= r[1]);
+      bar.style.height = `${n ? Math.max(6, Math.round(n / max * 100)) : 0}%`;
+      bar.classList.toggle("is-out", !inRange);
+      bar.title = `${def.fmt(edges[i])}${i < edges.length - 2 ? ` – ${def.fmt(edges[i + 1])}` : "+"}: ${fmtNum(n)}`;
+    });
+    const fill = box.querySelector(".rangeFilter__fill");
+    const inputs = box.querySelectorAll(".rangeFilter__input");
+    if (fill && inputs.length === 2) {
+      const last = def.stops.length - 1;
+      fill.style.insetInlineStart = `${inputs[0].value / last * 100}%`;
+      fill.style.width = `${(inputs[1].value - inputs[0].value) / last * 100}%`;
     }
-    return;
+    const val = box.querySelector(".rangeFilter__value");
+    if (val) val.textContent = rangeSummary(def);
   }
+}
 
-  const insightObj = INSIGHTS.find(x => x.key === state.insight) || INSIGHTS[0];
-  const weightFn = (insightObj && insightObj.heatFn)
-    ? insightObj.heatFn
-    : (p) => {
-      const b2 = Number(p.bayes2_score ?? 0);
-      const v = Number(p.rating_count ?? 0);
-      const nv = Math.max(0, Math.min(1, v / 500));
-      return Math.max(0, Math.min(1, 0.65 * b2 + 0.35 * nv));
-    };
+function syncRangesChip() {
+  const v = el("rangesValue");
+  if (v) v.textContent = rangesChipLabel();
+}
 
-  const pts = [];
-  for (const p of places) {
-    const lat = Number(p.lat);
-    const lng = Number(p.lng);
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
-    const w = Number(weightFn(p));
-    pts.push([lat, lng, Number.isFinite(w) ? w : 0.2]);
-  }
+let RANGES_RENDER = null; // debounced render while a handle is dragged
 
-  if (!window.L || !L.heatLayer) {
-    console.warn("leaflet.heat not loaded; cannot render heatmap");
-    return;
-  }
+function buildRangesMenu() {
+  const wrap = el("rangeItems");
+  if (!wrap) return;
+  wrap.innerHTML = "";
 
-  if (!HEAT_LAYER) {
-    HEAT_LAYER = L.heatLayer(pts, { radius: 22, blur: 18, maxZoom: 17 });
-    HEAT_LAYER.addTo(MAP);
-  } else {
-    try { HEAT_LAYER.setLatLngs(pts); } catch (_e) { }
-    if (!MAP.hasLayer(HEAT_LAYER)) {
-      try { HEAT_LAYER.addTo(MAP); } catch (_e) { }
-    }
+  for (const def of RANGE_FILTERS) {
+    const last = def.stops.length - 1;
+    const r = state.ranges[def.field] || [null, null];
+    const idx = (v, fallback) => v == null ? fallback : Math.max(0, def.stops.indexOf(v));
+    const label = t(def.labelKey);
+    const bins = (def.bins || def.stops).length - 1;
+
+    const box = document.createElement("div");
+    box.className = "rangeFilter";
+    box.setAttribute("data-field", def.field);
+    box.innerHTML = `
+      <div class="rangeFilter__head">
+        <span class="rangeFilter__label">${def.emoji} ${escapeHtml(label)}</span>
+        <span class="rangeFilter__value"></span>
+      </div>
+      <div class="rangeFilter__hist" aria-hidden="true">${'<span class="rangeFilter__bar"></span>'.repeat(bins)}</div>
+      <div class="rangeFilter__track">
+        <span class="rangeFilter__fill"></span>
+        <input class="rangeFilter__input" type="range" min="0" max="${last}" step="1" value="${idx(r[0], 0)}" aria-label="${escapeHtml(t("range.min", { label }))}">
+        <input class="rangeFilter__input" type="range" min="0" max="${last}" step="1" value="${idx(r[1], last)}" aria-label="${escapeHtml(t("range.max", { label }))}">
+      </div>`;
+
+    const [loEl, hiEl] = box.querySelectorAll(".rangeFilter__input");
+    const onInput = (moved) => {
+      // Handles can't cross: the one being dragged stops at the other
+      if (Number(loEl.value) > Number(hiEl.value)) moved.value = moved === loEl ? hiEl.value : loEl.value;
+      const range = normalizeRange(def, def.stops[loEl.value], def.stops[hiEl.value]);
+      if (range) state.ranges[def.field] = range;
+      else delete state.ranges[def.field];
+      loEl.setAttribute("aria-valuetext", range && range[0] != null ? def.fmt(range[0]) : t("common.any"));
+      hiEl.setAttribute("aria-valuetext", range && range[1] != null ? def.fmt(range[1]) : t("common.any"));
+
+      paintRangeHistograms();
+      syncRangesChip();
+      gaTrackFiltersDebounced("range_change");
+      RANGES_RENDER();
+    };
+    loEl.addEventListener("input", () => onInput(loEl));
+    hiEl.addEventListener("input", () => onInput(hiEl));
+    loEl.addEventListener("change", () => gaEvent("range_change", { field: def.field, range: state.ranges[def.field] ? encodeRange(state.ranges[def.field]) : "any" }));
+    hiEl.addEventListener("change", () => gaEvent("range_change", { field: def.field, range: state.ranges[def.field] ? encodeRange(state.ranges[def.field]) : "any" }));
+    wrap.appendChild(box);
   }
+  paintRangeHistograms();
 }
 
-function focusPlace(p) {
-  if (!MAP) return;
-  const lat = Number(p.lat);
-  const lng = Number(p.lng);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+function initRangeFilters() {
+  RANGES_RENDER = debounce(render, 140);
+  // Sliders live in the menu: dragging them must not close it
+  const menu = el("menu-ranges");
+  if (menu) menu.addEventListener("click", (e) => e.stopPropagation());
+  const clear = el("clearRanges");
+  if (clear) clear.addEventListener("click", (e) => {
+    e.stopPropagation();
+    state.ranges = {};
+    gaEvent("range_change", { field: "all", range: "any" });
+    gaTrackFiltersDebounced("range_clear");
+    syncRangesChip();
+    buildRangesMenu();
+    render();
+  });
+  buildRangesMenu();
+  syncRangesChip();
+}
 
-  const zoom = Math.max(16, MAP.getZoom() || 16);
-  let centerLatLng = L.latLng(lat, lng);
+// ================================
+// Filtering + sorting
+// ================================
+// `spec` is a declarative sort list ([{ field, dir }]); legacy strings are normalized
+function sortBySpec(a, b, spec) {
+  const keys = normalizeSortSpec(spec);
+  for (const k of keys) {
+    const d = k.dir === "asc" ? (num(a[k.field]) - num(b[k.field])) : (num(b[k.field]) - num(a[k.field]));
+    if (d) return d;
+  }
+  return 0;
+}
 
-  try {
-    const isDesktop = window.matchMedia("(min-width: 980px)").matches;
-    if (!isDesktop) {
-      const panel = document.getElementById("panel");
-      if (panel) {
-        const ph = panel.getBoundingClientRect().height || 0;
-        if (ph > 0) {
-          const pxOffsetY = Math.round(ph * 0.35);
-          const targetPoint = MAP.project(centerLatLng, zoom);
-          centerLatLng = MAP.unproject(targetPoint.add([0, pxOffsetY]), zoom);
-        }
+// Compiles the current `state` into named row tests plus what ranking needs.
+// Each test has a facet key so computeQueryFacets() can count "all filters but this one".
+function compileQuery(rows) {
+  const insightObj = INSIGHTS.find(x => x.key === state.insight) || INSIGHTS[0];
+  const pred = insightObj.predicate || (() => true);
+  const hits = state.q ? searchPlaces(rows, state.q) : null;
+  // Similar results and saved lists are their own scope: district/category/insight don't apply
+  const scoped = state.similarMode || !!state.savedListId;
+  const distCache = new Map();
+  const distOf = (p) => {
+    const id = String(p.id);
+    if (!distCache.has(id)) distCache.set(id, distanceFromUserKm(p));
+    return distCache.get(id);
+  };
+  const radiusKm = USER_LOC ? state.radiusKm : 0;
+  const inArea = scoped ? null : compileAreaFilter(state.area);
+  const tags = [...state.tags];
+
+  const tests = [];
+  if (!scoped && state.district !== "all") tests.push({ facet: "district", test: p => p.district === state.district });
+  if (inArea) tests.push({ facet: "area", test: inArea });
+  if (!scoped && !state.categories.has("all")) tests.push({ facet: "category", test: p => state.categories.has(p.category) });
+  if (!scoped) tests.push({ facet: "insight", test: pred });
+  if (hits) tests.push({ facet: "q", test: p => hits.has(String(p.id)) });
+  if (state.sentiment !== "الكل") tests.push({ facet: "sentiment", test: p => p.sentiment === state.sentiment });
+  if (state.price !== "الكل") tests.push({ facet: "price", test: p => p.price === state.price });
+  if (tags.length) tests.push({ facet: "tags", test: p => tags.every(t => (p.tags || []).includes(t)) });
+  for (const def of RANGE_FILTERS) {
+    if (state.ranges[def.field]) tests.push({ facet: `range:${def.field}`, test: rangeTest(def.field) });
+  }
+  if (radiusKm) {
+    tests.push({
+      facet: "radius", test: p => {
+        const d = distOf(p);
+        return d != null && d <= radiusKm;
       }
-    }
-  } catch (_e) { }
-
-  MAP.setView(centerLatLng, zoom, { animate: true });
+    });
+  }
 
-  const marker = MARKERS_BY_ID.get(String(p.id));
-  if (marker && marker.bringToFront) marker.bringToFront();
+  return { tests, insightObj, hits, distOf };
 }
 
-function selectPlaceById(id, source = "select") {
-  const pid = String(id);
-  const p = DATA.find(x => String(x.id) === pid);
-  if (!p) return;
-
-  // GA: place select
-  gaEvent("place_select", {
-    place_id: (p && p.place_id) ? String(p.place_id) : pid,
-    source: source || "select"
-  });
-
-  if (SELECTED_ID && SELECTED_ID !== pid) {
-    const prev = MARKERS_BY_ID.get(String(SELECTED_ID));
-    if (prev && prev.getElement) {
-      const node = prev.getElement();
-      const pin = node ? node.querySelector(".rn-pin") : null;
-      if (pin) pin.classList.remove("active");
-    }
-  }
+function rankQueryResults(list, query) {
+  // Saved lists keep the user's order (most recently saved first), similar
+  // results the API's similarity order
+  if (!state.savedListId && !state.similarMode) list.sort((a, b) => sortBySpec(a, b, query.insightObj.sort));
 
-  SELECTED_ID = pid;
+  const ranked = query.hits ? blendSearchRelevance(list, query.hits) : list;
 
-  const marker = MARKERS_BY_ID.get(pid);
-  if (marker && marker.getElement) {
-    const node = marker.getElement();
-    const pin = node ? node.querySelector(".rn-pin") : null;
-    if (pin) pin.classList.add("active");
-  }
+  // The header sort (or "الأقرب") wins over insight/relevance order
+  return applyUserSort(ranked, query);
+}
 
-  focusPlace(p);
+function filterData(rows, query = compileQuery(rows)) {
+  const list = rows.filter(p => query.tests.every(t => t.test(p)));
+  return rankQueryResults(list, query);
+}
 
-  const wrap = document.getElementById("resultsList");
-  if (wrap) {
-    wrap.querySelectorAll(".card.is-selected").forEach(x => x.classList.remove("is-selected"));
-    const card = wrap.querySelector(`.card[data-id="${cssEscape(pid)}"]`);
-    if (card) {
-      card.classList.add("is-selected");
-      try { card.scrollIntoView({ block: "nearest", behavior: "smooth" }); } catch (_e) { }
+// One pass over `rows`: district/category/sentiment/price counts ignore their own
+// filter (so each menu shows what picking another value would give); tag counts
+// are over the results. `districtStats` feeds the choropleth; `hist` the range
+// sliders (each ignoring its own range, like the menus).
+const QUERY_FACET_KEYS = ["district", "category", "sentiment", "price"];
+
+function computeQueryFacets(rows, query = compileQuery(rows)) {
+  const counts = { district: {}, category: {}, sentiment: {}, price: {}, tags: {} };
+  const hist = Object.fromEntries(RANGE_FILTERS.map(d => [d.field, new Array((d.bins || d.stops).length - 1).fill(0)]));
+  const bump = (obj, k) => { if (k != null && k !== "") obj[k] = (obj[k] || 0) + 1; };
+  const bumpHist = (def, p) => { hist[def.field][rangeBinIndex(def, num(p[def.field]))]++; };
+  const forDistricts = [];
+
+  for (const p of rows) {
+    let failed = null;
+    let failures = 0;
+    for (const t of query.tests) {
+      if (t.test(p)) continue;
+      failed = t.facet;
+      if (++failures > 1) break;
+    }
+    if (failures > 1) continue;
+
+    if (failures === 0) {
+      for (const k of QUERY_FACET_KEYS) bump(counts[k], p[k]);
+      for (const t of p.tags || []) bump(counts.tags, t);
+      for (const def of RANGE_FILTERS) bumpHist(def, p);
+      forDistricts.push(p);
+    } else if (QUERY_FACET_KEYS.includes(failed)) {
+      bump(counts[failed], p[failed]);
+      if (failed === "district") forDistricts.push(p);
+    } else if (failed.startsWith("range:")) {
+      bumpHist(rangeDef(failed.slice(6)), p);
     }
   }
+
+  return { ...counts, hist, districtStats: [...aggregateByDistrict(forDistricts)] };
 }
 
 // ================================
-// Similar mode
+// Query engine (Web Worker)
 // ================================
-function enterSimilarMode(anchor, results) {
-  state.similarMode = true;
-  state.similarAnchor = anchor || null;
-  state.similarResults = Array.isArray(results) ? results : [];
-  const bar = document.getElementById("similarBar");
-  const txt = document.getElementById("similarText");
-  if (bar && txt) {
-    txt.textContent = `أماكن مشابهة لـ: ${anchor?.name || ""}`;
-    bar.style.display = "flex";
-  }
-  SELECTED_ID = null;
-  gaTrackFiltersDebounced("similar_enter");
-  render();
+// query-worker.js keeps its own copy of DATA (plus search index and compiled
+// insights) and runs compileQuery()/rankQueryResults()/computeQueryFacets() on a
+// serialized `state`. Only the full dataset goes through it; similar results and
+// saved lists are small and stay synchronous. Without Worker support, or after a
+// worker error, everything falls back to filterData() on the main thread.
+const QUERY_WORKER_URL = "./query-worker.js";
+
+let QUERY_WORKER = null;
+let QUERY_WORKER_VERSION = 0;  // dataset version the worker has finished loading
+let QUERY_DATA_VERSION = 0;    // bumped whenever DATA is replaced
+let QUERY_SEQ = 0;
+let QUERY_INFLIGHT = null;     // { id, resolve }
+let LAST_FACETS = null;        // facets of the last applied render()
+
+function serializeQueryState() {
+  return {
+    q: state.q,
+    district: state.district,
+    insight: state.insight,
+    categories: [...state.categories],
+    sentiment: state.sentiment,
+    price: state.price,
+    tags: [...state.tags],
+    sortMode: state.sortMode,
+    sortDir: state.sortDir,
+    ranges: state.ranges,
+    radiusKm: state.radiusKm,
+    area: state.area,
+    userLoc: USER_LOC ? { lat: USER_LOC.lat, lng: USER_LOC.lng } : null,
+  };
 }
 
-function exitSimilarMode(reason = "ui") {
-  if (state.similarMode) {
-    gaEvent("similar_clear", { source: reason || "ui" });
-  }
+// Inverse of serializeQueryState(), used inside the worker
+function applySerializedQueryState(q) {
   state.similarMode = false;
-  state.similarAnchor = null;
-  state.similarResults = [];
-  const bar = document.getElementById("similarBar");
-  if (bar) bar.style.display = "none";
-  SELECTED_ID = null;
-  gaTrackFiltersDebounced("similar_exit");
-  render();
+  state.savedListId = null;
+  state.q = q.q || "";
+  state.district = q.district || "all";
+  state.insight = q.insight || DEFAULT_INSIGHT;
+  state.categories = new Set(q.categories && q.categories.length ? q.categories : ["all"]);
+  state.sentiment = q.sentiment || "الكل";
+  state.price = q.price || "الكل";
+  state.tags = new Set(q.tags || []);
+  state.sortMode = q.sortMode || "default";
+  state.sortDir = q.sortDir === "asc" ? "asc" : "desc";
+  state.ranges = q.ranges || {};
+  state.radiusKm = Number(q.radiusKm) || 0;
+  state.area = q.area || null;
+  USER_LOC = q.userLoc || null;
 }
 
-function normalizeSimilarResults(arr, anchorId) {
-  return (arr || [])
-    .filter(x => x && (x.place_id || x.id) && String(x.place_id || x.id) !== String(anchorId))
-    .map(x => ({
-      id: String(x.place_id || x.id),
-      place_id: String(x.place_id || x.id),
-      name: x.name || "",
-      lat: Number(x.lat),
-      lng: Number(x.lng),
-      rating: (x.rating != null ? Number(x.rating) : null),
-      rating_count: (x.rating_count != null ? Number(x.rating_count) : null),
-      bayes2_score: (x.bayes2_score != null ? Number(x.bayes2_score) : null),
-      sentiment_label_ar: x.sentiment_label_ar || "",
-      price_bucket_ar: x.price_bucket_ar || "",
-      tags: Array.isArray(x.tags) ? x.tags : [],
-      summary: x.summary || "",
-      link: x.link || ""
-    }))
-    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+function disableQueryWorker(reason) {
+  console.warn("[Query] Worker disabled, filtering on the main thread:", reason);
+  try { QUERY_WORKER && QUERY_WORKER.terminate(); } catch (_e) { }
+  QUERY_WORKER = null;
+  QUERY_WORKER_VERSION = 0;
+  if (QUERY_INFLIGHT) {
+    const { resolve } = QUERY_INFLIGHT;
+    QUERY_INFLIGHT = null;
+    resolve(null);
+    render(); // redo the interrupted query synchronously
+  }
 }
 
-window.findSimilar = async function (place_id, source = "ui") {
-  const anchor = DATA.find(p => String(p.id) === String(place_id));
-  if (!anchor) return;
-
-  const bar = document.getElementById("similarBar");
-  const txt = document.getElementById("similarText");
-  if (bar && txt) {
-    bar.style.display = "flex";
-    txt.textContent = `جارِ البحث عن أماكن مشابهة لـ: ${anchor.name}…`;
+function onQueryWorkerMessage(e) {
+  const msg = e.data || {};
+  if (msg.type === "ready") {
+    QUERY_WORKER_VERSION = msg.version;
+    return;
+  }
+  if (msg.type === "error") {
+    disableQueryWorker(msg.message);
+    return;
   }
+  if (msg.type !== "result" || !QUERY_INFLIGHT || QUERY_INFLIGHT.id !== msg.id) return;
 
-  // GA: similar request
-  gaEvent("similar_request", { place_id: String(place_id), scope: "category", source: source || "ui" });
+  const { resolve } = QUERY_INFLIGHT;
+  QUERY_INFLIGHT = null;
+  if (msg.version !== QUERY_DATA_VERSION) { resolve(null); return; }
 
-  try {
-    const url = new URL(SIMILAR_API_URL);
-    url.searchParams.set("place_id", String(place_id));
-    url.searchParams.set("scope", "category");
-    url.searchParams.set("k", "40");
-    url.searchParams.set("min_sim", "0");
-
-    const resp = await fetchWithRetry(url.toString(), { method: "GET" }, 3);
-    if (!resp.ok) {
-      const raw = await resp.text().catch(() => "");
-      gaEvent("similar_error", { place_id: String(place_id), http_status: resp.status });
-      showToast(`تعذر تحميل أماكن مشابهة (HTTP ${resp.status}).`, "error", 5000);
-      console.error("[API Error] Similar places failed:", resp.status, raw.slice(0, 300));
-      exitSimilarMode("http_error");
-      return;
-    }
-    const payload = await resp.json();
-    const arr = Array.isArray(payload) ? payload : (payload?.results || payload?.items || []);
-    const results = normalizeSimilarResults(arr, place_id);
+  const list = [];
+  for (const id of msg.ids) {
+    const p = DATA_BY_ID.get(id);
+    if (p) list.push(p);
+  }
+  resolve({ list, facets: msg.facets });
+}
 
-    gaEvent("similar_success", { place_id: String(place_id), results_count: results.length });
-    enterSimilarMode(anchor, results);
+function initQueryWorker() {
+  if (typeof Worker === "undefined") return;
+  try {
+    QUERY_WORKER = new Worker(QUERY_WORKER_URL);
   } catch (e) {
-    console.error("[API Error] Similar places fetch error:", e);
-    gaEvent("similar_error", { place_id: String(place_id), http_status: 0 });
-    showToast("تعذر تحميل أماكن مشابهة. حاول مرة أخرى.", "error", 5000);
-    exitSimilarMode("exception");
+    console.warn("[Query] Worker unavailable:", e);
+    QUERY_WORKER = null;
+    return;
   }
-};
+  QUERY_WORKER.addEventListener("message", onQueryWorkerMessage);
+  QUERY_WORKER.addEventListener("error", (e) => disableQueryWorker(e && e.message ? e.message : "error"));
+}
 
-// ================================
-// Filtering + sorting
-// ================================
-function sortBySpec(a, b, spec) {
-  const s = String(spec || "");
+// Hand the current DATA to the worker; queries stay on the main thread until it is ready
+function syncQueryEngineDataset() {
+  QUERY_DATA_VERSION++;
+  if (!QUERY_WORKER) return;
+  QUERY_WORKER.postMessage({
+    type: "load",
+    version: QUERY_DATA_VERSION,
+    rows: DATA,
+    districtLabels: [...DISTRICT_LABEL_AR_BY_SLUG],
+    toggleConfig: TOGGLE_CONFIG,
+  });
+}
 
-  if (s.startsWith("desc:")) {
-    const f = s.slice(5);
-    return (num(b[f]) - num(a[f]));
-  }
-  if (s.startsWith("asc:")) {
-    const f = s.slice(4);
-    return (num(a[f]) - num(b[f]));
-  }
-  if (s === "special:mustgo") {
-    const d1 = (num(b.bayes2_score) - num(a.bayes2_score));
-    if (d1) return d1;
-    const d2 = (num(b.rating_count) - num(a.rating_count));
-    if (d2) return d2;
-    return (num(b.rating) - num(a.rating));
+// Returns { list, facets } synchronously, or a Promise of it (null when superseded)
+function runPlaceQuery(rows) {
+  const useWorker = QUERY_WORKER && rows === DATA && QUERY_WORKER_VERSION === QUERY_DATA_VERSION;
+
+  // A newer state always supersedes whatever is still running
+  if (QUERY_INFLIGHT) {
+    const { id, resolve } = QUERY_INFLIGHT;
+    QUERY_INFLIGHT = null;
+    if (QUERY_WORKER) QUERY_WORKER.postMessage({ type: "cancel", id });
+    resolve(null);
   }
 
-  const d = (num(b.trust) - num(a.trust));
-  if (d) return d;
-  return (num(b.rating_count) - num(a.rating_count));
-}
+  if (!useWorker) {
+    const query = compileQuery(rows);
+    return { list: filterData(rows, query), facets: computeQueryFacets(rows, query) };
+  }
 
-function filterData(rows) {
-  const insightObj = INSIGHTS.find(x => x.key === state.insight) || INSIGHTS[0];
-  const pred = insightObj.predicate || (() => true);
-  const q = state.q.toLowerCase();
-
-  return rows
-    // In similar mode, we intentionally ignore district/category/insight for the results coming back
-    .filter(p => state.similarMode ? true : (state.district === "all" ? true : p.district === state.district))
-    .filter(p => state.similarMode ? true : (state.categories.has("all") ? true : state.categories.has(p.category)))
-    .filter(p => state.similarMode ? true : pred(p))
-    .filter(p => {
-      if (!q) return true;
-      const hay = `${p.name} ${(p.tags || []).join(" ")} ${p.category} ${p.district}`.toLowerCase();
-      return hay.includes(q);
-    })
-    .filter(p => state.sentiment === "الكل" ? true : p.sentiment === state.sentiment)
-    .filter(p => state.price === "الكل" ? true : p.price === state.price)
-    .filter(p => state.tags.size === 0 ? true : [...state.tags].every(t => (p.tags || []).includes(t)))
-    .sort((a, b) => sortBySpec(a, b, insightObj.sort));
+  const id = ++QUERY_SEQ;
+  return new Promise((resolve) => {
+    QUERY_INFLIGHT = { id, resolve };
+    QUERY_WORKER.postMessage({ type: "query", id, version: QUERY_DATA_VERSION, state: serializeQueryState() });
+  });
 }
 
 // ================================
@@ -1288,7 +5996,9 @@ function buildInsightTopMenu() {
     const opt = document.createElement("button");
     opt.type = "button";
     opt.className = "opt" + (state.insight === it.key ? " is-active" : "");
-    opt.innerHTML = `<span>${it.emoji} ${it.label}</span><span class="badge">${state.insight === it.key ? "✓" : ""}</span>`;
+    opt.innerHTML = `<span>${it.emoji} ${escapeHtml(insightText(it))}</span><span class="badge">${state.insight === it.key ? "✓" : ""}</span>`;
+    const desc = insightText(it, "desc");
+    if (desc) opt.title = desc;
     opt.addEventListener("click", async (e) => {
       state.insight = it.key;
 
@@ -1313,10 +6023,11 @@ function buildInsightTopMenu() {
     });
     wrap.appendChild(opt);
   }
+  markListbox(wrap);
 }
 
 function labelForCategory(key) {
-  return (CATEGORIES.find(c => c.key === key)?.label) ?? key;
+  return key === "all" ? t("common.all") : categoryLabel(key);
 }
 
 function buildCatsTopMenu() {
@@ -1326,21 +6037,22 @@ function buildCatsTopMenu() {
 
   const staging = new Set(state.categories);
 
-  const paint = (btn, key) => btn.classList.toggle("is-active", staging.has(key));
+  const paint = (btn, key) => setOptSelected(btn, staging.has(key));
+  const counts = LAST_FACETS ? LAST_FACETS.category : null;
 
   for (const c of CATEGORIES) {
     const opt = document.createElement("button");
     opt.type = "button";
     opt.className = "opt opt--chip";
-    opt.innerHTML = `<span>${c.emoji} ${c.label}</span>`;
+    const n = counts && c.key !== "all" ? `<span class="opt__count">${fmtNum(counts[c.key] || 0)}</span>` : "";
+    opt.innerHTML = `<span>${c.emoji} ${escapeHtml(labelForCategory(c.key))}</span>${n}`;
     paint(opt, c.key);
 
     opt.addEventListener("click", (e) => {
       if (c.key === "all") {
         staging.clear();
         staging.add("all");
-        [...wrap.querySelectorAll(".opt")].forEach(x => x.classList.remove("is-active"));
-        opt.classList.add("is-active");
+        [...wrap.querySelectorAll(".opt")].forEach(x => setOptSelected(x, x === opt));
       } else {
         staging.delete("all");
         if (staging.has(c.key)) staging.delete(c.key); else staging.add(c.key);
@@ -1361,6 +6073,7 @@ function buildCatsTopMenu() {
 
     wrap.appendChild(opt);
   }
+  markListbox(wrap, { multi: true });
 
   // Apply button removed - filters now apply instantly on click
 
@@ -1370,7 +6083,7 @@ function buildCatsTopMenu() {
     staging.add("all");
     state.categories = new Set(staging);
 
-    [...wrap.querySelectorAll(".opt")].forEach((b, idx) => b.classList.toggle("is-active", CATEGORIES[idx].key === "all"));
+    [...wrap.querySelectorAll(".opt")].forEach((b, idx) => setOptSelected(b, CATEGORIES[idx].key === "all"));
 
     gaEvent("categories_clear", { source: "menu" });
     gaTrackFiltersDebounced("categories_clear");
@@ -1388,44 +6101,124 @@ function buildCategoriesTopMenu() { return buildCatsTopMenu(); }
 function syncTopChipLabels() {
   const i = INSIGHTS.find(x => x.key === state.insight);
   const insightEl = el("insightTopValue");
-  if (insightEl) insightEl.textContent = i ? i.label : "الكل";
+  if (insightEl) insightEl.textContent = i ? insightText(i) : t("common.all");
 
   const catsEl = el("catsTopValue");
   if (!catsEl) return;
 
   if (state.categories.has("all")) {
-    catsEl.textContent = "الكل";
+    catsEl.textContent = t("common.all");
   } else {
     const keys = [...state.categories];
     if (keys.length === 1) catsEl.textContent = labelForCategory(keys[0]);
-    else catsEl.textContent = `${keys.length} تصنيفات`;
+    else catsEl.textContent = t("cats.count", { n: fmtNum(keys.length) });
   }
 }
 
-function buildSingleSelectMenu(containerId, options, onPick, getCurrent) {
+function tagsChipLabel() {
+  return state.tags.size ? t("tags.count", { n: fmtNum(state.tags.size) }) : t("common.all");
+}
+
+function heatmapLabel(mode) {
+  return mode === "Off" ? t("common.off") : t(`heat.${mode}`);
+}
+
+// Push the current `state` into every filter control (used by reset + URL restore)
+function syncFilterControls() {
+  const districtEl = el("district");
+  if (districtEl) districtEl.value = state.district;
+  const qEl = el("q");
+  if (qEl) qEl.value = state.q;
+
+  const sv = el("sentimentValue");
+  const pv = el("priceValue");
+  const tv = el("tagsValue");
+  const hv = el("heatmapValue");
+  if (sv) sv.textContent = sentimentLabel(state.sentiment);
+  if (pv) pv.textContent = priceLabel(state.price);
+  if (tv) tv.textContent = tagsChipLabel();
+  if (hv) hv.textContent = heatmapLabel(state.heatmap);
+  const cv = el("choroplethValue");
+  if (cv) cv.textContent = choroChipLabel();
+  const nv = el("nearValue");
+  if (nv) nv.textContent = nearChipLabel();
+  const av = el("areaValue");
+  if (av) av.textContent = areaChipLabel();
+  syncRangesChip();
+
+  TAGS_DRAFT = null;
+  syncTopChipLabels();
+  buildInsightTopMenu();
+  buildCatsTopMenu();
+  buildSentimentMenu();
+  buildPriceMenu();
+  buildTagsMenu();
+  buildHeatmapMenu();
+  buildChoroplethMenu();
+  buildNearMenu();
+  buildRangesMenu();
+  syncSortControl();
+  buildAreaMenu();
+}
+
+// `facet`: LAST_FACETS key whose counts are shown next to the other options;
+// `label` turns an option value into its display text
+function buildSingleSelectMenu(containerId, options, onPick, getCurrent, facet = null, label = (v) => v) {
   const wrap = el(containerId);
   if (!wrap) return;
   wrap.innerHTML = "";
+  const counts = facet && LAST_FACETS ? LAST_FACETS[facet] : null;
   for (const v of options) {
     const opt = document.createElement("button");
     opt.type = "button";
     opt.className = "opt" + (getCurrent() === v ? " is-active" : "");
-    opt.innerHTML = `<span>${v}</span><span class="badge">${v === "الكل" ? "Any" : (getCurrent() === v ? "✓" : "")}</span>`;
+    const badge = v === "الكل" ? t("common.any") : getCurrent() === v ? "✓" : counts ? fmtNum(counts[v] || 0) : "";
+    opt.innerHTML = `<span>${escapeHtml(label(v))}</span><span class="badge">${badge}</span>`;
     opt.addEventListener("click", (e) => { onPick(v); e.stopPropagation(); });
     wrap.appendChild(opt);
   }
+  markListbox(wrap);
+}
+
+function buildSentimentMenu() {
+  buildSingleSelectMenu("sentimentItems", SENTIMENTS, (v) => {
+    state.sentiment = v;
+
+    gaEvent("sentiment_change", { sentiment: v });
+    gaTrackFiltersDebounced("sentiment_change");
+
+    const sv = el("sentimentValue");
+    if (sv) sv.textContent = sentimentLabel(v);
+    buildSentimentMenu();
+    closeMenus();
+    render();
+  }, () => state.sentiment, "sentiment", sentimentLabel);
+}
+
+function buildPriceMenu() {
+  buildSingleSelectMenu("priceItems", PRICES, (v) => {
+    state.price = v;
+
+    gaEvent("price_change", { price_bucket: v });
+    gaTrackFiltersDebounced("price_change");
+
+    const pv = el("priceValue");
+    if (pv) pv.textContent = priceLabel(v);
+    buildPriceMenu();
+    closeMenus();
+    render();
+  }, () => state.price, "price", priceLabel);
 }
 
 function buildHeatmapMenu() {
   const wrap = el("heatmapItems");
   if (!wrap) return;
   wrap.innerHTML = "";
-  const options = ["Off", "Density", "Score"];
-  for (const v of options) {
+  for (const v of HEAT_MODES) {
     const opt = document.createElement("button");
     opt.type = "button";
     opt.className = "opt" + (state.heatmap === v ? " is-active" : "");
-    opt.innerHTML = `<span>${v}</span><span class="badge">${state.heatmap === v ? "✓" : ""}</span>`;
+    opt.innerHTML = `<span>${escapeHtml(heatmapLabel(v))}</span><span class="badge">${state.heatmap === v ? "✓" : ""}</span>`;
     opt.addEventListener("click", (e) => {
       state.heatmap = v;
 
@@ -1433,7 +6226,7 @@ function buildHeatmapMenu() {
       gaTrackFiltersDebounced("heatmap_change");
 
       const hv = el("heatmapValue");
-      if (hv) hv.textContent = v;
+      if (hv) hv.textContent = heatmapLabel(v);
       buildHeatmapMenu();
       closeMenus();
       render();
@@ -1441,6 +6234,8 @@ function buildHeatmapMenu() {
     });
     wrap.appendChild(opt);
   }
+  markListbox(wrap);
+  buildHeatControls();
 }
 
 function buildTagsMenu() {
@@ -1451,41 +6246,39 @@ function buildTagsMenu() {
   const staging = TAGS_DRAFT;
 
   const q = normalizeText(state.tagsQuery || "");
-  const list = TAGS.filter(t => normalizeText(t).includes(q)).slice(0, 200);
+  const list = TAGS.filter(tag => normalizeText(tag).includes(q)).slice(0, 200);
 
   const sub = el("tagsSub");
-  if (sub) {
-    const parts = [`اختر أكثر من وسم`, `المحدد: ${staging.size}`];
-    if (q) parts.push(`نتائج: ${list.length}`);
+  const paintSub = () => {
+    if (!sub) return;
+    const parts = [t("tags.sub"), t("tags.selected", { n: fmtNum(staging.size) })];
+    if (q) parts.push(t("tags.matches", { n: fmtNum(list.length) }));
     sub.textContent = parts.join(" • ");
-  }
+  };
+  paintSub();
 
   wrap.innerHTML = "";
-  for (const t of list) {
+  for (const tag of list) {
     const opt = document.createElement("button");
     opt.type = "button";
     opt.className = "opt opt--chip";
-    const c = TAG_COUNTS.get(t) || 0;
-    opt.innerHTML = `<span>#${escapeHtml(t)}</span><span class="badge">${c}</span>`;
+    const c = TAG_COUNTS.get(tag) || 0;
+    opt.innerHTML = `<span>#${escapeHtml(tag)}</span><span class="badge">${fmtNum(c)}</span>`;
 
-    const paint = () => opt.classList.toggle("is-active", staging.has(t));
+    const paint = () => setOptSelected(opt, staging.has(tag));
     paint();
 
     opt.addEventListener("click", (e) => {
-      if (staging.has(t)) staging.delete(t); else staging.add(t);
+      if (staging.has(tag)) staging.delete(tag); else staging.add(tag);
       paint();
-      if (sub) {
-        const parts = [`اختر أكثر من وسم`, `المحدد: ${staging.size}`];
-        if (q) parts.push(`نتائج: ${list.length}`);
-        sub.textContent = parts.join(" • ");
-      }
+      paintSub();
 
       // INSTANT APPLY: Apply filter immediately on click
       state.tags = new Set(staging);
       gaEvent("tags_apply", { tags_count: state.tags.size });
       gaTrackFiltersDebounced("tags_apply");
       const tv = el("tagsValue");
-      if (tv) tv.textContent = state.tags.size ? `${state.tags.size} وسم` : "الكل";
+      if (tv) tv.textContent = tagsChipLabel();
       render();
 
       e.stopPropagation();
@@ -1493,36 +6286,122 @@ function buildTagsMenu() {
 
     wrap.appendChild(opt);
   }
+  markListbox(wrap, { multi: true });
 
   // Clear button: Apply instantly after clearing
   const clear = el("clearTags");
   if (clear) clear.onclick = (e) => {
     staging.clear();
-    wrap.querySelectorAll(".opt").forEach(o => o.classList.remove("is-active"));
+    wrap.querySelectorAll(".opt").forEach(o => setOptSelected(o, false));
 
     gaEvent("tags_clear", { source: "menu" });
     gaTrackFiltersDebounced("tags_clear");
 
-    if (sub) {
-      const parts = [`اختر أكثر من وسم`, `المحدد: ${staging.size}`];
-      if (q) parts.push(`نتائج: ${list.length}`);
-      sub.textContent = parts.join(" • ");
-    }
+    paintSub();
 
     // INSTANT APPLY: Apply changes immediately
     state.tags = new Set(staging);
     const tv = el("tagsValue");
-    if (tv) tv.textContent = "الكل";
+    if (tv) tv.textContent = tagsChipLabel();
     render();
 
     e.stopPropagation();
   };
 }
 
+// ================================
+// Menus: listbox semantics + keyboard
+// ================================
+// Option lists inside the chip menus are listboxes of `.opt` buttons with a
+// roving tabindex: Tab reaches the list once, arrows / Home / End move inside
+// it and Enter / Space pick. Tab cycles inside an open menu, and closing one
+// hands focus back to whatever opened it.
+const MENU_FOCUSABLE = "button, input, select, textarea, a[href], [tabindex]";
+
+let MENU_OPENER = null; // element focused again when the open menu closes
+
+function setOptSelected(opt, on) {
+  opt.classList.toggle("is-active", !!on);
+  if (opt.getAttribute("role") === "option") opt.setAttribute("aria-selected", String(!!on));
+}
+
+// Called by the menu builders once their options are in place
+function markListbox(wrap, { multi = false } = {}) {
+  if (!wrap) return;
+  wrap.setAttribute("role", "listbox");
+  if (multi) wrap.setAttribute("aria-multiselectable", "true");
+  // Named after the nearest heading above it (a menu can hold several lists)
+  let title = null;
+  for (let n = wrap.previousElementSibling; n && !title; n = n.previousElementSibling) {
+    title = n.matches(".menu__title") ? n : n.querySelector(".menu__title");
+  }
+  if (title) wrap.setAttribute("aria-label", title.textContent.trim());
+
+  const opts = [...wrap.querySelectorAll(":scope > .opt")];
+  for (const o of opts) {
+    o.setAttribute("role", "option");
+    o.setAttribute("aria-selected", String(o.classList.contains("is-active")));
+  }
+  const stop = opts.find(o => o.classList.contains("is-active") && !o.disabled) || opts.find(o => !o.disabled);
+  opts.forEach(o => { o.tabIndex = o === stop ? 0 : -1; });
+}
+
+function menuFocusables(menu) {
+  return [...menu.querySelectorAll(MENU_FOCUSABLE)]
+    .filter(n => !n.disabled && n.tabIndex >= 0 && !n.closest("[hidden]"));
+}
+
+function onMenuOpened(menu, opener) {
+  MENU_OPENER = opener && opener !== document.body ? opener : null;
+  if (MENU_OPENER && MENU_OPENER.matches(".chip[data-menu]")) MENU_OPENER.setAttribute("aria-expanded", "true");
+  setTimeout(() => {
+    if (!menu.classList.contains("is-open") || menu.contains(document.activeElement)) return; // e.g. the tags search box
+    const first = menu.querySelector(".opt[tabindex='0']") || menuFocusables(menu)[0];
+    try { first && first.focus({ preventScroll: true }); } catch (_e) { }
+  }, 0);
+}
+
+function onMenuKeydown(e) {
+  const menu = e.target.closest && e.target.closest(".menu.is-open");
+  if (!menu) return;
+
+  if (e.key === "Tab") {
+    const items = menuFocusables(menu);
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    return;
+  }
+
+  const opt = e.target.closest(".opt");
+  const list = opt && opt.parentElement;
+  if (!opt || !list) return;
+  const opts = [...list.querySelectorAll(":scope > .opt")].filter(o => !o.disabled);
+  const i = opts.indexOf(opt);
+  const rtl = document.documentElement.dir === "rtl";
+  const next = {
+    ArrowDown: i + 1,
+    ArrowUp: i - 1,
+    ArrowRight: rtl ? i - 1 : i + 1,
+    ArrowLeft: rtl ? i + 1 : i - 1,
+    Home: 0,
+    End: opts.length - 1,
+  }[e.key];
+  if (next === undefined) return;
+  e.preventDefault();
+
+  const target = opts[Math.max(0, Math.min(opts.length - 1, next))];
+  if (list.getAttribute("role") === "listbox") opts.forEach(o => { o.tabIndex = o === target ? 0 : -1; });
+  target.focus();
+}
+
 function toggleMenu(key) {
   const menu = el(`menu-${key}`);
   if (!menu) return;
   const isOpen = menu.classList.contains("is-open");
+  const opener = document.querySelector(`.chip[data-menu="${key}"]`) || document.activeElement;
   closeMenus();
   if (!isOpen) {
     if (key === "tags") {
@@ -1533,12 +6412,26 @@ function toggleMenu(key) {
       buildTagsMenu();
       menu.classList.add("is-open");
       setTimeout(() => { try { inp && inp.focus(); } catch (_e) { } }, 0);
+      onMenuOpened(menu, opener);
 
       gaEvent("menu_open", { menu: "tags" });
 
       return;
     }
+    // Facet counts come from the last render(), so these are rebuilt on open
+    if (key === "catsTop") buildCatsTopMenu();
+    if (key === "sentiment") buildSentimentMenu();
+    if (key === "price") buildPriceMenu();
+    if (key === "saved") buildSavedMenu();
+    if (key === "near") buildNearMenu();
+    if (key === "area") buildAreaMenu();
+    if (key === "choropleth") buildChoroplethMenu();
+    if (key === "heatmap") buildHeatmapMenu();
+    if (key === "itinerary") renderItineraryMenu();
+    if (key === "lang") buildLanguageMenu();
+    if (key === "ranges") buildRangesMenu();
     menu.classList.add("is-open");
+    onMenuOpened(menu, opener);
 
     gaEvent("menu_open", { menu: String(key || "") });
   }
@@ -1552,7 +6445,20 @@ function closeMenus() {
     const inp = el("tagsSearch");
     if (inp) inp.value = "";
   }
+
+  // Focus goes back to the opener when it was inside the menu (or was lost with
+  // a rebuilt option), not when the user clicked somewhere else
+  const open = [...document.querySelectorAll(".menu.is-open")];
+  const active = document.activeElement;
+  const hadFocus = open.some(m => m.contains(active)) || (open.length > 0 && (!active || active === document.body));
+  const opener = MENU_OPENER;
+  MENU_OPENER = null;
+
   document.querySelectorAll(".menu").forEach(m => m.classList.remove("is-open"));
+  document.querySelectorAll(".chip[data-menu]").forEach(c => c.setAttribute("aria-expanded", "false"));
+  if (hadFocus && opener && opener.isConnected) {
+    try { opener.focus({ preventScroll: true }); } catch (_e) { }
+  }
 }
 
 // ================================
@@ -1563,14 +6469,77 @@ async function loadRealPlacesAndBootstrapUI() {
   url.searchParams.set("limit", "20000");
   url.searchParams.set("sort", "bayes2_desc");
 
-  const { payload } = await fetchPlacesCached(url.toString());
+  const { payload, source } = await fetchPlacesCached(url.toString(), { onUpdate: onPlacesSynced });
+  await applyPlacesPayload(payload, source);
+}
+
+// A background sync merged changes into the store: swap them in without resetting filters
+async function onPlacesSynced(payload, mode) {
+  await applyPlacesPayload(payload, `sync_${mode}`);
+  syncFilterControls();
+  render();
+  refreshPlaceSheet();
+}
+
+// One API row -> the normalized place shape used everywhere (DATA, similar results)
+function normalizePlaceRow(p) {
+  const tags = Array.isArray(p.tags) ? p.tags
+    : Array.isArray(p.tags_ar) ? p.tags_ar
+      : Array.isArray(p.top_tags) ? p.top_tags
+        : [];
+
+  const district = p.district || p.district_ar || "all";
+  const district_slug_ar = p.district_slug_ar || "";           // ✅ NEW field from API
+  const category = p.category || p.primary_type || p.primary_type_display_name || "other";
+  const sentiment = p.sentiment_label_ar || p.sentiment || "محايد";
+  const price = p.price_level || p.price || "الكل";
+
+  return {
+    id: p.place_id || p.id || p.gid || String(Math.random()),
+    place_id: p.place_id || p.id,
+
+    name: p.name || "",
+    district,
+    district_slug_ar,
+    category,
+    sentiment,
+    price,
+    
+    rating: Number(p.rating ?? 0),
+
+    // Keep both names used in various parts
+    reviews: Number(p.rating_count ?? p.user_ratings_total ?? p.reviews ?? 0),
+    rating_count: Number(p.rating_count ?? p.user_ratings_total ?? p.reviews ?? 0),
+
+    trust: Number(p.bayes2_score ?? p.trust ?? 0),
+    bayes2_score: Number(p.bayes2_score ?? p.trust ?? 0),
+
+    sentiment_label_ar: sentiment,
+    price_level: price,
+    price_bucket_ar: p.price_bucket_ar || "",
 
+    lat: Number(p.lat ?? p.latitude),
+    lng: Number(p.lng ?? p.longitude),
+
+    tags: tags.map(String),
+
+    summary: p.summary || "",
+    link: p.link || "",
+
+    // Creation date (ms) when the API has one; enables the "newest" sort
+    added_at: Date.parse(p.created_at || p.first_seen_at || "") || null,
+  };
+}
+
+// Normalizes the API rows into DATA and rebuilds everything derived from them
+async function applyPlacesPayload(payload, source = "network") {
   // Validate API response
   const validation = validateAPIResponse(payload, "places_api");
   if (!validation.valid) {
     console.error("[Data Loading] Invalid API response:", validation.error);
-    showToast("فشل تحميل البيانات. يرجى المحاولة مرة أخرى.", "error", 5000);
+    showToast(t("data.loadFailed"), "error", 5000);
     DATA = [];
+    DATA_BY_ID = new Map();
     return;
   }
 
@@ -1578,51 +6547,16 @@ async function loadRealPlacesAndBootstrapUI() {
     console.warn(`[Data Loading] Filtered out ${validation.filtered} invalid places`);
   }
 
-  DATA = validation.results.map((p) => {
-    const tags = Array.isArray(p.tags) ? p.tags
-      : Array.isArray(p.tags_ar) ? p.tags_ar
-        : Array.isArray(p.top_tags) ? p.top_tags
-          : [];
-
-    const district = p.district || p.district_ar || "all";
-    const district_slug_ar = p.district_slug_ar || "";           // ✅ NEW field from API
-    const category = p.category || p.primary_type || p.primary_type_display_name || "other";
-    const sentiment = p.sentiment_label_ar || p.sentiment || "محايد";
-    const price = p.price_level || p.price || "الكل";
-
-    return {
-      id: p.place_id || p.id || p.gid || String(Math.random()),
-      place_id: p.place_id || p.id,
-
-      name: p.name || "",
-      district,
-      district_slug_ar,
-      category,
-      sentiment,
-      price,
-      
-      rating: Number(p.rating ?? 0),
-
-      // Keep both names used in various parts
-      reviews: Number(p.rating_count ?? p.user_ratings_total ?? p.reviews ?? 0),
-      rating_count: Number(p.rating_count ?? p.user_ratings_total ?? p.reviews ?? 0),
-
-      trust: Number(p.bayes2_score ?? p.trust ?? 0),
-      bayes2_score: Number(p.bayes2_score ?? p.trust ?? 0),
+  DATA = validation.results.map(normalizePlaceRow);
 
-      sentiment_label_ar: sentiment,
-      price_level: price,
-      price_bucket_ar: p.price_bucket_ar || "",
+  DATA_BY_ID = new Map(DATA.map(p => [String(p.id), p]));
+  tagPlacesWithDistricts(DATA);
 
-      lat: Number(p.lat ?? p.latitude),
-      lng: Number(p.lng ?? p.longitude),
-
-      tags: tags.map(String),
-
-      summary: p.summary || "",
-      link: p.link || "",
-    };
-  });
+  // Similar results are copies joined against DATA: point them at the new rows
+  if (state.similarMode) {
+    state.similarResults = state.similarResults.map(r => joinSimilarRow(r, r.similarity));
+    if (state.similarAnchor) state.similarAnchor = DATA_BY_ID.get(String(state.similarAnchor.id)) || state.similarAnchor;
+  }
 
   // Build slug → Arabic label map ONCE for UI
   try {
@@ -1637,28 +6571,20 @@ async function loadRealPlacesAndBootstrapUI() {
   } catch (_e) {
     DISTRICT_LABEL_AR_BY_SLUG = new Map();
   }
-  // District options
-  const districts = Array.from(new Set(DATA.map(p => p.district).filter(Boolean)))
-    .sort((a, b) => String(a).localeCompare(String(b), "ar"));
-
-  const distSel = el("district");
-  if (distSel) {
-    distSel.innerHTML = "";
-    const optAll = document.createElement("option");
-    optAll.value = "all";
-    optAll.textContent = "كل الأحياء";
-    distSel.appendChild(optAll);
-
-    for (const d of districts) {
-      const o = document.createElement("option");
-      o.value = d;
-      o.textContent = districtLabelArFromSlug(d); // ✅ Arabic label
-      distSel.appendChild(o);
-    }
 
-    state.district = "all";
-    distSel.value = "all";
+  // Full-text search index (after district labels so Arabic names are searchable)
+  try {
+    SEARCH_INDEX = buildSearchIndex(DATA);
+  } catch (e) {
+    console.error("[Search] Failed to build search index:", e);
+    SEARCH_INDEX = null;
   }
+  // District options
+  const districts = Array.from(new Set(DATA.map(p => p.district).filter(Boolean)));
+  // Keep the current district when it still exists (background sync)
+  if (state.district !== "all" && !districts.includes(state.district)) state.district = "all";
+  refreshDistrictOptions();
+  syncSortControl(); // "newest" depends on the payload having dates
 
   // Categories
   const cats = Array.from(new Set(DATA.map(p => p.category).filter(Boolean)))
@@ -1679,13 +6605,38 @@ async function loadRealPlacesAndBootstrapUI() {
   // Insights config
   const cfg = await loadToggleConfig();
   rebuildInsightsFromToggleConfig(cfg);
+  syncQueryEngineDataset();
 
   // Rebuild menus
   buildInsightTopMenu();
   buildCategoriesTopMenu();
   buildTagsMenu();
 
-  gaEvent("places_loaded", { count: DATA.length });
+  gaEvent("places_loaded", { count: DATA.length, source });
+}
+
+// District <select>: labels and order follow the UI language
+function refreshDistrictOptions() {
+  const distSel = el("district");
+  if (!distSel) return;
+  const collator = new Intl.Collator(LANG);
+  const districts = Array.from(new Set(DATA.map(p => p.district).filter(Boolean)))
+    .map(d => ({ key: d, label: districtLabel(d) }))
+    .sort((a, b) => collator.compare(a.label, b.label));
+
+  distSel.innerHTML = "";
+  const optAll = document.createElement("option");
+  optAll.value = "all";
+  optAll.textContent = t("district.all");
+  distSel.appendChild(optAll);
+
+  for (const d of districts) {
+    const o = document.createElement("option");
+    o.value = d.key;
+    o.textContent = d.label;
+    distSel.appendChild(o);
+  }
+  distSel.value = state.district;
 }
 
 // ================================
@@ -1696,101 +6647,740 @@ function getActiveInsightObj() {
 }
 
 function cardPrimaryBadge(p) {
-  const t = getActiveInsightObj();
-  if (!t || t.key === "all") {
+  if (state.similarMode && p.similarity != null) {
+    return `🔗 ${t("card.similarity", { v: fmtNum(p.similarity * 100) })}`;
+  }
+
+  const insight = getActiveInsightObj();
+  if (!insight || insight.key === "all") {
     // Default: show trust score
-    return `Trust ${((p.trust ?? 0)).toFixed(2)}`;
+    return t("card.trust", { v: fmtNum(p.trust ?? 0, 2) });
   }
 
   // Smart badges based on insight mode
-  switch (t.key) {
+  switch (insight.key) {
     case "must_go":
       // Show bayes score as percentage
-      return `💎 ${((p.bayes2_score ?? 0) * 100).toFixed(0)}%`;
+      return `💎 ${fmtNum((p.bayes2_score ?? 0) * 100)}%`;
 
     case "top_rated":
       // Show rating with stars
-      return `⭐ ${Number(p.rating || 0).toFixed(1)} (${p.rating_count || 0})`;
+      return `⭐ ${fmtNum(p.rating || 0, 1)} (${fmtNum(p.rating_count || 0)})`;
 
     case "raqi":
       // Show price level or trust
-      return p.price_bucket_ar ? `${p.price_bucket_ar}` : `💎 ${((p.bayes2_score ?? 0) * 100).toFixed(0)}%`;
+      return (LANG === "ar" && p.price_bucket_ar) ? `${p.price_bucket_ar}` : `💎 ${fmtNum((p.bayes2_score ?? 0) * 100)}%`;
 
     case "discover":
       // Show rating + review count (hidden gems)
-      return `🧭 ${Number(p.rating || 0).toFixed(1)} • ${p.rating_count || 0} مراجعة`;
+      return `🧭 ${fmtNum(p.rating || 0, 1)} • ${t("card.reviews", { n: fmtNum(p.rating_count || 0) })}`;
 
     default:
       // Fallback to insight label
-      return t.label || "فلتر";
+      return insightText(insight) || t("card.filter");
+  }
+}
+
+// ================================
+// Results list (virtualized)
+// ================================
+// Only the cards in view (plus a buffer) exist in the DOM. Rows have a fixed
+// height measured from a real card, so any index maps straight to an offset.
+const RESULTS_BUFFER_ROWS = 6;
+const RESULTS_FALLBACK_ROW_H = 104;
+
+let RESULTS_ROWS = [];          // ordered results from the last render()
+let RESULTS_ROW_H = 0;
+let RESULTS_NODES = new Map();  // row index -> card node
+let RESULTS_PAINT_RAF = 0;
+let RESULTS_TAB_STOP = 0;       // row index of the one card reachable with Tab (roving tabindex)
+let RESULTS_FILTER_SIG = null;  // resultsFilterSignature() of the last render(); scroll resets when it changes
+
+function cardHtml(p, rank) {
+  const saved = isPlaceSaved(p.id);
+  const compared = isPlaceCompared(p.id);
+  const planned = isPlaceInItinerary(p.id);
+  const dist = formatDistance(distanceFromUserKm(p));
+  return `
+      <div class="card__top">
+        <div>
+          <button class="card__name card__open" type="button" tabindex="-1">${fmtNum(rank)}. ${escapeHtml(p.name)}</button>
+          <div class="card__sub">${escapeHtml(districtLabel(p.district))} • ${escapeHtml(categoryLabel(p.category))}</div>
+        </div>
+        <div class="card__actions">
+          <div class="badge">${escapeHtml(p.unavailable ? t("common.unavailable") : cardPrimaryBadge(p))}</div>
+          <button class="cardCompare${compared ? " is-on" : ""}" type="button" data-action="compare-place" data-place-id="${escapeHtml(String(p.id))}" aria-pressed="${compared}" aria-label="${escapeHtml(t("card.compare"))}" title="${escapeHtml(t("card.compareTitle"))}">⚖️</button>
+          <button class="cardPlan${planned ? " is-on" : ""}" type="button" data-action="itinerary-place" data-place-id="${escapeHtml(String(p.id))}" aria-pressed="${planned}" aria-label="${escapeHtml(t("card.plan"))}" title="${escapeHtml(t("card.planTitle"))}">🗓️</button>
+          <button class="cardSave${saved ? " is-saved" : ""}" type="button" data-action="save-place" data-place-id="${escapeHtml(String(p.id))}" aria-label="${escapeHtml(t("card.save"))}" title="${escapeHtml(t("card.saveTitle"))}">${saved ? "♥" : "♡"}</button>
+        </div>
+      </div>
+      <div class="card__stats">
+        ${dist ? `<span class="stat stat--dist">📍 ${dist}</span>` : ""}
+        <span class="stat">⭐ ${p.rating != null ? fmtNum(p.rating, 1) : "—"}</span>
+        <span class="stat">🗣️ ${fmtNum(p.reviews || 0)}</span>
+        <span class="stat">🙂 ${escapeHtml(p.sentiment ? sentimentLabel(p.sentiment) : "—")}</span>
+        <span class="stat">✅ ${p.trust != null ? fmtNum(p.trust, 2) : "—"}</span>
+        <span class="stat">💵 ${escapeHtml(p.price || "—")}</span>
+        ${p.partial ? `<span class="stat stat--partial" title="${escapeHtml(t("card.partialTitle"))}">ℹ️ ${escapeHtml(t("card.partial"))}</span>` : ""}
+      </div>
+    `;
+}
+
+function createResultCard(i) {
+  const p = RESULTS_ROWS[i];
+  const card = document.createElement("div");
+  card.className = "card"
+    + (p.unavailable ? " card--unavailable" : "")
+    + (p.partial ? " card--partial" : "")
+    + (SELECTED_ID && String(p.id) === SELECTED_ID ? " is-selected" : "");
+  card.dataset.id = String(p.id);
+  // Only some rows exist in the DOM, so each one states its position
+  card.setAttribute("role", "listitem");
+  card.setAttribute("aria-posinset", String(i + 1));
+  card.setAttribute("aria-setsize", String(RESULTS_ROWS.length));
+  card.innerHTML = cardHtml(p, i + 1);
+  const open = resultCardButton(card);
+  open.tabIndex = i === RESULTS_TAB_STOP ? 0 : -1;
+  if (SELECTED_ID && String(p.id) === SELECTED_ID) open.setAttribute("aria-current", "true");
+  return card;
+}
+
+// The card's name is a real button: it selects the place and holds the
+// list's roving tab stop (the card's other buttons stay in the tab order)
+function resultCardButton(card) {
+  return card.querySelector(".card__open");
+}
+
+function setResultCardSelected(card, on) {
+  card.classList.toggle("is-selected", on);
+  const open = resultCardButton(card);
+  if (on) open.setAttribute("aria-current", "true");
+  else open.removeAttribute("aria-current");
+}
+
+function setResultsTabStop(i) {
+  RESULTS_TAB_STOP = i;
+  RESULTS_NODES.forEach((node, idx) => { resultCardButton(node).tabIndex = idx === i ? 0 : -1; });
+}
+
+// Scrolls a row into the DOM first if needed (virtualized list)
+function focusResultCard(i) {
+  if (i < 0 || i >= RESULTS_ROWS.length) return;
+  setResultsTabStop(i);
+  scrollResultIntoView(RESULTS_ROWS[i].id);
+  const node = RESULTS_NODES.get(i);
+  try { node && resultCardButton(node).focus({ preventScroll: true }); } catch (_e) { }
+}
+
+function resultsViewport(wrap) {
+  let vp = wrap.querySelector(".results__viewport");
+  if (!vp) {
+    vp = document.createElement("div");
+    vp.className = "results__viewport";
+    wrap.appendChild(vp);
+  }
+  return vp;
+}
+
+// Returns 0 while the panel is hidden so the next paint measures again
+function measureResultRowHeight(vp) {
+  if (!RESULTS_ROWS.length) return 0;
+  const probe = createResultCard(0);
+  probe.style.visibility = "hidden";
+  vp.appendChild(probe);
+  const cs = getComputedStyle(probe);
+  const h = probe.offsetHeight + (parseFloat(cs.marginBottom) || 0);
+  probe.remove();
+  return h > 0 ? h : 0;
+}
+
+function paintVisibleResults() {
+  RESULTS_PAINT_RAF = 0;
+  const wrap = el("resultsList");
+  if (!wrap) return;
+  const vp = resultsViewport(wrap);
+
+  if (!RESULTS_ROW_H) RESULTS_ROW_H = measureResultRowHeight(vp);
+  const rowH = RESULTS_ROW_H || RESULTS_FALLBACK_ROW_H;
+  vp.style.height = `${RESULTS_ROWS.length * rowH}px`;
+
+  const top = wrap.scrollTop;
+  const viewH = wrap.clientHeight || rowH * 10;
+  const first = Math.max(0, Math.floor(top / rowH) - RESULTS_BUFFER_ROWS);
+  const last = Math.min(RESULTS_ROWS.length - 1, Math.ceil((top + viewH) / rowH) + RESULTS_BUFFER_ROWS);
+
+  for (const [i, node] of RESULTS_NODES) {
+    if (i < first || i > last) {
+      node.remove();
+      RESULTS_NODES.delete(i);
+    }
+  }
+  for (let i = first; i <= last; i++) {
+    if (RESULTS_NODES.has(i)) continue;
+    const card = createResultCard(i);
+    card.style.top = `${i * rowH}px`;
+    vp.appendChild(card);
+    RESULTS_NODES.set(i, card);
+  }
+}
+
+// Rebuild the materialized cards in place (e.g. after a save toggles a heart),
+// keeping keyboard focus on the same card / button
+function refreshVisibleResults() {
+  const active = document.activeElement;
+  const card = active && active.closest ? active.closest("#resultsList .card[data-id]") : null;
+  const action = card ? active.dataset.action : null;
+
+  RESULTS_NODES.forEach(n => n.remove());
+  RESULTS_NODES = new Map();
+  paintVisibleResults();
+
+  if (!card) return;
+  const node = el("resultsList").querySelector(`.card[data-id="${cssEscape(card.dataset.id)}"]`);
+  const target = node && action ? node.querySelector(`[data-action="${cssEscape(action)}"]`) : node && resultCardButton(node);
+  try { target && target.focus({ preventScroll: true }); } catch (_e) { }
+}
+
+function schedulePaintResults() {
+  if (RESULTS_PAINT_RAF) return;
+  RESULTS_PAINT_RAF = requestAnimationFrame(paintVisibleResults);
+}
+
+// What decides the result set: the URL filters (minus map overlays) + the saved list
+function resultsFilterSignature() {
+  const sp = new URLSearchParams(urlFilterSignature(stateToUrlParams()));
+  for (const k of ["heat", "heat_r", "heat_b", "heat_i", "choro"]) sp.delete(k);
+  if (state.savedListId) sp.set("list", String(state.savedListId));
+  return sp.toString();
+}
+
+// Same filters (sync delta, location refresh, language switch...) keep the
+// card at the top of the viewport in place, even if a re-sort (nearest first
+// while the user walks) moved it; new filters start again from the top
+function renderResultsList(list) {
+  const wrap = el("resultsList");
+  if (!wrap) return;
+  const vp = resultsViewport(wrap);
+  const sig = resultsFilterSignature();
+  const sameFilters = sig === RESULTS_FILTER_SIG;
+  RESULTS_FILTER_SIG = sig;
+
+  const rowH = RESULTS_ROW_H || RESULTS_FALLBACK_ROW_H;
+  const topIdx = Math.floor(wrap.scrollTop / rowH);
+  const anchor = sameFilters && topIdx > 0 ? RESULTS_ROWS[topIdx] : null;
+  const anchorOffset = wrap.scrollTop - topIdx * rowH;
+
+  RESULTS_ROWS = list;
+  RESULTS_NODES = new Map();
+  RESULTS_TAB_STOP = Math.max(0, SELECTED_ID ? list.findIndex(p => String(p.id) === SELECTED_ID) : 0);
+  vp.innerHTML = "";
+  if (!sameFilters) {
+    wrap.scrollTop = 0;
+  } else if (anchor) {
+    const i = list.findIndex(p => String(p.id) === String(anchor.id));
+    if (i >= 0 && i !== topIdx) {
+      vp.style.height = `${list.length * rowH}px`; // room to scroll before the paint
+      wrap.scrollTop = i * rowH + anchorOffset;
+    }
+  }
+
+  if (RESULTS_PAINT_RAF) cancelAnimationFrame(RESULTS_PAINT_RAF);
+  paintVisibleResults();
+}
+
+function scrollResultIntoView(id) {
+  const wrap = el("resultsList");
+  const i = RESULTS_ROWS.findIndex(p => String(p.id) === String(id));
+  if (!wrap || i < 0) return;
+
+  const rowH = RESULTS_ROW_H || RESULTS_FALLBACK_ROW_H;
+  const top = i * rowH;
+  const viewH = wrap.clientHeight || 0;
+  const cur = wrap.scrollTop;
+  if (top >= cur && top + rowH <= cur + viewH) return; // already fully visible
+
+  const target = top < cur ? top : Math.max(0, top + rowH - viewH);
+  const far = Math.abs(target - cur) > viewH * 3;
+  try {
+    wrap.scrollTo({ top: target, behavior: far ? "auto" : "smooth" });
+  } catch (_e) {
+    wrap.scrollTop = target;
   }
+  paintVisibleResults();
 }
 
+function initResultsList() {
+  const wrap = el("resultsList");
+  if (!wrap) return;
+
+  wrap.addEventListener("scroll", schedulePaintResults, { passive: true });
+
+  // One delegated listener instead of one per card; a click anywhere on the
+  // card counts, Enter / Space on its name button arrive here as a click too
+  wrap.addEventListener("click", (e) => {
+    if (e.target.closest("[data-action]")) return; // card buttons handle themselves
+    const card = e.target.closest(".card[data-id]");
+    if (card) selectPlaceById(card.dataset.id, e.detail === 0 ? "keyboard" : "list");
+  });
+
+  // Keyboard: arrows / Home / End / PageUp / PageDown move between the cards' name buttons
+  wrap.addEventListener("keydown", (e) => {
+    const open = e.target.closest(".card__open");
+    const card = open && open.closest(".card[data-id]");
+    if (!card) return;
+    const i = RESULTS_ROWS.findIndex(p => String(p.id) === card.dataset.id);
+    if (i < 0) return;
+
+    const page = Math.max(1, Math.floor((wrap.clientHeight || 0) / (RESULTS_ROW_H || RESULTS_FALLBACK_ROW_H)));
+    const next = {
+      ArrowDown: i + 1,
+      ArrowUp: i - 1,
+      PageDown: i + page,
+      PageUp: i - page,
+      Home: 0,
+      End: RESULTS_ROWS.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    focusResultCard(Math.max(0, Math.min(RESULTS_ROWS.length - 1, next)));
+  });
+  wrap.addEventListener("focusin", (e) => {
+    const card = e.target.closest(".card[data-id]");
+    if (!card) return;
+    const i = RESULTS_ROWS.findIndex(p => String(p.id) === card.dataset.id);
+    if (i >= 0 && i !== RESULTS_TAB_STOP) setResultsTabStop(i);
+  });
+
+  const remeasure = () => {
+    RESULTS_ROW_H = 0;
+    RESULTS_NODES.forEach(n => n.remove());
+    RESULTS_NODES = new Map();
+    schedulePaintResults();
+  };
+  window.addEventListener("resize", debounce(remeasure, 150));
+  if (typeof ResizeObserver === "function") {
+    new ResizeObserver(() => schedulePaintResults()).observe(wrap);
+  }
+}
+
+// Screen readers hear the result count once it settles, and only when it changed
+let RESULTS_ANNOUNCED = null;
+const announceResultCount = debounce((n) => {
+  const live = el("resultsLive");
+  const text = t("a11y.results", { n: fmtNum(n) });
+  if (!live || text === RESULTS_ANNOUNCED) return;
+  RESULTS_ANNOUNCED = text;
+  live.textContent = text;
+}, 600);
+
 function render() {
   const insightObj = getActiveInsightObj() || INSIGHTS[0];
-  const insightLabel = `${insightObj.emoji} ${insightObj.label}`;
-  const qPart = state.q ? `• بحث: "${state.q}"` : "";
-  const tagsPart = state.tags.size ? `• وسوم: ${[...state.tags].slice(0, 2).join(", ")}${state.tags.size > 2 ? "…" : ""}` : "";
-  const heatPart = state.heatmap !== "Off" ? `• Heatmap: ${state.heatmap}` : "";
-  const catsPart = state.categories.has("all") ? "الكل" : [...state.categories].join("+");
+  const insightLabel = `${insightObj.emoji} ${insightText(insightObj)}`;
+  const qPart = state.q ? `• ${t("results.search", { q: state.q })}` : "";
+  const tagsPart = state.tags.size ? `• ${t("results.tags", { tags: [...state.tags].slice(0, 2).join(", ") + (state.tags.size > 2 ? "…" : "") })}` : "";
+  const heatPart = state.heatmap !== "Off" ? `• ${t("results.heatmap", { mode: heatmapLabel(state.heatmap) })}` : "";
+  const areaPart = state.area ? `• ${t("area.drawn")}` : "";
+  const rangesPart = Object.keys(state.ranges).length ? `• ${rangesChipLabel()}` : "";
+  const nearPart = isNearFilterActive() ? `• ${nearChipLabel()}${USER_LOC ? "" : t("near.waiting")}` : "";
+  const catsPart = state.categories.has("all") ? t("common.all") : [...state.categories].map(labelForCategory).join("+");
 
   const titleEl = el("resultsTitle");
   const metaEl = el("resultsMeta");
 
-  if (titleEl) titleEl.textContent = state.similarMode ? `أماكن مشابهة` : `قائمة الأماكن (${insightLabel})`;
+  const savedList = state.savedListId ? getSavedList(state.savedListId) : null;
+  if (titleEl) {
+    titleEl.textContent = state.similarMode ? t("similar.title")
+      : savedList ? `❤️ ${savedListName(savedList)}`
+        : t("results.titleInsight", { insight: insightLabel });
+  }
+
+  const distLabel = (state.district === "all") ? t("district.all") : districtLabel(state.district);
+  if (metaEl) metaEl.textContent = `${distLabel} • ${catsPart}${qPart} ${tagsPart} ${heatPart} ${nearPart} ${areaPart} ${rangesPart}`.trim();
+
+  const baseRows = state.similarMode ? state.similarResults
+    : savedList ? savedListRows(savedList)
+      : DATA;
+  const meta = metaEl ? metaEl.textContent : "";
+
+  // Worker queries resolve later (or to null once a newer render() superseded them)
+  const res = runPlaceQuery(baseRows);
+  const apply = (r) => {
+    if (!r) return;
+    const { list, facets } = r;
+    LAST_RENDER_LOC = USER_LOC;
+    LAST_FACETS = facets;
+
+    setMarkers(list);
+    updateHeatLayer(list);
+    updateChoropleth(baseRows, facets);
+
+    if (!DID_INVALIDATE_ON_FIRST_RENDER) {
+      DID_INVALIDATE_ON_FIRST_RENDER = true;
+      setTimeout(() => { try { MAP && MAP.invalidateSize(true); } catch (_e) { } }, 0);
+    }
+
+    if (metaEl) metaEl.textContent = `${meta} • ${t("common.results", { n: fmtNum(list.length) })}`;
 
-  const distLabel = (state.district === "all") ? "كل الأحياء" : state.district;
-  if (metaEl) metaEl.textContent = `${distLabel} • ${catsPart}${qPart} ${tagsPart} ${heatPart}`.trim();
+    renderResultsList(list);
+    paintRangeHistograms();
+    announceResultCount(list.length);
 
-  const baseRows = state.similarMode ? state.similarResults : DATA;
-  const list = filterData(baseRows);
+    scheduleUrlSync();
+  };
 
-  setMarkers(list);
-  updateHeatLayer(list);
+  if (typeof res.then === "function") return res.then(apply);
+  apply(res);
+  return Promise.resolve();
+}
 
-  if (!DID_INVALIDATE_ON_FIRST_RENDER) {
-    DID_INVALIDATE_ON_FIRST_RENDER = true;
-    setTimeout(() => { try { MAP && MAP.invalidateSize(true); } catch (_e) { } }, 0);
+// ================================
+// URL state (shareable deep links + back/forward)
+// ================================
+// Filter changes push a history entry; map moves / selection only replace it.
+let URL_SYNC_T = null;
+let URL_SYNC_HOLD = 0;
+
+function stateToUrlParams() {
+  const sp = new URLSearchParams();
+  if (state.q) sp.set("q", state.q);
+  if (state.district && state.district !== "all") sp.set("district", state.district);
+  if (state.insight && state.insight !== DEFAULT_INSIGHT) sp.set("insight", state.insight);
+  if (!state.categories.has("all")) sp.set("cats", [...state.categories].join(","));
+  if (state.sentiment !== "الكل") sp.set("sentiment", state.sentiment);
+  if (state.price !== "الكل") sp.set("price", state.price);
+  if (state.tags.size) sp.set("tags", [...state.tags].join(","));
+  if (state.heatmap !== "Off") {
+    sp.set("heat", state.heatmap);
+    if (heatOpt("radius") !== HEAT_DEFAULTS.radius) sp.set("heat_r", String(heatOpt("radius")));
+    if (heatOpt("blur") !== HEAT_DEFAULTS.blur) sp.set("heat_b", String(heatOpt("blur")));
+    if (heatOpt("intensity") !== HEAT_DEFAULTS.intensity) sp.set("heat_i", String(heatOpt("intensity")));
+  }
+  if (state.choropleth !== "Off") sp.set("choro", state.choropleth);
+  if (state.sortMode !== "default") sp.set("sort", state.sortMode);
+  if (state.sortMode !== "default" && state.sortDir !== defaultSortDir(state.sortMode)) sp.set("dir", state.sortDir);
+  for (const def of RANGE_FILTERS) {
+    if (state.ranges[def.field]) sp.set(def.field, encodeRange(state.ranges[def.field]));
+  }
+  if (state.radiusKm > 0) sp.set("radius", String(state.radiusKm));
+  if (state.area) sp.set("area", encodeArea(state.area));
+  if (state.similarMode && state.similarAnchor) {
+    sp.set("similar", String(state.similarAnchor.id));
+    if (state.similarScope !== SIMILAR_DEFAULTS.scope) sp.set("sim_scope", state.similarScope);
+    if (state.similarK !== SIMILAR_DEFAULTS.k) sp.set("sim_k", String(state.similarK));
+    if (state.similarMinSim !== SIMILAR_DEFAULTS.minSim) sp.set("sim_min", String(state.similarMinSim));
   }
 
-  if (metaEl) metaEl.textContent += ` • ${list.length} نتيجة`;
+  if (SELECTED_ID) sp.set("place", String(SELECTED_ID));
+  if (MAP) {
+    try {
+      const c = MAP.getCenter();
+      sp.set("map", `${c.lat.toFixed(5)},${c.lng.toFixed(5)},${MAP.getZoom()}`);
+    } catch (_e) { }
+  }
+  return sp;
+}
 
-  const wrap = el("resultsList");
-  if (!wrap) return;
-  wrap.innerHTML = "";
+// Everything except view/selection: a change here deserves its own history entry
+function urlFilterSignature(sp) {
+  const f = new URLSearchParams(sp);
+  f.delete("map");
+  f.delete("place");
+  f.sort();
+  return f.toString();
+}
 
-  for (let i = 0; i < list.length; i++) {
-    const p = list[i];
-    const rank = i + 1;
-    const card = document.createElement("div");
-    card.className = "card";
-    card.dataset.id = String(p.id);
-    card.addEventListener("click", () => selectPlaceById(p.id, "list"));
-    card.innerHTML = `
-      <div class="card__top">
-        <div>
-          <div class="card__name">${rank}. ${escapeHtml(p.name)}</div>
-          <div class="card__sub">${escapeHtml(p.district)} • ${escapeHtml(p.category)}</div>
-        </div>
-        <div class="badge">${escapeHtml(cardPrimaryBadge(p))}</div>
-      </div>
-      <div class="card__stats">
-        <span class="stat">⭐ ${Number(p.rating || 0).toFixed(1)}</span>
-        <span class="stat">🗣️ ${Number(p.reviews || 0)}</span>
-        <span class="stat">🙂 ${escapeHtml(p.sentiment || "")}</span>
-        <span class="stat">✅ ${(p.trust ?? 0).toFixed(2)}</span>
-        <span class="stat">💵 ${escapeHtml(p.price || "—")}</span>
-      </div>
-    `;
-    wrap.appendChild(card);
+function buildUrlFromParams(sp) {
+  const qs = sp.toString().replace(/%2C/gi, ",");
+  return `${location.pathname}${qs ? "?" + qs : ""}${location.hash || ""}`;
+}
+
+function syncUrlNow() {
+  if (URL_SYNC_HOLD > 0) return;
+  try {
+    const next = stateToUrlParams();
+    const cur = new URLSearchParams(location.search);
+    if (next.toString() === cur.toString()) return;
+
+    const url = buildUrlFromParams(next);
+    if (urlFilterSignature(next) !== urlFilterSignature(cur)) {
+      history.pushState({ rn: 1 }, "", url);
+    } else {
+      history.replaceState({ rn: 1 }, "", url);
+    }
+  } catch (e) {
+    console.warn("[URL] Failed to sync state to URL:", e);
+  }
+}
+
+function scheduleUrlSync() {
+  if (URL_SYNC_HOLD > 0) return;
+  clearTimeout(URL_SYNC_T);
+  URL_SYNC_T = setTimeout(syncUrlNow, 300);
+}
+
+// Parse a query string into `state`. Unknown/invalid values fall back to defaults.
+function applyUrlParamsToState(sp) {
+  const list = (v) => String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+
+  state.q = String(sp.get("q") || "").trim();
+
+  const d = sp.get("district");
+  const distSel = el("district");
+  const knownDistrict = d && (
+    (distSel && [...distSel.options].some(o => o.value === d)) ||
+    DATA.some(p => p.district === d)
+  );
+  state.district = knownDistrict ? d : "all";
+
+  const i = sp.get("insight") || DEFAULT_INSIGHT;
+  state.insight = INSIGHTS.some(x => x.key === i) ? i : DEFAULT_INSIGHT;
+
+  const cats = list(sp.get("cats")).filter(c => CATEGORIES.some(x => x.key === c && x.key !== "all"));
+  state.categories = new Set(cats.length ? cats : ["all"]);
+
+  const s = sp.get("sentiment");
+  state.sentiment = SENTIMENTS.includes(s) ? s : "الكل";
+
+  const pr = sp.get("price");
+  state.price = PRICES.includes(pr) ? pr : "الكل";
+
+  state.tags = new Set(list(sp.get("tags")));
+
+  const h = sp.get("heat");
+  state.heatmap = HEAT_MODES.includes(h) ? h : "Off";
+  state.heatOpts = {
+    radius: clampHeatOpt("radius", sp.get("heat_r")) ?? HEAT_DEFAULTS.radius,
+    blur: clampHeatOpt("blur", sp.get("heat_b")) ?? HEAT_DEFAULTS.blur,
+    intensity: clampHeatOpt("intensity", sp.get("heat_i")) ?? HEAT_DEFAULTS.intensity,
+  };
+  const ch = sp.get("choro");
+  state.choropleth = CHORO_METRICS.some(m => m.key === ch) ? ch : "Off";
+
+  const so = sp.get("sort");
+  state.sortMode = SORT_MODES.some(m => m.key === so) ? so : "default";
+  const sd = sp.get("dir");
+  state.sortDir = (sd === "asc" || sd === "desc") ? sd : defaultSortDir(state.sortMode);
+  state.ranges = {};
+  for (const def of RANGE_FILTERS) {
+    const r = decodeRange(def, sp.get(def.field));
+    if (r) state.ranges[def.field] = r;
+  }
+  const rk = Number(sp.get("radius"));
+  state.radiusKm = NEAR_RADIUS_OPTIONS_KM.includes(rk) ? rk : 0;
+  state.area = decodeArea(sp.get("area"));
+
+  const ss = sp.get("sim_scope");
+  state.similarScope = SIMILAR_SCOPES.some(s => s.key === ss) ? ss : SIMILAR_DEFAULTS.scope;
+  const sk = Number(sp.get("sim_k"));
+  state.similarK = SIMILAR_K_OPTIONS.includes(sk) ? sk : SIMILAR_DEFAULTS.k;
+  const sm = Number(sp.get("sim_min"));
+  state.similarMinSim = SIMILAR_MIN_SIM_OPTIONS.includes(sm) ? sm : SIMILAR_DEFAULTS.minSim;
+
+  let view = null;
+  const mv = String(sp.get("map") || "").split(",").map(Number);
+  if (mv.length === 3 && mv.every(Number.isFinite)) {
+    view = { lat: mv[0], lng: mv[1], zoom: Math.max(3, Math.min(19, Math.round(mv[2]))) };
+  }
+
+  return {
+    similar: sp.get("similar") || null,
+    place: sp.get("place") || null,
+    view,
+  };
+}
+
+function applyUrlView(view) {
+  if (!MAP || !view) return;
+  DID_FIT_BOUNDS = true;
+  try { MAP.setView([view.lat, view.lng], view.zoom, { animate: false }); } catch (_e) { }
+}
+
+// Selection + similar mode need places loaded and a first render, so they run after it
+async function applyUrlSelectionAndSimilar(restored) {
+  URL_SYNC_HOLD++;
+  try {
+    if (restored.similar && typeof window.findSimilar === "function") {
+      await window.findSimilar(restored.similar, "url");
+    }
+    if (restored.place) selectPlaceById(restored.place, "url");
+  } finally {
+    URL_SYNC_HOLD--;
+  }
+}
+
+// Called from init(): apply the initial URL before the first render().
+// Returns the parsed extras so init can finish the restore after rendering.
+function readInitialUrlState() {
+  const sp = new URLSearchParams(location.search);
+  const hasAny = [...sp.keys()].length > 0;
+  if (!hasAny) return null;
+
+  const restored = applyUrlParamsToState(sp);
+  syncFilterControls();
+  applyUrlView(restored.view);
+
+  gaEvent("deep_link_open", {
+    has_place: restored.place ? 1 : 0,
+    has_similar: restored.similar ? 1 : 0,
+    has_view: restored.view ? 1 : 0
+  });
+  return restored;
+}
+
+async function onUrlPopState() {
+  URL_SYNC_HOLD++;
+  try {
+    clearTimeout(URL_SYNC_T);
+    const restored = applyUrlParamsToState(new URLSearchParams(location.search));
+    closeMenus();
+    syncFilterControls();
+    showSelectedDistrictBoundary(state.district);
+    cancelAreaDraw();
+    showAreaShape();
+    closePlaceSheet();
+    SELECTED_ID = null;
+    applyUrlView(restored.view);
+
+    gaTrackFiltersDebounced("history");
+
+    // Same anchor and settings: the results on screen still apply
+    const loaded = state.similarMode && SIMILAR_LOADED ? JSON.stringify(SIMILAR_LOADED) : null;
+    const wanted = restored.similar ? JSON.stringify({ id: restored.similar, ...similarParams() }) : null;
+    if (!restored.similar && state.similarMode) {
+      exitSimilarMode("history");
+    } else if (!restored.similar || wanted === loaded) {
+      syncSimilarBar();
+      await render();
+    }
+    if (restored.similar && wanted !== loaded) {
+      await window.findSimilar(restored.similar, "history");
+    }
+    if (restored.place) selectPlaceById(restored.place, "history");
+  } catch (e) {
+    console.error("[URL] Failed to restore state from history:", e);
+  } finally {
+    URL_SYNC_HOLD--;
   }
+}
+
+function initUrlState() {
+  window.addEventListener("popstate", () => { onUrlPopState(); });
+  if (MAP) MAP.on("moveend", scheduleUrlSync);
+}
+
+// ================================
+// PWA: service worker, install prompt, updates
+// ================================
+// sw.js precaches the app shell and keeps the last places payload, so the map
+// still opens offline. A new worker waits until the user accepts the update.
+const SW_URL = "/sw.js";
+const SW_UPDATE_CHECK_MS = 30 * 60 * 1000;
+
+let SW_REGISTRATION = null;
+let SW_RELOAD_REQUESTED = false;
+let DEFERRED_INSTALL_PROMPT = null;
+
+function showUpdateBar(worker) {
+  const bar = el("updateBar");
+  const btn = el("updateBtn");
+  if (!bar || !btn || !worker) return;
+
+  bar.hidden = false;
+  btn.onclick = () => {
+    SW_RELOAD_REQUESTED = true;
+    btn.disabled = true;
+    gaEvent("pwa_update_accept", {});
+    try { worker.postMessage({ type: "SKIP_WAITING" }); } catch (_e) { window.location.reload(); }
+  };
+}
+
+function watchServiceWorkerUpdates(reg) {
+  // A worker already waiting from a previous visit
+  if (reg.waiting && navigator.serviceWorker.controller) showUpdateBar(reg.waiting);
+
+  reg.addEventListener("updatefound", () => {
+    const worker = reg.installing;
+    if (!worker) return;
+    worker.addEventListener("statechange", () => {
+      // First install has no controller: nothing to update, the page is already current
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        showUpdateBar(worker);
+      }
+    });
+  });
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!SW_RELOAD_REQUESTED) return;
+    SW_RELOAD_REQUESTED = false;
+    window.location.reload();
+  });
+
+  const checkForUpdate = () => { reg.update().catch(() => { }); };
+  setInterval(checkForUpdate, SW_UPDATE_CHECK_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") checkForUpdate();
+  });
+}
 
-  if (SELECTED_ID) {
-    const card = wrap.querySelector(`.card[data-id="${cssEscape(SELECTED_ID)}"]`);
-    if (card) card.classList.add("is-selected");
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    SW_REGISTRATION = await navigator.serviceWorker.register(SW_URL, { scope: "/" });
+    watchServiceWorkerUpdates(SW_REGISTRATION);
+  } catch (err) {
+    console.warn("[PWA] Service worker registration failed:", err);
   }
 }
 
+function initInstallPrompt() {
+  const btn = el("installBtn");
+  if (!btn) return;
+
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    DEFERRED_INSTALL_PROMPT = e;
+    btn.hidden = false;
+  });
+
+  btn.addEventListener("click", async () => {
+    const prompt = DEFERRED_INSTALL_PROMPT;
+    if (!prompt) return;
+    DEFERRED_INSTALL_PROMPT = null;
+    btn.hidden = true;
+    try {
+      prompt.prompt();
+      const choice = await prompt.userChoice;
+      gaEvent("pwa_install_prompt", { outcome: (choice && choice.outcome) || "unknown" });
+    } catch (err) {
+      console.warn("[PWA] Install prompt failed:", err);
+    }
+  });
+
+  window.addEventListener("appinstalled", () => {
+    DEFERRED_INSTALL_PROMPT = null;
+    btn.hidden = true;
+    gaEvent("pwa_installed", {});
+  });
+}
+
+function initConnectivityNotices() {
+  window.addEventListener("offline", () => {
+    showToast(t("net.offline"), "warning", 5000);
+  });
+  window.addEventListener("online", () => {
+    showToast(t("net.online"), "success", 2500);
+  });
+}
+
+function initPwa() {
+  initInstallPrompt();
+  initConnectivityNotices();
+
+  // Register after load so precaching does not compete with the first paint
+  if (document.readyState === "complete") registerServiceWorker();
+  else window.addEventListener("load", () => { registerServiceWorker(); });
+}
+
 // ================================
 // Panel collapse / drag (mobile-first)
 // ================================
@@ -1900,6 +7490,8 @@ function initPanelCollapse() {
 // App init
 // ================================
 async function init() {
+  initI18n();
+
   try {
     if (isMobile()) {
       document.body.classList.add("panelPeekMobile");
@@ -1913,17 +7505,7 @@ async function init() {
   // District change
   const districtEl = el("district");
   if (districtEl) {
-    districtEl.addEventListener("change", async (e) => {
-      state.district = e.target.value;
-      SELECTED_ID = null;
-
-      gaEvent("district_change", { district: state.district, source: "select" });
-      gaTrackFiltersDebounced("district_change");
-
-      render();
-      showSelectedDistrictBoundary(state.district);
-      await focusDistrict(state.district);
-    });
+    districtEl.addEventListener("change", (e) => selectDistrict(e.target.value, "select"));
   }
 
   // Search
@@ -1951,31 +7533,10 @@ async function init() {
   buildInsightTopMenu();
   buildCatsTopMenu();
 
-  buildSingleSelectMenu("sentimentItems", SENTIMENTS, (v) => {
-    state.sentiment = v;
-
-    gaEvent("sentiment_change", { sentiment: v });
-    gaTrackFiltersDebounced("sentiment_change");
-
-    const sv = el("sentimentValue");
-    if (sv) sv.textContent = v;
-    closeMenus();
-    render();
-  }, () => state.sentiment);
-
-  buildSingleSelectMenu("priceItems", PRICES, (v) => {
-    state.price = v;
-
-    gaEvent("price_change", { price_bucket: v });
-    gaTrackFiltersDebounced("price_change");
-
-    const pv = el("priceValue");
-    if (pv) pv.textContent = v;
-    closeMenus();
-    render();
-  }, () => state.price);
-
+  buildSentimentMenu();
+  buildPriceMenu();
   buildHeatmapMenu();
+  buildChoroplethMenu();
   buildTagsMenu();
 
   // Tags search
@@ -1996,6 +7557,9 @@ async function init() {
 
   // Chip open menus
   document.querySelectorAll(".chip[data-menu]").forEach(chip => {
+    chip.setAttribute("aria-haspopup", "dialog");
+    chip.setAttribute("aria-expanded", "false");
+    chip.setAttribute("aria-controls", `menu-${chip.dataset.menu}`);
     chip.addEventListener("click", (e) => {
       toggleMenu(chip.dataset.menu);
       e.stopPropagation();
@@ -2007,39 +7571,42 @@ async function init() {
     gaEvent("filters_reset", { source: "ui" });
 
     // If user was in similar mode, count that explicitly as a clear
-    if (state.similarMode) gaEvent("similar_clear", { source: "reset" });
+    if (state.similarMode) {
+      gaEvent("similar_clear", { source: "reset" });
+      state.similarMode = false;
+      state.similarAnchor = null;
+      state.similarResults = [];
+      SIMILAR_LOADED = null;
+      syncSimilarBar();
+      syncSimilarAnchorMarker();
+    }
 
     state.q = "";
     state.district = "all";
-    state.insight = "must_go";
+    state.insight = DEFAULT_INSIGHT;
     state.categories = new Set(["all"]);
     state.sentiment = "الكل";
     state.price = "الكل";
     state.tags = new Set();
     state.heatmap = "Off";
-
-    if (qEl) qEl.value = "";
-    if (districtEl) districtEl.value = state.district;
-
-    const sv = el("sentimentValue");
-    const pv = el("priceValue");
-    const tv = el("tagsValue");
-    const hv = el("heatmapValue");
-    if (sv) sv.textContent = "الكل";
-    if (pv) pv.textContent = "الكل";
-    if (tv) tv.textContent = "الكل";
-    if (hv) hv.textContent = "Off";
+    state.heatOpts = { ...HEAT_DEFAULTS };
+    state.choropleth = "Off";
+    state.sortMode = "default";
+    state.sortDir = "desc";
+    state.ranges = {};
+    state.radiusKm = 0;
+    state.area = null;
+    state.savedListId = null;
 
     clearDistrictBoundary();
-    syncTopChipLabels();
-    buildInsightTopMenu();
-    buildCatsTopMenu();
-    buildTagsMenu();
-    buildHeatmapMenu();
+    cancelAreaDraw();
+    clearAreaShape();
+    syncSavedBar();
+    syncFilterControls();
     closeMenus();
 
     // Reset map view to initial behavior (fit bounds on next render)
-    try { if (MAP) MAP.closePopup(); } catch (_e) { }
+    closePlaceSheet();
     try { SELECTED_ID = null; } catch (_e) { }
     try { DID_FIT_BOUNDS = false; } catch (_e) { }
 
@@ -2057,29 +7624,70 @@ async function init() {
   // Close menus
   document.addEventListener("click", () => closeMenus());
   document.addEventListener("keydown", (e) => { if (e.key === "Escape") closeMenus(); });
+  document.addEventListener("keydown", onMenuKeydown);
 
   // Panel collapse/drag
   initPanelCollapse();
+  initResultsList();
+  initSavedLists();
+  // Before the sheet: its Escape handler must run first while the table is open
+  initCompare();
+  initPlaceSheet();
+  initItinerary();
+  initSortControl();
+  initRangeFilters();
+  initSimilarBar();
+  initHeatmapControls();
 
   // Init map + locate me
   initLeafletMap();
   initLocateMe();
+  initNearMe();
+  initAreaFilter();
   setTimeout(() => { try { MAP && MAP.invalidateSize(true); } catch (_e) { } }, 50);
 
   // Load places + bootstrap dynamic menus
+  initQueryWorker();
+  await loadApiConfig();
   await loadRealPlacesAndBootstrapUI();
+  await loadSavedLists();
+  // A shared ?itin= plan may replace the local one, so that is loaded first
+  // (the param leaves the URL before filters are read)
+  await loadItinerary();
+  const importedPlan = importItineraryFromUrl();
+
+  // Restore filters from a shared link (must happen before the first render)
+  const restored = readInitialUrlState();
 
   syncTopChipLabels();
 
-  // If district already selected (rare), show boundary
+  // If district / drawn area already selected (deep link), show its outline
   showSelectedDistrictBoundary(state.district);
+  showAreaShape();
 
   // GA: initial filters snapshot (after bootstrap)
   gaTrackFiltersDebounced("init");
 
   render();
+  initUrlState();
+
+  if (restored) {
+    // A shared "nearest"/radius link needs our own position before it means anything
+    if (isNearFilterActive()) {
+      requestUserLocation({ isAuto: true }).then(ok => { if (ok) render(); });
+    }
+    await applyUrlSelectionAndSimilar(restored);
+    return;
+  }
+
+  // A shared plan opens on its route instead of the user's district
+  if (importedPlan) {
+    fitItineraryRoute();
+    return;
+  }
 
   // Auto-detect user location and select district on first load
+  // (skipped for deep links so the shared filters are not overridden)
   autoDetectLocation();
 }
 
@@ -2090,9 +7698,37 @@ window.addEventListener("load", () => {
 
 window.addEventListener("DOMContentLoaded", () => {
   init().catch(err => console.error(err));
+  initPwa();
 
   // SECURITY FIX: Event delegation for popup buttons (replaces inline onclick)
   document.body.addEventListener("click", (e) => {
+    const saveBtn = e.target.closest("[data-action='save-place']");
+    if (saveBtn) {
+      e.preventDefault();
+      e.stopPropagation(); // keep the document click handler from closing the menu
+      const placeId = saveBtn.getAttribute("data-place-id");
+      if (placeId) openSaveToMenu(placeId);
+      return;
+    }
+
+    const cmpBtn = e.target.closest("[data-action='compare-place']");
+    if (cmpBtn) {
+      e.preventDefault();
+      e.stopPropagation();
+      const placeId = cmpBtn.getAttribute("data-place-id");
+      if (placeId) toggleCompare(placeId, cmpBtn.closest("#compareTray") ? "tray" : cmpBtn.closest("#placeSheet") ? "sheet" : "card");
+      return;
+    }
+
+    const planBtn = e.target.closest("[data-action='itinerary-place']");
+    if (planBtn) {
+      e.preventDefault();
+      e.stopPropagation();
+      const placeId = planBtn.getAttribute("data-place-id");
+      if (placeId) toggleItineraryStop(placeId, planBtn.closest("#placeSheet") ? "sheet" : "card");
+      return;
+    }
+
     const btn = e.target.closest("[data-action='find-similar']");
     if (btn) {
       e.preventDefault();
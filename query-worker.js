@@ -0,0 +1,76 @@
+// ================================
+// RiyadhNow query engine worker
+// ================================
+// See "Query engine (Web Worker)" in app.js. app.js is imported for its query
+// functions (compileQuery, filterData, computeQueryFacets, search index, insight
+// rules) so both threads filter and rank with the same code. Its DOM wiring never
+// runs here: DOMContentLoaded/load are never dispatched in a worker.
+//
+// Messages in:  { type: "load", version, rows, districtLabels, toggleConfig }
+//               { type: "query", id, version, state }   (serializeQueryState())
+//               { type: "cancel", id }
+// Messages out: { type: "ready", version }
+//               { type: "result", id, version, ids, facets }
+//               { type: "error", message }
+
+self.window = self;
+importScripts("./app.js");
+
+let WORKER_VERSION = 0;
+let PENDING_QUERY = null; // latest query not yet run; a newer one replaces it
+let PENDING_T = null;
+
+function loadDataset(msg) {
+  DATA = Array.isArray(msg.rows) ? msg.rows : [];
+  DATA_BY_ID = new Map(DATA.map(p => [String(p.id), p]));
+  DISTRICT_LABEL_AR_BY_SLUG = new Map(msg.districtLabels || []);
+  SEARCH_INDEX = buildSearchIndex(DATA);
+  rebuildInsightsFromToggleConfig(msg.toggleConfig || null);
+  WORKER_VERSION = msg.version;
+  PENDING_QUERY = null;
+  self.postMessage({ type: "ready", version: WORKER_VERSION });
+}
+
+function runPendingQuery() {
+  PENDING_T = null;
+  const job = PENDING_QUERY;
+  PENDING_QUERY = null;
+  if (!job || job.version !== WORKER_VERSION) return;
+
+  applySerializedQueryState(job.state || {});
+  const query = compileQuery(DATA);
+  const list = filterData(DATA, query);
+  self.postMessage({
+    type: "result",
+    id: job.id,
+    version: WORKER_VERSION,
+    ids: list.map(p => String(p.id)),
+    facets: computeQueryFacets(DATA, query),
+  });
+}
+
+function reportError(err) {
+  self.postMessage({ type: "error", message: String((err && err.message) || err) });
+}
+
+self.addEventListener("message", (e) => {
+  const msg = e.data || {};
+  try {
+    if (msg.type === "load") {
+      loadDataset(msg);
+    } else if (msg.type === "query") {
+      // Run on the next tick, so queries and cancels that are already queued
+      // behind this one get to replace it first
+      PENDING_QUERY = msg;
+      if (!PENDING_T) {
+        PENDING_T = setTimeout(() => {
+          try { runPendingQuery(); } catch (err) { reportError(err); }
+        }, 0);
+      }
+    } else if (msg.type === "cancel") {
+      if (PENDING_QUERY && PENDING_QUERY.id === msg.id) PENDING_QUERY = null;
+    }
+  } catch (err) {
+    reportError(err);
+  }
+});
@@ -0,0 +1,200 @@
+// ================================
+// RiyadhNow service worker
+// ================================
+// - Precaches the app shell + static JSON (district shapes, insights config);
+//   same-origin files are network-first so a deploy is picked up on the next
+//   load, and the cached copy is only the offline fallback
+// - Places API: network-first, falls back to the last payload when offline
+//   (delta sync requests bypass the worker; see "Places sync" in app.js).
+//   Which URLs count as the places API comes from api_config.json.
+// - Map tiles / CDN assets: cached at runtime so a revisit works offline
+// - Updates wait until the page asks for SKIP_WAITING (see initPwa() in app.js)
+
+const SW_VERSION = "v4";
+const SHELL_CACHE = `rn-shell-${SW_VERSION}`;
+const DATA_CACHE = "rn-data-v1";
+const RUNTIME_CACHE = "rn-runtime-v1";
+const OWN_CACHE_PREFIXES = ["rn-shell-", "rn-data-", "rn-runtime-"];
+
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/styles.css",
+  "/app.js",
+  "/query-worker.js",
+  "/site.webmanifest",
+  "/district_geojson_map.json",
+  "/toggle_config.json",
+  "/api_config.json",
+];
+const OPTIONAL_SHELL_URLS = [
+  "/favicon.ico",
+  "/favicon-16.png",
+  "/favicon-32.png",
+  "/apple-touch-icon.png",
+  "/android-chrome-192.png",
+  "/android-chrome-512.png",
+];
+
+// host + path of every backend's places endpoint, from api_config.json
+const PLACES_API_ENDPOINTS = new Set();
+const endpointKey = (url) => url.host + url.pathname;
+const RUNTIME_HOSTS = [
+  "unpkg.com",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "tile.openstreetmap.org",
+  "basemaps.cartocdn.com",
+];
+const RUNTIME_MAX_ENTRIES = 600;
+
+async function loadPlacesEndpoints() {
+  try {
+    const res = (await caches.match("/api_config.json")) || (await fetch("/api_config.json"));
+    const cfg = await res.json();
+    for (const b of Object.values((cfg && cfg.backends) || {})) {
+      try { PLACES_API_ENDPOINTS.add(endpointKey(new URL(b.places))); } catch (_e) { }
+    }
+  } catch (_e) { }
+}
+// Re-read on every worker start; requests that could be places calls wait for it
+// (see "fetch" below)
+let PLACES_ENDPOINTS_LOADED = false;
+const PLACES_ENDPOINTS_READY = loadPlacesEndpoints().then(() => { PLACES_ENDPOINTS_LOADED = true; });
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS.map(u => new Request(u, { cache: "reload" })));
+    // Icons are nice-to-have; a missing one must not fail the install
+    await Promise.all(OPTIONAL_SHELL_URLS.map(u => cache.add(u).catch(() => { })));
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE]);
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => OWN_CACHE_PREFIXES.some(p => k.startsWith(p)) && !keep.has(k))
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "SKIP_WAITING") self.skipWaiting();
+  if (msg.type === "GET_VERSION" && event.ports && event.ports[0]) {
+    event.ports[0].postMessage({ version: SW_VERSION });
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+
+  if (req.mode === "navigate") {
+    event.respondWith(networkFirstNavigation(req));
+    return;
+  }
+  // Delta/conditional places sync requests: the page merges them into its own
+  // store, and a cached snapshot must never stand in for a delta (or for a 304)
+  if (url.searchParams.has("updated_since") || req.headers.has("If-None-Match")) return;
+  if (RUNTIME_HOSTS.some(h => url.hostname === h || url.hostname.endsWith("." + h))) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE, RUNTIME_MAX_ENTRIES));
+    return;
+  }
+  const sameOrigin = url.origin === self.location.origin;
+  if (PLACES_ENDPOINTS_LOADED) {
+    if (PLACES_API_ENDPOINTS.has(endpointKey(url))) event.respondWith(networkFirstPlaces(req));
+    else if (sameOrigin) event.respondWith(networkFirstShell(req));
+    // Everything else (similar API, analytics) goes straight to the network
+    return;
+  }
+
+  // Right after the worker (re)started the endpoint list may still be loading:
+  // only same-origin files and script fetches (what a places call is) wait for it
+  if (!sameOrigin && req.destination !== "") return;
+  event.respondWith(PLACES_ENDPOINTS_READY.then(() => {
+    if (PLACES_API_ENDPOINTS.has(endpointKey(url))) return networkFirstPlaces(req);
+    if (sameOrigin) return networkFirstShell(req);
+    return fetch(req);
+  }));
+});
+
+async function networkFirstNavigation(req) {
+  try {
+    const net = await fetch(req);
+    if (net && net.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put("/index.html", net.clone());
+    }
+    return net;
+  } catch (_e) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match("/index.html")) || (await cache.match("/")) || Response.error();
+  }
+}
+
+// app.js / styles.css / query-worker.js / api_config.json must stay in step
+// with the index.html just fetched, so a stale copy is never preferred
+async function networkFirstShell(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const net = await fetch(req);
+    if (net && net.ok) await cache.put(req, net.clone());
+    return net;
+  } catch (_e) {
+    return (await cache.match(req)) || (await cache.match(req, { ignoreSearch: true })) || Response.error();
+  }
+}
+
+async function networkFirstPlaces(req) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const net = await fetch(req);
+    if (net && net.ok) {
+      await cache.put(req, net.clone());
+      return net;
+    }
+    throw new Error(`HTTP ${net && net.status}`);
+  } catch (err) {
+    // Offline or API down: last payload for this URL, then any places payload.
+    // The page keeps its own copy in IndexedDB (see "Local data store" in app.js).
+    const hit = (await cache.match(req))
+      || (await cache.match(req, { ignoreSearch: true }));
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName, maxEntries = 0) {
+  const req = event.request;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(req);
+
+  const refresh = fetch(req).then(async (net) => {
+    // Opaque (no-cors) responses are fine to cache for CDN assets and tiles
+    if (net && (net.ok || net.type === "opaque")) {
+      await cache.put(req, net.clone());
+      if (maxEntries) trimCache(cache, maxEntries);
+    }
+    return net;
+  }).catch(() => null);
+  event.waitUntil(refresh);
+
+  if (cached) return cached;
+  const net = await refresh;
+  return net || Response.error();
+}
+
+async function trimCache(cache, maxEntries) {
+  try {
+    const keys = await cache.keys();
+    const extra = keys.length - maxEntries;
+    for (let i = 0; i < extra; i++) await cache.delete(keys[i]);
+  } catch (_e) { }
+}
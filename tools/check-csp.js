@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// ================================
+// CSP connect-src vs api_config.json
+// ================================
+// The Content-Security-Policy lives in two places (index.html meta + _headers.txt)
+// and lists each backend origin explicitly. This fails when a backend in
+// api_config.json is missing from either copy's connect-src:
+//
+//   node tools/check-csp.js        (npm run check:csp)
+//
+// Loopback backends are skipped: tools/places-stub-server.js serves the app
+// itself, so they are covered by 'self'.
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const read = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+
+function connectSrc(policy) {
+  const directive = String(policy || "").split(";").map(d => d.trim()).find(d => d.startsWith("connect-src "));
+  return directive ? directive.split(/\s+/).slice(1) : null;
+}
+
+// Exact origin, or a "https://*.example.com" wildcard
+function allows(sources, url) {
+  return sources.some((src) => {
+    if (src === url.origin) return true;
+    const m = /^(https?:)\/\/\*\.(.+)$/.exec(src);
+    return !!m && m[1] === url.protocol && url.hostname.endsWith("." + m[2]);
+  });
+}
+
+const meta = /<meta http-equiv="Content-Security-Policy" content="([^"]*)"/.exec(read("index.html"));
+const header = /^\s*Content-Security-Policy:\s*(.+)$/m.exec(read("_headers.txt"));
+const copies = [
+  { file: "index.html", sources: connectSrc(meta && meta[1]) },
+  { file: "_headers.txt", sources: connectSrc(header && header[1]) },
+];
+
+const errors = [];
+for (const c of copies) {
+  if (!c.sources) errors.push(`${c.file}: no connect-src directive found`);
+}
+
+const cfg = JSON.parse(read("api_config.json"));
+for (const [name, backend] of Object.entries((cfg && cfg.backends) || {})) {
+  for (const field of ["places", "similar"]) {
+    let url = null;
+    try { url = new URL(String(backend && backend[field])); } catch (_e) { }
+    if (!url) {
+      errors.push(`api_config.json: ${name}.${field} is not a URL`);
+      continue;
+    }
+    if (LOOPBACK_HOSTS.includes(url.hostname)) continue;
+    for (const c of copies) {
+      if (c.sources && !allows(c.sources, url)) errors.push(`${c.file}: connect-src is missing ${url.origin} (${name}.${field})`);
+    }
+  }
+}
+
+if (errors.length) {
+  console.error(`[csp] connect-src does not match api_config.json:\n  - ${errors.join("\n  - ")}`);
+  process.exit(1);
+}
+console.log("[csp] connect-src covers every backend in api_config.json");
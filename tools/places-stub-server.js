@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// ================================
+// Local mock of the places + similar-places APIs
+// ================================
+// Implements the places protocol described under "Places sync" in app.js and
+// the similar-places query, so the app runs without the production API:
+//
+//   node tools/places-stub-server.js [--port 8787] [--auto 30000] [--retain 5]
+//                                    [--mode ok|error|429|slow|drop] [--delay 4000]
+//
+//   GET  /          places (full list, ?updated_since=<cursor> deltas, ETag/304)
+//   GET  /similar   ?place_id=&scope=category|district|all&k=40&min_sim=0
+//
+// Version 0 is tools/fixtures/places-base.json. The change sets in
+// tools/fixtures/changesets/*.json ({ changes: [...], removed: [ids] }) are
+// replayed in file-name order, one per step:
+//   POST /__advance   apply the next change set
+//   POST /__reset     back to version 0
+//   GET  /__status    current version / counts
+// --auto N    apply the next change set every N ms
+// --retain N  cursors more than N versions old get 410 (forces a full resync)
+//
+// Failure modes for the fetchWithRetry() paths, applied to / and /similar:
+//   ok     normal responses
+//   error  500 { error: "mock_error" }
+//   429    429 with Retry-After (--retry-after seconds, default 1)
+//   slow   normal responses after --delay ms
+//   drop   the connection is closed without a response (network error)
+//   POST /__mode?mode=429&count=2   switch at runtime; after `count` API
+//                                   requests the server goes back to "ok"
+//
+// Every other GET is a file from the repo root, so the app can be opened from
+// this server and reach the API same-origin (the shipped CSP has no localhost
+// entry): http://localhost:8787/index.html?backend=local
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const APP_ROOT = path.join(__dirname, "..");
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".svg": "image/svg+xml",
+};
+
+function argStr(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+const arg = (name, fallback) => Number(argStr(name, fallback));
+const PORT = arg("port", 8787);
+const AUTO_MS = arg("auto", 0);
+const RETAIN = arg("retain", Infinity);
+const DELAY_MS = arg("delay", 4000);
+const RETRY_AFTER_S = arg("retry-after", 1);
+
+const MODES = ["ok", "error", "429", "slow", "drop"];
+let mode = argStr("mode", "ok");
+let modeLeft = Infinity; // API requests left before falling back to "ok"
+if (!MODES.includes(mode)) {
+  console.error(`[stub] Unknown --mode "${mode}" (expected ${MODES.join("|")})`);
+  process.exit(1);
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+const BASE = readJson(path.join(FIXTURES, "places-base.json")).results;
+const CHANGESETS = fs.readdirSync(path.join(FIXTURES, "changesets"))
+  .filter(f => f.endsWith(".json"))
+  .sort()
+  .map(f => ({ name: f, ...readJson(path.join(FIXTURES, "changesets", f)) }));
+
+const keyOf = (p) => String(p.place_id || p.id || p.gid);
+
+let version = 0;
+let places = new Map();     // id -> { row, v }  (v = version it last changed in)
+let tombstones = new Map(); // id -> version it was removed in
+
+function reset() {
+  version = 0;
+  places = new Map(BASE.map(p => [keyOf(p), { row: p, v: 0 }]));
+  tombstones = new Map();
+}
+
+function advance() {
+  const set = CHANGESETS[version];
+  if (!set) return false;
+  version++;
+  for (const id of set.removed || []) {
+    places.delete(String(id));
+    tombstones.set(String(id), version);
+  }
+  for (const row of set.changes || []) {
+    places.set(keyOf(row), { row, v: version });
+    tombstones.delete(keyOf(row));
+  }
+  console.log(`[stub] v${version}: ${set.name} (${(set.changes || []).length} changed, ${(set.removed || []).length} removed)`);
+  return true;
+}
+
+const etag = () => `"places-v${version}"`;
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "ETag, Retry-After",
+    "Cache-Control": "no-store",
+    ...(body !== null ? { "Content-Type": "application/json; charset=utf-8" } : {}),
+    ...headers,
+  });
+  res.end(body !== null ? JSON.stringify(body) : undefined);
+}
+
+function handlePlaces(req, res, url) {
+  if (req.headers["if-none-match"] === etag()) {
+    send(res, 304, null, { ETag: etag() });
+    return;
+  }
+
+  const since = url.searchParams.get("updated_since");
+  if (since !== null) {
+    const c = Number(since);
+    if (!Number.isInteger(c) || c < 0 || c > version || version - c > RETAIN) {
+      send(res, 410, { error: "cursor_expired" });
+      return;
+    }
+    const changes = [...places.values()].filter(x => x.v > c).map(x => x.row);
+    const removed = [...tombstones].filter(([, v]) => v > c).map(([id]) => id);
+    send(res, 200, { changes, removed, cursor: String(version) }, { ETag: etag() });
+    return;
+  }
+
+  const limit = Number(url.searchParams.get("limit")) || Infinity;
+  const results = [...places.values()].map(x => x.row).slice(0, limit);
+  send(res, 200, { results, cursor: String(version) }, { ETag: etag() });
+}
+
+// Tags overlap (Jaccard), plus a bonus for the same category
+function similarity(a, b) {
+  const ta = new Set(a.tags || []);
+  const tb = new Set(b.tags || []);
+  const inter = [...ta].filter(x => tb.has(x)).length;
+  const union = new Set([...ta, ...tb]).size;
+  const jaccard = union ? inter / union : 0;
+  return Math.round((0.7 * jaccard + (a.category === b.category ? 0.3 : 0)) * 1000) / 1000;
+}
+
+function handleSimilar(res, url) {
+  const id = url.searchParams.get("place_id");
+  const scope = url.searchParams.get("scope") || "category";
+  const k = Number(url.searchParams.get("k")) || 40;
+  const minSim = Number(url.searchParams.get("min_sim")) || 0;
+  if (!["category", "district", "all"].includes(scope)) {
+    send(res, 400, { error: "invalid_scope" });
+    return;
+  }
+  const anchor = id && places.get(String(id));
+  if (!anchor) {
+    send(res, 404, { error: "place_not_found" });
+    return;
+  }
+  const a = anchor.row;
+  const results = [...places.values()]
+    .map(x => x.row)
+    .filter(p => keyOf(p) !== keyOf(a))
+    .filter(p => scope === "all" || (scope === "category" ? p.category === a.category : p.district === a.district))
+    .map(p => ({ ...p, similarity: similarity(a, p) }))
+    .filter(p => p.similarity >= minSim)
+    .sort((x, y) => y.similarity - x.similarity)
+    .slice(0, k);
+  send(res, 200, { place_id: keyOf(a), scope, results });
+}
+
+// App files (never dotfiles or anything outside the repo); the failure modes don't apply
+function handleStatic(res, url) {
+  let rel = "";
+  try { rel = decodeURIComponent(url.pathname); } catch (_e) { }
+  const file = path.join(APP_ROOT, rel);
+  const type = STATIC_TYPES[path.extname(file)];
+  if (!type || !file.startsWith(APP_ROOT + path.sep) || rel.split("/").some(s => s.startsWith("."))) {
+    send(res, 404, { error: "not_found" });
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      send(res, 404, { error: "not_found" });
+      return;
+    }
+    res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-cache" });
+    res.end(data);
+  });
+}
+
+// Answers per the current failure mode, or hands the request to `next`
+function applyMode(req, res, next) {
+  if (mode === "ok") return next();
+  const current = mode;
+  if (--modeLeft <= 0) {
+    mode = "ok";
+    modeLeft = Infinity;
+  }
+  console.log(`[stub] ${current}: ${req.url}`);
+  if (current === "error") return send(res, 500, { error: "mock_error" });
+  if (current === "429") return send(res, 429, { error: "rate_limited" }, { "Retry-After": String(RETRY_AFTER_S) });
+  if (current === "drop") return req.socket.destroy();
+  setTimeout(next, DELAY_MS); // slow
+}
+
+reset();
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "OPTIONS") {
+    send(res, 204, null, {
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "If-None-Match, Content-Type",
+    });
+    return;
+  }
+  if (req.method === "POST" && url.pathname === "/__advance") {
+    send(res, advance() ? 200 : 409, { version, total: CHANGESETS.length });
+    return;
+  }
+  if (req.method === "POST" && url.pathname === "/__reset") {
+    reset();
+    send(res, 200, { version });
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/__status") {
+    send(res, 200, { version, total: CHANGESETS.length, places: places.size, removed: tombstones.size, mode, modeLeft });
+    return;
+  }
+  if (req.method === "POST" && url.pathname === "/__mode") {
+    const next = url.searchParams.get("mode") || "ok";
+    if (!MODES.includes(next)) {
+      send(res, 400, { error: "invalid_mode", modes: MODES });
+      return;
+    }
+    mode = next;
+    modeLeft = Number(url.searchParams.get("count")) || Infinity;
+    console.log(`[stub] mode: ${mode}${Number.isFinite(modeLeft) ? ` (next ${modeLeft} request(s))` : ""}`);
+    send(res, 200, { mode, modeLeft });
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/") {
+    applyMode(req, res, () => handlePlaces(req, res, url));
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/similar") {
+    applyMode(req, res, () => handleSimilar(res, url));
+    return;
+  }
+  if (req.method === "GET") {
+    handleStatic(res, url);
+    return;
+  }
+  send(res, 404, { error: "not_found" });
+}).listen(PORT, () => {
+  console.log(`[stub] places + similar API on http://localhost:${PORT} (${BASE.length} places, ${CHANGESETS.length} change sets, mode: ${mode})`);
+  console.log(`[stub] app: http://localhost:${PORT}/index.html?backend=local`);
+  if (AUTO_MS > 0) setInterval(advance, AUTO_MS);
+});